@@ -1,21 +1,90 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const inquirer = require('inquirer');
 const EmailService = require('./src/emailService');
 const StorageService = require('./src/storageService');
+const ArchiveService = require('./src/archiveService');
+const HookRunner = require('./src/hookRunner');
 const CLIInterface = require('./src/cliInterface');
+const CommandRunner = require('./src/commandRunner');
+const ConfigService = require('./src/configService');
+const { extractGlobalFlags } = ConfigService;
 
-// Initialize services
-const emailService = new EmailService();
-const storageService = new StorageService();
-const cliInterface = new CLIInterface(emailService, storageService);
+// Settings come from the config file, the environment and global flags, in rising precedence
+const configService = new ConfigService();
+let config;
+let commandArgs;
+try {
+  const extracted = extractGlobalFlags(process.argv.slice(2));
+  config = configService.resolve(extracted.flags);
+  // Subcommand arguments; the interactive menu runs when none are given
+  commandArgs = extracted.argv;
+} catch (error) {
+  console.error('✗ ERROR:', error.message);
+  process.exit(2);
+}
+config.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+const { settings } = config;
+
+// Initialize services (diagnostics go to stderr in subcommand mode so stdout stays parseable)
+const storageService = new StorageService(settings.storagePath, settings.expiryDays);
+if (process.env.TEMP_EMAIL_PASSPHRASE) {
+  storageService.setPassphrase(process.env.TEMP_EMAIL_PASSPHRASE);
+}
+// The archive, hook log and local mail live next to the storage file, so runs with separate storage share none of them
+const dataDir = path.dirname(settings.storagePath);
+const archiveService = new ArchiveService(path.join(dataDir, 'archive'));
+const providers = {
+  'mail.tm': { timeout: settings.timeout },
+  'mail.gw': { timeout: settings.timeout },
+  local: {
+    dataDir: path.join(dataDir, 'local-mail'),
+    domain: process.env.TEMP_EMAIL_LOCAL_DOMAIN,
+    host: process.env.TEMP_EMAIL_SMTP_HOST,
+    port: process.env.TEMP_EMAIL_SMTP_PORT
+  }
+};
+// The API and push URLs belong to the provider new addresses are created with
+if (settings.baseUrl !== undefined) {
+  providers[settings.provider].baseUrl = settings.baseUrl;
+}
+if (settings.mercureUrl !== undefined) {
+  providers[settings.provider].mercureUrl = settings.mercureUrl;
+}
+const emailService = new EmailService({
+  logger: commandArgs.length > 0 ? { log: console.error, warn: console.warn } : console,
+  provider: settings.provider,
+  maxRetries: settings.retries,
+  // Tokens are kept with each address so they can be reused across runs
+  tokenStore: {
+    load: async address => (await storageService.getAddressMetadata(address))?.token,
+    save: (address, token) => storageService.updateAddress(address, { token })
+  },
+  // Every fetched message is kept in the local archive for offline reading and search
+  archive: settings.archive ? archiveService : null,
+  providers
+});
+const cliInterface = new CLIInterface(emailService, storageService, archiveService, new HookRunner({ logFile: path.join(dataDir, 'hooks.log') }));
 
 // Main menu options
 const mainMenuChoices = [
   { name: 'Create new email address', value: 'create' },
+  { name: 'Import existing email address', value: 'import' },
   { name: 'List existing email addresses', value: 'list' },
+  { name: 'Edit address (label, tags, note, expiry)', value: 'edit' },
+  { name: 'Filter addresses by tag or label', value: 'filter' },
   { name: 'Check inbox', value: 'inbox' },
+  { name: 'Browse inboxes (full screen)', value: 'browse' },
   { name: 'Read email', value: 'read' },
+  { name: 'Export messages', value: 'export' },
+  { name: 'Watch for new mail', value: 'watch' },
+  { name: 'Manage new-mail hooks', value: 'hooks' },
+  { name: 'Delete messages', value: 'delete-messages' },
+  { name: 'Delete email address', value: 'delete-address' },
+  { name: 'Browse archive (offline)', value: 'archive' },
+  { name: 'Search archive', value: 'search' },
+  { name: 'Back up or restore addresses', value: 'backup' },
   { name: 'Exit', value: 'exit' }
 ];
 
@@ -24,8 +93,14 @@ async function main() {
   console.log('\n🔒 Temporary Email CLI 🔒\n');
   
   try {
-    // Clean up expired addresses on startup
-    await storageService.cleanupExpired();
+    // Ask for the passphrase once per session when storage is encrypted
+    if (!(await cliInterface.unlockStorage())) {
+      console.error('Unable to unlock encrypted storage.');
+      process.exit(1);
+    }
+    
+    // Clean up expired addresses on startup, optionally along with their provider accounts
+    await cliInterface.promptCleanupExpired();
     
     // Start the command loop
     await showMainMenu();
@@ -62,15 +137,51 @@ async function handleCommand(command) {
       case 'create':
         await cliInterface.createNewEmail();
         break;
+      case 'import':
+        await cliInterface.importExisting();
+        break;
       case 'list':
         await cliInterface.listAddresses();
         break;
+      case 'edit':
+        await cliInterface.editAddress();
+        break;
+      case 'filter':
+        await cliInterface.setAddressFilter();
+        break;
       case 'inbox':
         await cliInterface.checkInbox();
         break;
+      case 'browse':
+        await cliInterface.browseInboxes();
+        break;
       case 'read':
         await cliInterface.readEmail();
         break;
+      case 'export':
+        await cliInterface.exportMessages();
+        break;
+      case 'watch':
+        await cliInterface.watchInboxes();
+        break;
+      case 'hooks':
+        await cliInterface.manageHooks();
+        break;
+      case 'delete-messages':
+        await cliInterface.deleteMessages();
+        break;
+      case 'delete-address':
+        await cliInterface.deleteAddress();
+        break;
+      case 'archive':
+        await cliInterface.browseArchive();
+        break;
+      case 'search':
+        await cliInterface.searchArchive();
+        break;
+      case 'backup':
+        await cliInterface.manageBackups();
+        break;
       case 'exit':
         console.log('👋 Thank you for using Temporary Email CLI. Goodbye!');
         process.exit(0);
@@ -99,15 +210,27 @@ async function pressEnterToContinue() {
   ]);
 }
 
-// Handle graceful shutdown
+// Handle graceful shutdown; subcommands keep stdout for their output and report the interruption
 process.on('SIGINT', () => {
+  if (commandArgs.length > 0) {
+    process.stderr.write('\nInterrupted\n');
+    process.exit(CommandRunner.EXIT_CODES.INTERRUPTED);
+  }
   console.log('\n👋 Exiting Temporary Email CLI. Goodbye!');
   process.exit(0);
 });
 
 // Start the application
-main().catch(error => {
-  console.error('Fatal error:', error.message);
-  process.exit(1);
-});
+if (commandArgs.length > 0) {
+  new CommandRunner(emailService, storageService, cliInterface, archiveService, configService)
+    .run(commandArgs)
+    .then(exitCode => {
+      process.exitCode = exitCode;
+    });
+} else {
+  main().catch(error => {
+    console.error('Fatal error:', error.message);
+    process.exit(1);
+  });
+}
 
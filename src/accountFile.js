@@ -0,0 +1,125 @@
+/**
+ * Parsing of account lists for bulk import: JSON arrays of objects, or CSV with address,
+ * password and optional provider columns
+ */
+
+// Column names accepted for each account field
+const FIELD_NAMES = {
+  address: ['address', 'email', 'e-mail'],
+  password: ['password', 'pass'],
+  provider: ['provider']
+};
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields with "" escapes
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Field values
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field.trim()) {
+      field = '';
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Find the account field a column header names
+ * @param {string} header - Column header
+ * @returns {string|undefined} address, password or provider
+ */
+function fieldForHeader(header) {
+  const name = header.trim().toLowerCase();
+  return Object.keys(FIELD_NAMES).find(field => FIELD_NAMES[field].includes(name));
+}
+
+/**
+ * Parse CSV account rows; a header row is optional and without one the columns are
+ * address, password, provider. Blank lines and lines starting with # are skipped.
+ * @param {string} content - CSV text
+ * @returns {Array<{address: string, password: string, provider: string}>} Accounts
+ */
+function parseCsv(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+  const rows = lines.map(line => splitCsvLine(line, delimiter));
+
+  let columns = ['address', 'password', 'provider'];
+  if (rows[0].some(cell => fieldForHeader(cell) === 'address')) {
+    columns = rows.shift().map(fieldForHeader);
+  }
+
+  return rows.map(row => {
+    const account = {};
+    columns.forEach((field, index) => {
+      if (field && row[index]) {
+        account[field] = row[index];
+      }
+    });
+    return account;
+  });
+}
+
+/**
+ * Parse a JSON account list: an array, or an object with an accounts array
+ * @param {string} content - JSON text
+ * @returns {Array<{address: string, password: string, provider: string}>} Accounts
+ */
+function parseJson(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data?.accounts;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of accounts or an object with an "accounts" array');
+  }
+
+  return items.map(item => {
+    const account = {};
+    Object.entries(item || {}).forEach(([key, value]) => {
+      const field = fieldForHeader(key);
+      if (field && value) {
+        account[field] = String(value);
+      }
+    });
+    return account;
+  });
+}
+
+/**
+ * Parse an account list file, telling JSON from CSV by the file name or, failing that, the content
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @returns {Array<{address: string, password: string, provider: string}>} Accounts; fields missing from the file are left out
+ */
+function parseAccountFile(content, filename = '') {
+  const isJson = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(content));
+  return isJson ? parseJson(content) : parseCsv(content);
+}
+
+module.exports = { parseAccountFile, parseCsv, parseJson };
@@ -0,0 +1,508 @@
+const http = require('http');
+const crypto = require('crypto');
+const { extractVerification } = require('./extractor');
+const { getProviderNames } = require('./providers');
+const { responseStatus } = require('./emailService');
+const { version } = require('../package.json');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Limits for the long-poll wait endpoint, in milliseconds
+const DEFAULT_WAIT_TIMEOUT = 60000;
+const MAX_WAIT_TIMEOUT = 300000;
+
+// Host names that reach a server bound to a loopback address
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// HTTP status for errors carrying a known code
+const STATUS_BY_CODE = {
+  INVALID_ADDRESS: 400,
+  ADDRESS_REJECTED: 422,
+  WAIT_TIMEOUT: 408,
+  // Only logged: the client that asked has gone (nginx's "client closed request")
+  WAIT_ABORTED: 499,
+  VAULT_LOCKED: 423,
+  VAULT_BAD_PASSPHRASE: 423,
+  STORAGE_LOCKED: 503
+};
+
+/**
+ * Choose the status for a failure without one of its own from the provider's answer, if any
+ * @param {Error} error - Error, possibly wrapping a failed provider request
+ * @returns {number} 404 when the provider does not know the resource, 502 for other provider
+ *   failures, 500 otherwise
+ */
+function upstreamStatus(error) {
+  const status = responseStatus(error);
+  if (status === 404) {
+    return 404;
+  }
+  return status ? 502 : 500;
+}
+
+/**
+ * Create an error answered with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {string} code - Error code included in the response (default: none)
+ * @returns {Error} Error with status and code set
+ */
+function httpError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * Check whether an IP address or host name is a loopback address
+ * @param {string} host - Host to check
+ * @returns {boolean} Whether only this machine can connect to it
+ */
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Turn a query parameter into a matcher; values written as /pattern/flags become regular expressions
+ * @param {string} value - Parameter value
+ * @param {string} name - Parameter name used in the error message
+ * @returns {string|RegExp|undefined} Matcher accepted by the message filters
+ */
+function parseMatcher(value, name) {
+  if (value === null || value === '') {
+    return undefined;
+  }
+
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  if (!match) {
+    return value;
+  }
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw httpError(400, `Invalid regular expression for ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a date query parameter
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} The date as given, or undefined when absent
+ */
+function parseDate(query, name) {
+  const value = query.get(name);
+  if (!value) {
+    return undefined;
+  }
+  if (isNaN(new Date(value))) {
+    throw httpError(400, `Invalid date for ${name}: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Local HTTP JSON API over the stored addresses and their messages, for test suites written in
+ * other languages. Requests need the bearer token when one is configured. Without a token, only
+ * requests addressed to localhost are accepted, so that web pages cannot reach the API through
+ * DNS rebinding. Requests a browser sends from another origin are refused, and request bodies
+ * must be declared as JSON, which pages cannot do without an Origin header.
+ *
+ * Routes:
+ *   GET    /health                                       - liveness check, no token needed
+ *   GET    /addresses[?tag=&label=&all=true]             - stored addresses
+ *   POST   /addresses {provider, username, domain}       - create an address (the response includes its password)
+ *   GET    /addresses/:address                           - one stored address
+ *   DELETE /addresses/:address[?keepRemote=true]         - delete an address at the provider and locally
+ *   GET    /addresses/:address/messages[?filters]        - message summaries (from, subject, since, until, unread, page)
+ *   GET    /addresses/:address/messages/:id              - full message with extracted codes and links
+ *   DELETE /addresses/:address/messages/:id              - delete a message
+ *   GET    /addresses/:address/wait[?from=&subject=&body=&since=&timeout=]
+ *                                                        - long-poll until a matching message arrives (408 on timeout)
+ */
+class ApiServer {
+  /**
+   * @param {EmailService} emailService - Email service instance
+   * @param {StorageService} storageService - Storage service instance
+   * @param {CLIInterface} cliInterface - Interface whose address provisioning is reused
+   * @param {Object} options - Server options
+   * @param {string} options.token - Bearer token required on every request except /health (default: none)
+   * @param {Object} options.logger - Console-like object for the request log (default: console)
+   */
+  constructor(emailService, storageService, cliInterface, options = {}) {
+    this.emailService = emailService;
+    this.storageService = storageService;
+    this.cliInterface = cliInterface;
+    this.token = options.token || null;
+    this.logger = options.logger || console;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @param {Object} options - Listen options
+   * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+   * @param {number} options.port - Port to bind, 0 for any free port (default: 8025)
+   * @returns {Promise<{host: string, port: number}>} Bound address
+   */
+  async listen(options = {}) {
+    const host = options.host || '127.0.0.1';
+    const port = options.port ?? 8025;
+    if (!this.token && !isLoopback(host)) {
+      throw new Error(`Listening on ${host} makes the API reachable from other machines; set a token to allow that`);
+    }
+
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res);
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.server.on('error', error => this.logger.error(`API server error: ${error.message}`));
+
+    const bound = this.server.address();
+    return { host: bound.address, port: bound.port };
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Answer one request, logging it
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async _handle(req, res) {
+    const started = Date.now();
+    let status;
+    let body;
+
+    // Fires once the response is sent, or earlier when the client hangs up; long-polls stop waiting then
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+      ({ status, body } = await this._route(req, controller.signal));
+    } catch (error) {
+      status = error.status || STATUS_BY_CODE[error.code] || upstreamStatus(error);
+      body = { error: error.message, ...(error.code && { code: error.code }) };
+    }
+
+    const headers = { 'Cache-Control': 'no-store' };
+    if (status === 401) {
+      headers['WWW-Authenticate'] = 'Bearer';
+    }
+    if (body === undefined) {
+      res.writeHead(status, headers);
+      res.end();
+    } else {
+      res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(body, null, 2) + '\n');
+    }
+    this.logger.log(`${req.method} ${req.url.split('?')[0]} ${status} ${Date.now() - started}ms`);
+  }
+
+  /**
+   * Check access and dispatch a request to its route
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {AbortSignal} signal - Aborted when the client disconnects
+   * @returns {Promise<{status: number, body: any}>} Response status and JSON body (undefined for none)
+   */
+  async _route(req, signal) {
+    const url = new URL(req.url, 'http://localhost');
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw httpError(400, `Malformed escape in path ${url.pathname}`);
+    }
+    const route = `${req.method} /${parts.map((part, index) => (index % 2 === 1 ? ':' : part)).join('/')}`;
+
+    if (route === 'GET /health') {
+      return { status: 200, body: { ok: true, version } };
+    }
+    this._authorize(req);
+
+    const query = url.searchParams;
+    const [, address, , messageId] = parts;
+    switch (route) {
+      case 'GET /addresses':
+        return { status: 200, body: await this.listAddresses(query) };
+      case 'POST /addresses':
+        return { status: 201, body: await this.createAddress(await this._readJson(req)) };
+      case 'GET /addresses/:':
+        return { status: 200, body: this._formatAddress(await this._resolveAddress(address)) };
+      case 'DELETE /addresses/:':
+        return { status: 200, body: await this.deleteAddress(address, query) };
+      case 'GET /addresses/:/messages':
+        return { status: 200, body: await this.listMessages(address, query) };
+      case 'GET /addresses/:/messages/:':
+        return { status: 200, body: await this.getMessage(address, messageId) };
+      case 'DELETE /addresses/:/messages/:':
+        await this.deleteMessage(address, messageId);
+        return { status: 204 };
+      case 'GET /addresses/:/wait':
+        return { status: 200, body: await this.waitForMessage(address, query, signal) };
+      default:
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+  }
+
+  /**
+   * Reject requests without the configured token, or with a foreign Host header when there is none
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   */
+  _authorize(req) {
+    // Browsers name the page a request comes from; tools such as curl send no Origin at all
+    const origin = req.headers.origin;
+    if (origin !== undefined && !this._isOwnOrigin(origin, req.headers.host)) {
+      throw httpError(403, `Requests from ${origin} are not allowed`);
+    }
+
+    if (!this.token) {
+      const host = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+      if (!LOOPBACK_HOSTS.includes(host)) {
+        throw httpError(403, 'Requests must be addressed to localhost');
+      }
+      return;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const given = Buffer.from(match ? match[1].trim() : '');
+    const expected = Buffer.from(this.token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw httpError(401, 'Missing or wrong bearer token');
+    }
+  }
+
+  /**
+   * Check whether an Origin header names this server, as it does for requests from its own pages
+   * @private
+   * @param {string} origin - Origin header
+   * @param {string} host - Host header
+   * @returns {boolean} Whether the origin is http://<host>
+   */
+  _isOwnOrigin(origin, host) {
+    try {
+      const url = new URL(origin);
+      return url.protocol === 'http:' && Boolean(host) && url.host === host.toLowerCase();
+    } catch (error) {
+      // "null", e.g. from sandboxed frames and local files
+      return false;
+    }
+  }
+
+  /**
+   * Read a JSON request body
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body, empty when there is none
+   */
+  async _readJson(req) {
+    // Pages can only send text/plain, form or multipart bodies to other origins without asking first
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+      throw httpError(415, 'Request bodies must be sent with Content-Type: application/json');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw httpError(413, 'Request body is too large');
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) {
+      return {};
+    }
+    try {
+      const body = JSON.parse(text);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('expected an object');
+      }
+      return body;
+    } catch (error) {
+      throw httpError(400, `Request body is not a JSON object: ${error.message}`);
+    }
+  }
+
+  /**
+   * List stored addresses
+   * @param {URLSearchParams} query - tag, label and all parameters
+   * @returns {Promise<Array<Object>>} Addresses without credentials
+   */
+  async listAddresses(query) {
+    const filter = { tags: query.get('tag') || undefined, label: parseMatcher(query.get('label'), 'label') };
+    const addresses = await this.storageService.getAddresses(query.get('all') === 'true', filter);
+    return addresses.map(record => this._formatAddress(record));
+  }
+
+  /**
+   * Create and store a new address
+   * @param {Object} body - Request body with optional provider, username and domain
+   * @returns {Promise<Object>} The address, including its password
+   */
+  async createAddress(body) {
+    if (body.provider !== undefined && !getProviderNames().includes(body.provider)) {
+      throw httpError(400, `Unknown provider '${body.provider}'. Available providers: ${getProviderNames().join(', ')}`);
+    }
+
+    const record = await this.cliInterface.provisionAddress(body.provider, {
+      username: body.username,
+      domain: body.domain
+    });
+    if (!record) {
+      throw httpError(502, 'The email provider did not return an address');
+    }
+    return { ...this._formatAddress(record), password: record.password };
+  }
+
+  /**
+   * Delete an address at the provider and from local storage
+   * @param {string} address - Email address
+   * @param {URLSearchParams} query - keepRemote=true only removes the local record
+   * @returns {Promise<{address: string, remote: boolean}>} Whether a provider account was deleted
+   */
+  async deleteAddress(address, query) {
+    const record = await this._resolveAddress(address);
+    const { remote } = await this.cliInterface.removeAddress(record, { keepRemote: query.get('keepRemote') === 'true' });
+    return { address: record.address, remote };
+  }
+
+  /**
+   * List the messages of an address
+   * @param {string} address - Email address
+   * @param {URLSearchParams} query - from, subject, since, until, unread and page parameters
+   * @returns {Promise<Array<Object>>} Message summaries, newest first
+   */
+  async listMessages(address, query) {
+    const record = await this._resolveAddress(address);
+    const page = query.get('page') ? Number(query.get('page')) : undefined;
+    if (page !== undefined && !(Number.isInteger(page) && page > 0)) {
+      throw httpError(400, 'page must be a positive whole number');
+    }
+
+    return this.emailService.getEmails(record.address, record.password, record.provider, {
+      page,
+      filter: {
+        from: parseMatcher(query.get('from'), 'from'),
+        subject: parseMatcher(query.get('subject'), 'subject'),
+        since: parseDate(query, 'since'),
+        until: parseDate(query, 'until'),
+        unread: query.get('unread') === 'true'
+      }
+    });
+  }
+
+  /**
+   * Get a message with its extracted codes and links
+   * @param {string} address - Email address
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Full message
+   */
+  async getMessage(address, messageId) {
+    const record = await this._resolveAddress(address);
+    const email = await this.emailService.getEmailContent(messageId, record.address, record.password, record.provider);
+    return { ...email, extracted: extractVerification(email) };
+  }
+
+  /**
+   * Delete a message
+   * @param {string} address - Email address
+   * @param {string} messageId - Message ID
+   */
+  async deleteMessage(address, messageId) {
+    const record = await this._resolveAddress(address);
+    const { failed } = await this.emailService.deleteEmails([messageId], record.address, record.password, record.provider);
+    if (failed.length > 0) {
+      throw httpError(502, failed[0].error);
+    }
+  }
+
+  /**
+   * Wait until a matching message arrives
+   * @param {string} address - Email address
+   * @param {URLSearchParams} query - from, subject, body, since and timeout (seconds) parameters
+   * @param {AbortSignal} signal - Stops waiting when aborted (default: none)
+   * @returns {Promise<Object>} Full message with extracted codes and links
+   */
+  async waitForMessage(address, query, signal) {
+    const record = await this._resolveAddress(address);
+    let timeout = DEFAULT_WAIT_TIMEOUT;
+    if (query.get('timeout')) {
+      timeout = Number(query.get('timeout')) * 1000;
+      if (!(timeout > 0)) {
+        throw httpError(400, 'timeout must be a positive number of seconds');
+      }
+    }
+
+    const email = await this.emailService.waitForEmail(record.address, record.password, {
+      from: parseMatcher(query.get('from'), 'from'),
+      subject: parseMatcher(query.get('subject'), 'subject'),
+      body: parseMatcher(query.get('body'), 'body')
+    }, {
+      timeout: Math.min(timeout, MAX_WAIT_TIMEOUT),
+      since: parseDate(query, 'since'),
+      provider: record.provider,
+      signal
+    });
+    return { ...email, extracted: extractVerification(email) };
+  }
+
+  /**
+   * Look up a stored address record
+   * @private
+   * @param {string} address - Email address
+   * @returns {Promise<Object>} Stored address record
+   */
+  async _resolveAddress(address) {
+    const record = await this.storageService.getAddressMetadata(address);
+    if (!record) {
+      throw httpError(404, `Address ${address} was not found in local storage`, 'NOT_FOUND');
+    }
+    return record;
+  }
+
+  /**
+   * Select the fields of an address record included in responses; credentials are left out
+   * @private
+   * @param {Object} record - Stored address record
+   * @returns {Object} Address details
+   */
+  _formatAddress(record) {
+    return {
+      address: record.address,
+      provider: record.provider,
+      id: record.id,
+      label: record.label || null,
+      tags: record.tags || [],
+      note: record.note || null,
+      pinned: Boolean(record.pinned),
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    };
+  }
+}
+
+module.exports = ApiServer;
+module.exports.isLoopback = isLoopback;
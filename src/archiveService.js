@@ -0,0 +1,252 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { htmlToText } = require('html-to-text');
+const { safeFilename } = require('./fileUtils');
+const { matchesText } = require('./messageFilter');
+
+/**
+ * Service to keep a local copy of fetched messages, so they can be read and searched
+ * offline and after their address has expired. Each message is one JSON file:
+ *   <archiveDir>/<address>/<messageId>.json
+ */
+class ArchiveService {
+  /**
+   * Initialize the archive service
+   * @param {string} archiveDir - Directory for archived messages (default: <config dir>/temp-email-cli/archive)
+   */
+  constructor(archiveDir) {
+    // Use XDG_CONFIG_HOME if available, otherwise use user's home directory
+    const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    const defaultDir = path.join(configDir, 'temp-email-cli', 'archive');
+
+    this.archiveDir = archiveDir ? path.resolve(archiveDir) : defaultDir;
+  }
+
+  /**
+   * Get the directory holding an address's archived messages
+   * @private
+   * @param {string} address - Email address
+   * @returns {string} Directory path
+   */
+  _addressDir(address) {
+    return path.join(this.archiveDir, safeFilename(address.toLowerCase()));
+  }
+
+  /**
+   * Read an archived message file
+   * @private
+   * @param {string} address - Email address
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Archived message or null if not archived
+   */
+  async _readMessage(address, messageId) {
+    try {
+      const data = await fs.readFile(path.join(this._addressDir(address), `${safeFilename(messageId)}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Merge message data into the archived copy
+   * @private
+   * @param {string} address - Email address
+   * @param {Object} message - Message summary or full content
+   * @param {boolean} hasBody - Whether the message includes its body
+   */
+  async _writeMessage(address, message, hasBody) {
+    const existing = await this._readMessage(address, message.id);
+    const record = {
+      ...existing,
+      ...message,
+      address,
+      hasBody: hasBody || Boolean(existing?.hasBody),
+      archivedAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this._addressDir(address), { recursive: true });
+    await fs.writeFile(
+      path.join(this._addressDir(address), `${safeFilename(message.id)}.json`),
+      JSON.stringify(record, null, 2),
+      'utf8'
+    );
+  }
+
+  /**
+   * Archive message summaries from an inbox listing; archived bodies are kept
+   * @param {string} address - Email address
+   * @param {Array<Object>} messages - Summaries returned by getEmails
+   */
+  async saveSummaries(address, messages) {
+    for (const message of messages) {
+      await this._writeMessage(address, message, false);
+    }
+  }
+
+  /**
+   * Archive a full message
+   * @param {string} address - Email address
+   * @param {Object} message - Message returned by getEmailContent
+   */
+  async saveMessage(address, message) {
+    await this._writeMessage(address, message, true);
+  }
+
+  /**
+   * List the addresses with archived messages
+   * @returns {Promise<Array<{address: string, count: number, lastReceived: string}>>} Archived addresses
+   */
+  async getAddresses() {
+    let dirs;
+    try {
+      dirs = await fs.readdir(this.archiveDir);
+    } catch (error) {
+      return [];
+    }
+
+    const addresses = [];
+    for (const dir of dirs) {
+      const messages = await this._readDir(path.join(this.archiveDir, dir));
+      if (messages.length > 0) {
+        addresses.push({
+          address: messages[0].address,
+          count: messages.length,
+          lastReceived: messages[0].receivedDate
+        });
+      }
+    }
+
+    return addresses.sort((a, b) => a.address.localeCompare(b.address));
+  }
+
+  /**
+   * Read all archived messages in a directory, newest first
+   * @private
+   * @param {string} dir - Address directory
+   * @returns {Promise<Array<Object>>} Archived messages
+   */
+  async _readDir(dir) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      return [];
+    }
+
+    const messages = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        messages.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable archive file ${file}:`, error.message);
+      }
+    }
+
+    return messages.sort((a, b) => new Date(b.receivedDate) - new Date(a.receivedDate));
+  }
+
+  /**
+   * Get the archived messages of an address, newest first
+   * @param {string} address - Email address
+   * @returns {Promise<Array<Object>>} Archived messages
+   */
+  async getMessages(address) {
+    return this._readDir(this._addressDir(address));
+  }
+
+  /**
+   * Get an archived message
+   * @param {string} address - Email address
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Archived message or null if not archived
+   */
+  async getMessage(address, messageId) {
+    return this._readMessage(address, messageId);
+  }
+
+  /**
+   * Search archived messages; every word of a text query must appear in the message
+   * @param {string|RegExp} query - Words to look for, or a regular expression
+   * @param {Object} options - Search options
+   * @param {string} options.address - Only search this address
+   * @returns {Promise<Array<{message: Object, snippet: string}>>} Matching messages, newest first
+   */
+  async search(query, options = {}) {
+    const addresses = options.address
+      ? [{ address: options.address }]
+      : await this.getAddresses();
+    const terms = query instanceof RegExp
+      ? [query]
+      : String(query).split(/\s+/).filter(Boolean);
+
+    const results = [];
+    for (const { address } of addresses) {
+      for (const message of await this.getMessages(address)) {
+        const text = this._searchableText(message);
+        if (terms.every(term => matchesText(text, term))) {
+          results.push({ message, snippet: this._snippet(text, terms[0]) });
+        }
+      }
+    }
+
+    return results.sort((a, b) => new Date(b.message.receivedDate) - new Date(a.message.receivedDate));
+  }
+
+  /**
+   * Build the text a message is searched by
+   * @private
+   * @param {Object} message - Archived message
+   * @returns {string} Headers and body as plain text
+   */
+  _searchableText(message) {
+    const html = [].concat(message.html || []).join('\n');
+    // The HTML part is searched too, since plain text parts often leave out link targets
+    const body = [message.text, html && htmlToText(html, { wordwrap: false })]
+      .filter(Boolean)
+      .join('\n') || message.intro || '';
+    const people = [message.from, ...(message.to || [])]
+      .filter(Boolean)
+      .map(person => `${person.name || ''} ${person.address}`);
+
+    return [message.subject || '', ...people, body].join('\n');
+  }
+
+  /**
+   * Cut a short excerpt around the first match
+   * @private
+   * @param {string} text - Searchable text
+   * @param {string|RegExp} term - First search term
+   * @returns {string} Excerpt on a single line
+   */
+  _snippet(text, term) {
+    let index;
+    if (term instanceof RegExp) {
+      index = text.search(new RegExp(term.source, term.flags.replace('g', '')));
+    } else {
+      index = text.toLowerCase().indexOf(String(term).toLowerCase());
+    }
+
+    const start = Math.max(0, index - 40);
+    return (start > 0 ? '…' : '') + text.slice(start, start + 120).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Delete all archived messages of an address
+   * @param {string} address - Email address
+   * @returns {Promise<boolean>} Whether anything was deleted
+   */
+  async removeAddress(address) {
+    const dir = this._addressDir(address);
+    try {
+      await fs.access(dir);
+    } catch (error) {
+      return false;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+    return true;
+  }
+}
+
+module.exports = ArchiveService;
@@ -0,0 +1,89 @@
+/**
+ * Minimal command-line argument parser for the non-interactive subcommands
+ */
+
+/**
+ * Convert a flag name to camelCase (e.g. "from-address" -> "fromAddress")
+ * @param {string} name - Flag name without leading dashes
+ * @returns {string} camelCased flag name
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse command-line arguments into a command, positional arguments and flags
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} options - Parser options
+ * @param {Array<string>} options.strings - Long flag names that take a value
+ * @param {Object} options.aliases - Map of short flag letters to long flag names
+ * @returns {{command: string|null, args: Array<string>, flags: Object}} Parsed arguments
+ */
+function parseArgs(argv, options = {}) {
+  const strings = new Set(options.strings || []);
+  const aliases = options.aliases || {};
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    // Everything after "--" is positional
+    if (token === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (token.startsWith('--')) {
+      let [name, value] = token.slice(2).split(/=(.*)/s);
+
+      if (value === undefined && name.startsWith('no-') && !strings.has(name)) {
+        flags[toCamelCase(name.slice(3))] = false;
+        continue;
+      }
+
+      if (strings.has(name)) {
+        if (value === undefined) {
+          value = argv[++i];
+        }
+        if (value === undefined) {
+          throw new Error(`Option --${name} requires a value`);
+        }
+        flags[toCamelCase(name)] = value;
+      } else {
+        flags[toCamelCase(name)] = value === undefined ? true : value;
+      }
+      continue;
+    }
+
+    if (token.startsWith('-') && token.length > 1) {
+      // Short flags may be combined (e.g. -jy)
+      for (const letter of token.slice(1)) {
+        const name = aliases[letter];
+        if (!name) {
+          throw new Error(`Unknown option -${letter}`);
+        }
+        if (strings.has(name)) {
+          const value = argv[++i];
+          if (value === undefined) {
+            throw new Error(`Option -${letter} requires a value`);
+          }
+          flags[toCamelCase(name)] = value;
+        } else {
+          flags[toCamelCase(name)] = true;
+        }
+      }
+      continue;
+    }
+
+    positionals.push(token);
+  }
+
+  return {
+    command: positionals.length > 0 ? positionals[0] : null,
+    args: positionals.slice(1),
+    flags
+  };
+}
+
+module.exports = { parseArgs };
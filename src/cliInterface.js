@@ -1,85 +1,285 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
 const inquirer = require('inquirer');
 const Table = require('cli-table3');
-const { htmlToText } = require('html-to-text');
 const chalk = require('chalk');
+const { extractVerification } = require('./extractor');
+const { getProviderNames } = require('./providers');
+const { SORT_FIELDS, filterMessages, sortMessages } = require('./messageFilter');
+const { writeUniqueFile, formatSize } = require('./fileUtils');
+const { formatMboxEntry } = require('./mbox');
+const InboxWatcher = require('./inboxWatcher');
+const InboxBrowser = require('./inboxBrowser');
+const { ringBell, notifyDesktop } = require('./notifier');
+const { openExternal, copyToClipboard } = require('./desktop');
+const { htmlToFootnotedText, findTextLinks, buildSafeDocument } = require('./htmlView');
+const { validateUsername } = require('./emailService');
+const { parseAccountFile } = require('./accountFile');
+const { parseBackup } = require('./storageSchema');
+const { isExpired, normalizeTags } = require('./storageService');
+
+// Messages shown per page in the interactive inbox view
+const INBOX_PAGE_SIZE = 20;
 
 class CLIInterface {
-  constructor(emailService, storageService) {
+  constructor(emailService, storageService, archiveService, hookRunner) {
     this.emailService = emailService;
     this.storageService = storageService;
+    this.archiveService = archiveService;
+    this.hookRunner = hookRunner;
+    // Tag and label filter applied to the address list and pickers for this session
+    this.addressFilter = {};
   }
 
   /**
    * Create a new temporary email address
    */
   async createNewEmail() {
-    console.log(chalk.cyan('Creating a new temporary email address...'));
-    
     try {
-      const result = await this.emailService.createEmailAddress();
+      const { provider } = await inquirer.prompt([{
+        type: 'list',
+        name: 'provider',
+        message: 'Select mail provider:',
+        choices: getProviderNames(),
+        default: this.emailService.defaultProvider
+      }]);
       
-      if (result) {
-        // Save the new address with metadata
-        const expirationDate = new Date();
-        expirationDate.setDate(expirationDate.getDate() + 7);
+      const domains = await this.emailService.getDomains(provider);
+      const { domain } = domains.length > 1 ? await inquirer.prompt([{
+        type: 'list',
+        name: 'domain',
+        message: 'Select domain:',
+        choices: domains
+      }]) : { domain: domains[0] };
+      
+      let record;
+      for (;;) {
+        const { username } = await inquirer.prompt([{
+          type: 'input',
+          name: 'username',
+          message: `Username (@${domain}, leave empty for a random one):`,
+          validate: input => {
+            if (!input.trim()) {
+              return true;
+            }
+            try {
+              validateUsername(input);
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          }
+        }]);
         
-        await this.storageService.saveAddress(result.address, {
-          id: result.id,
-          token: result.token,
-          password: result.password,
-          createdAt: new Date().toISOString(),
-          expiresAt: expirationDate.toISOString()
-        });
+        console.log(chalk.cyan('Creating a new temporary email address...'));
         
+        try {
+          record = await this.provisionAddress(provider, { username: username.trim() || undefined, domain });
+          break;
+        } catch (error) {
+          // A taken or refused username can be corrected without starting over
+          if (error.code !== 'ADDRESS_REJECTED') {
+            throw error;
+          }
+          console.log(chalk.yellow(error.message));
+        }
+      }
+      
+      if (record) {
         console.log('\n' + chalk.green('✓ Success! Your temporary email is ready:'));
-        console.log(chalk.cyan('Email:   ') + chalk.yellow(result.address));
-        console.log(chalk.cyan('Expires: ') + chalk.yellow(expirationDate.toLocaleDateString()));
-        console.log('\nThis address will be valid for 7 days.');
+        console.log(chalk.cyan('Email:    ') + chalk.yellow(record.address));
+        console.log(chalk.cyan('Password: ') + chalk.yellow(record.password));
+        console.log(chalk.cyan('Expires:  ') + chalk.yellow(new Date(record.expiresAt).toLocaleDateString()));
+        const days = this.storageService.expirationDays;
+        console.log(`\nThis address will be valid for ${days} ${days === 1 ? 'day' : 'days'}.`);
       }
     } catch (error) {
       this.displayError('Failed to create a new email address', error);
     }
   }
 
+  /**
+   * Create a new address with the email service and persist it
+   * @param {string} provider - Provider to create the address with (default: the email service's default)
+   * @param {Object} options - Address options
+   * @param {string} options.username - Username to use instead of a random one
+   * @param {string} options.domain - Domain to use instead of the provider's first one
+   * @returns {Promise<Object|null>} The stored address record, or null if nothing was created
+   */
+  async provisionAddress(provider, options = {}) {
+    const result = await this.emailService.createEmailAddress(undefined, provider, options);
+    
+    if (!result) {
+      return null;
+    }
+    
+    // Save the new address with metadata; the storage service sets the configured expiry
+    await this.storageService.saveAddress(result.address, {
+      id: result.id,
+      token: result.token,
+      password: result.password,
+      provider: result.provider,
+      createdAt: new Date().toISOString()
+    });
+    
+    return this.storageService.getAddressMetadata(result.address);
+  }
+
+  /**
+   * Import an existing address interactively, or all accounts listed in a CSV or JSON file
+   */
+  async importExisting() {
+    try {
+      const { source, provider } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'source',
+          message: 'What do you want to import?',
+          choices: [
+            { name: 'A single address', value: 'single' },
+            { name: 'Accounts listed in a CSV or JSON file', value: 'file' }
+          ]
+        },
+        {
+          type: 'list',
+          name: 'provider',
+          message: 'Select mail provider (used when the file does not name one):',
+          choices: getProviderNames(),
+          default: this.emailService.defaultProvider
+        }
+      ]);
+      
+      let accounts;
+      if (source === 'single') {
+        accounts = [await inquirer.prompt([
+          { type: 'input', name: 'address', message: 'Email address:', validate: input => input.includes('@') || 'Enter a full email address' },
+          { type: 'password', name: 'password', message: 'Password:', mask: '*' }
+        ])];
+      } else {
+        const { file } = await inquirer.prompt([{ type: 'input', name: 'file', message: 'Path of the account file:' }]);
+        accounts = await this.readAccountFile(file);
+      }
+      
+      console.log(chalk.cyan(`Verifying ${accounts.length} ${accounts.length === 1 ? 'account' : 'accounts'}...`));
+      const { imported, failed } = await this.importAccounts(accounts, { provider });
+      
+      imported.forEach(record => this.displaySuccess(`Imported ${record.address} (${record.provider})`));
+      failed.forEach(({ address, error }) => console.log(chalk.red(`✗ ${address || '(no address)'}: ${error}`)));
+    } catch (error) {
+      this.displayError('Failed to import addresses', error);
+    }
+  }
+
+  /**
+   * Read the accounts listed in a CSV or JSON file
+   * @param {string} file - Path of the file
+   * @returns {Promise<Array<{address: string, password: string, provider: string}>>} Accounts
+   */
+  async readAccountFile(file) {
+    const content = await fs.readFile(path.resolve(file), 'utf8');
+    try {
+      return parseAccountFile(content, file);
+    } catch (error) {
+      throw new Error(`Cannot read accounts from ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import several existing accounts, continuing past individual failures
+   * @param {Array<{address: string, password: string, provider: string}>} accounts - Accounts to import
+   * @param {Object} options - Options
+   * @param {string} options.provider - Provider for accounts that do not name one (default: the email service's default)
+   * @returns {Promise<{imported: Array<Object>, failed: Array<{address: string, error: string}>}>} Stored records and failures
+   */
+  async importAccounts(accounts, options = {}) {
+    const result = { imported: [], failed: [] };
+    
+    for (const account of accounts) {
+      try {
+        if (!account.address || !account.password) {
+          throw new Error('Address and password are required');
+        }
+        result.imported.push(await this.importAddress(account.address, account.password, account.provider || options.provider));
+      } catch (error) {
+        result.failed.push({ address: account.address, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Verify an existing account's credentials and store the address with the provider's account details
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the account belongs to (default: the email service's default)
+   * @returns {Promise<Object>} The stored address record
+   */
+  async importAddress(address, password, provider) {
+    const providerName = provider || this.emailService.defaultProvider;
+    if (!getProviderNames().includes(providerName)) {
+      throw new Error(`Unknown provider '${providerName}'. Available providers: ${getProviderNames().join(', ')}`);
+    }
+    
+    const normalized = address.trim().toLowerCase();
+    const token = await this.emailService.getAuthToken(normalized, password, providerName, { verify: true });
+    const account = await this.emailService.getAccount(normalized, password, providerName);
+    if (account.disabled) {
+      throw new Error(`The ${providerName} account of ${normalized} is disabled`);
+    }
+    
+    const metadata = {
+      id: account.id,
+      token,
+      password,
+      provider: providerName,
+      quota: account.quota,
+      used: account.used,
+      importedAt: new Date().toISOString()
+    };
+    if (account.createdAt) {
+      metadata.createdAt = account.createdAt;
+    }
+    // Without an expiry from the provider the usual expiration period starts now
+    if (account.expiresAt) {
+      metadata.expiresAt = account.expiresAt;
+    }
+    
+    const stored = account.address || normalized;
+    await this.storageService.saveAddress(stored, metadata);
+    return this.storageService.getAddressMetadata(stored);
+  }
+
   /**
    * List all available email addresses
    */
   async listAddresses() {
     try {
-      const addresses = await this.storageService.getAddresses();
+      const addresses = await this.storageService.getAddresses(false, this.addressFilter);
+      const filtered = this.describeFilter();
       
       if (!addresses || addresses.length === 0) {
-        this.displayInfo('No email addresses found. Create one using the \"create\" command.');
+        this.displayInfo(filtered
+          ? `No email addresses match the filter (${filtered}).`
+          : 'No email addresses found. Create one using the \"create\" command.');
         return;
       }
       
-      const table = new Table({
-        head: [
-          chalk.cyan('Email Address'), 
-          chalk.cyan('Created Date'), 
-          chalk.cyan('Expires On'), 
-          chalk.cyan('Status')
-        ],
-        colWidths: [40, 20, 20, 15]
-      });
-      
-      addresses.forEach(address => {
-        const createdDate = new Date(address.createdAt).toLocaleDateString();
-        const expiresDate = new Date(address.expiresAt).toLocaleDateString();
-        const now = new Date();
-        const expirationDate = new Date(address.expiresAt);
-        
-        let status = chalk.green('Active');
-        if (expirationDate < now) {
-          status = chalk.red('Expired');
-        } else if (expirationDate - now < 24 * 60 * 60 * 1000) {
-          status = chalk.yellow('Expiring soon');
-        }
-        
-        table.push([address.address, createdDate, expiresDate, status]);
-      });
+      if (filtered) {
+        this.displayInfo(`Showing addresses matching ${filtered}`);
+      }
       
-      console.log(table.toString());
+      // Counting fetches every page of every inbox, which is slow and spends the provider's rate limit
+      const { countUnread } = await inquirer.prompt([
+        { type: 'confirm', name: 'countUnread', message: 'Count unread messages? (fetches every inbox)', default: false }
+      ]);
+      let unreadCounts;
+      if (countUnread) {
+        console.log(chalk.cyan('Counting unread messages...'));
+        unreadCounts = await this.getUnreadCounts(addresses);
+      }
+      console.log(this.renderAddressTable(addresses, unreadCounts));
     } catch (error) {
       this.displayError('Failed to list email addresses', error);
     }
@@ -90,114 +290,1467 @@ class CLIInterface {
    */
   async checkInbox() {
     try {
-      const addresses = await this.storageService.getAddresses();
-      if (!addresses || addresses.length === 0) {
-        console.log(chalk.yellow('No email addresses found. Create one first!'));
+      const selectedAddress = await this.selectAddress('Select email address to check:');
+      if (!selectedAddress) {
         return;
       }
 
-      const { selectedAddress } = await inquirer.prompt([{
-        type: 'list',
-        name: 'selectedAddress',
-        message: 'Select email address to check:',
-        choices: addresses.map(addr => ({
-          name: `${addr.address} (expires: ${new Date(addr.expiresAt).toLocaleDateString()})`,
-          value: addr
-        }))
-      }]);
-
       console.log(chalk.cyan('\nFetching emails...'));
       
-      const emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password);
+      const emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password, selectedAddress.provider);
       
       if (!emails || emails.length === 0) {
         console.log(chalk.yellow('\nNo emails found in this inbox.'));
         return;
       }
 
-      const table = new Table({
-        head: ['From', 'Subject', 'Received'].map(h => chalk.cyan(h)),
-        style: { head: [], border: [] }
-      });
-
-      emails.forEach(email => {
-        table.push([
-          email.from.address,
-          email.subject || '(No subject)',
-          new Date(email.receivedDate).toLocaleString()
-        ]);
-      });
-
-      console.log('\n' + table.toString());
-      
       // Store emails temporarily for the readEmail command
       this.currentEmails = emails;
       this.currentAddress = selectedAddress.address;
       this.currentAddressData = selectedAddress;
+      
+      await this.browseMessages(emails, selectedAddress);
     } catch (error) {
       this.displayError('Failed to check inbox', error);
     }
   }
 
   /**
-   * Read a specific email
+   * Show messages page by page with filter, sort and mark read/unread options
+   * @param {Array<Object>} emails - All messages of the inbox
+   * @param {Object} record - Stored address record the messages belong to
+   */
+  async browseMessages(emails, record) {
+    let criteria = {};
+    let sort = { field: 'date', order: 'desc' };
+    let page = 0;
+    
+    while (true) {
+      const view = sortMessages(filterMessages(emails, criteria), sort.field, sort.order);
+      const totalPages = Math.max(1, Math.ceil(view.length / INBOX_PAGE_SIZE));
+      page = Math.min(page, totalPages - 1);
+      const filtered = Object.values(criteria).some(value => value !== undefined && value !== false);
+      
+      if (view.length === 0) {
+        console.log(chalk.yellow('\nNo emails match the current filter.'));
+      } else {
+        console.log('\n' + this.renderInboxTable(view.slice(page * INBOX_PAGE_SIZE, (page + 1) * INBOX_PAGE_SIZE)));
+      }
+      console.log(chalk.cyan(`Page ${page + 1} of ${totalPages}`) +
+        ` (${view.length} ${view.length === 1 ? 'message' : 'messages'}${filtered ? `, filtered from ${emails.length}` : ''}, sorted by ${sort.field} ${sort.order})`);
+      
+      const choices = [];
+      if (page < totalPages - 1) {
+        choices.push({ name: 'Next page', value: 'next' });
+      }
+      if (page > 0) {
+        choices.push({ name: 'Previous page', value: 'previous' });
+      }
+      choices.push({ name: 'Filter messages', value: 'filter' });
+      if (filtered) {
+        choices.push({ name: 'Clear filter', value: 'clear' });
+      }
+      choices.push({ name: 'Sort messages', value: 'sort' });
+      if (view.length > 0) {
+        choices.push({ name: 'Mark as read/unread', value: 'mark' });
+      }
+      choices.push({ name: 'Done', value: 'done' });
+      
+      const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: 'Inbox:',
+        choices
+      }]);
+      
+      if (action === 'done') {
+        return;
+      } else if (action === 'next') {
+        page++;
+      } else if (action === 'previous') {
+        page--;
+      } else if (action === 'filter') {
+        criteria = await this.promptMessageFilter();
+        page = 0;
+      } else if (action === 'clear') {
+        criteria = {};
+        page = 0;
+      } else if (action === 'sort') {
+        sort = await inquirer.prompt([
+          { type: 'list', name: 'field', message: 'Sort by:', choices: Object.keys(SORT_FIELDS), default: sort.field },
+          { type: 'list', name: 'order', message: 'Order:', choices: ['desc', 'asc'], default: sort.order }
+        ]);
+        page = 0;
+      } else if (action === 'mark') {
+        await this.promptMarkMessages(record, view.slice(page * INBOX_PAGE_SIZE, (page + 1) * INBOX_PAGE_SIZE));
+      }
+    }
+  }
+
+  /**
+   * Mark selected messages as read or unread
+   * @param {Object} record - Stored address record
+   * @param {Array<Object>} emails - Messages to choose from; their seen flag is updated in place
+   */
+  async promptMarkMessages(record, emails) {
+    const { selected, seen } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Select emails:',
+        choices: emails.map(email => ({
+          name: `${email.seen ? ' ' : '●'} From: ${email.from.address} - Subject: ${email.subject || '(No subject)'}`,
+          value: email
+        }))
+      },
+      {
+        type: 'list',
+        name: 'seen',
+        message: 'Mark as:',
+        choices: [{ name: 'Read', value: true }, { name: 'Unread', value: false }],
+        when: answers => answers.selected.length > 0
+      }
+    ]);
+    if (selected.length === 0) {
+      return;
+    }
+
+    const { updated, failed } = await this.emailService.markEmails(selected.map(email => email.id), seen, record.address, record.password, record.provider);
+    selected.filter(email => updated.includes(email.id)).forEach(email => {
+      email.seen = seen;
+    });
+    failed.forEach(({ id, error }) => this.displayError(`Failed to update message ${id}`, { message: error }));
+  }
+
+  /**
+   * Mark an opened message as read, keeping the cached inbox in sync
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message returned by getEmailContent
+   */
+  async markAsRead(record, email) {
+    if (email.seen) {
+      return;
+    }
+
+    const { failed } = await this.emailService.markEmails([email.id], true, record.address, record.password, record.provider);
+    if (failed.length > 0) {
+      this.displayError('Failed to mark the message as read', { message: failed[0].error });
+      return;
+    }
+
+    email.seen = true;
+    const cached = this.currentAddress === record.address && this.currentEmails?.find(item => item.id === email.id);
+    if (cached) {
+      cached.seen = true;
+    }
+  }
+
+  /**
+   * Count the unread messages of each address
+   * @param {Array<Object>} addresses - Stored address records
+   * @returns {Promise<Map<string, number|null>>} Unread counts by address; null when the inbox could not be fetched
+   */
+  async getUnreadCounts(addresses) {
+    const counts = new Map();
+    for (const record of addresses) {
+      try {
+        counts.set(record.address, await this.emailService.getUnreadCount(record.address, record.password, record.provider));
+      } catch (error) {
+        counts.set(record.address, null);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Ask for message filter criteria
+   * @returns {Promise<Object>} Criteria accepted by filterMessages
+   */
+  async promptMessageFilter() {
+    const validateDate = input => !input || !isNaN(new Date(input)) || 'Enter a date such as 2025-01-31 or leave empty';
+    
+    const answers = await inquirer.prompt([
+      { type: 'input', name: 'from', message: 'Sender contains (empty for any):' },
+      { type: 'input', name: 'subject', message: 'Subject contains (empty for any):' },
+      { type: 'input', name: 'since', message: 'Received since (date, empty for any):', validate: validateDate },
+      { type: 'input', name: 'until', message: 'Received until (date, empty for any):', validate: validateDate },
+      {
+        type: 'list',
+        name: 'attachments',
+        message: 'Attachments:',
+        choices: [
+          { name: 'Any', value: 'any' },
+          { name: 'With attachments', value: 'with' },
+          { name: 'Without attachments', value: 'without' }
+        ]
+      },
+      { type: 'confirm', name: 'unread', message: 'Only unread messages?', default: false }
+    ]);
+    
+    return {
+      from: answers.from || undefined,
+      subject: answers.subject || undefined,
+      since: answers.since || undefined,
+      until: answers.until || undefined,
+      hasAttachments: answers.attachments === 'any' ? undefined : answers.attachments === 'with',
+      unread: answers.unread
+    };
+  }
+
+  /**
+   * Read a specific email, reusing the message list fetched by checkInbox for the same address
    */
   async readEmail() {
     try {
-      const addresses = await this.storageService.getAddresses();
-      if (!addresses || addresses.length === 0) {
-        console.log(chalk.yellow('No email addresses found. Create one first!'));
+      const selectedAddress = await this.selectAddress('Select email address:');
+      if (!selectedAddress) {
         return;
       }
 
-      const { selectedAddress } = await inquirer.prompt([{
+      let emails = this.currentAddress === selectedAddress.address ? this.currentEmails : null;
+      let messageId = null;
+      
+      while (!messageId) {
+        const cached = Boolean(emails);
+        if (!cached) {
+          console.log(chalk.cyan('\nFetching emails...'));
+          emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password, selectedAddress.provider);
+          this.currentEmails = emails;
+          this.currentAddress = selectedAddress.address;
+          this.currentAddressData = selectedAddress;
+        }
+        
+        if (emails.length === 0 && !cached) {
+          console.log(chalk.yellow('\nNo emails found in this inbox.'));
+          return;
+        }
+
+        ({ messageId } = await inquirer.prompt([{
+          type: 'list',
+          name: 'messageId',
+          message: 'Select email to read:',
+          choices: [
+            ...emails.map(email => ({
+              name: `From: ${email.from.address} - Subject: ${email.subject || '(No subject)'}`,
+              value: email.id
+            })),
+            // The list fetched earlier may be missing messages that arrived since
+            ...(cached ? [new inquirer.Separator(), { name: 'Fetch the list again', value: null }] : [])
+          ]
+        }]));
+        if (!messageId) {
+          emails = null;
+        }
+      }
+
+      console.log(chalk.cyan('\nFetching email content...'));
+      const email = await this.emailService.getEmailContent(messageId, selectedAddress.address, selectedAddress.password, selectedAddress.provider);
+
+      this.printEmail(email);
+      await this.markAsRead(selectedAddress, email);
+      
+      if (email.attachments && email.attachments.length > 0) {
+        await this.promptSaveAttachments(selectedAddress, email);
+      }
+      await this.promptMessageActions(email);
+    } catch (error) {
+      this.displayError('Failed to read email', error);
+    }
+  }
+
+  /**
+   * Offer to open or copy the links of a message by number, or to view it in the browser
+   * @param {Object} email - Message returned by getEmailContent
+   */
+  async promptMessageActions(email) {
+    const { links } = this.renderEmailBody(email);
+    const hasHtml = [].concat(email.html || []).length > 0;
+    if (links.length === 0 && !hasHtml) {
+      return;
+    }
+
+    while (true) {
+      const { action } = await inquirer.prompt([{
         type: 'list',
-        name: 'selectedAddress',
-        message: 'Select email address:',
-        choices: addresses.map(addr => ({
-          name: `${addr.address} (expires: ${new Date(addr.expiresAt).toLocaleDateString()})`,
-          value: addr
-        }))
+        name: 'action',
+        message: 'Message:',
+        choices: [
+          ...(links.length > 0 ? [{ name: 'Open a link', value: 'open' }, { name: 'Copy a link', value: 'copy' }] : []),
+          ...(hasHtml ? [{ name: 'Open in browser (scripts and remote content removed)', value: 'browser' }] : []),
+          { name: 'Done', value: 'done' }
+        ]
       }]);
+      if (action === 'done') {
+        return;
+      }
 
-      console.log(chalk.cyan('\nFetching emails...'));
-      
-      const emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password);
+      try {
+        if (action === 'browser') {
+          const { path: file, blocked } = await this.openInBrowser(email);
+          this.displaySuccess(`Opened ${file}${blocked > 0 ? ` (${blocked} remote ${blocked === 1 ? 'resource' : 'resources'} blocked)` : ''}`);
+          continue;
+        }
+
+        const { number } = await inquirer.prompt([{
+          type: 'input',
+          name: 'number',
+          message: `Link number (1-${links.length}):`,
+          validate: input => (Number.isInteger(Number(input)) && input >= 1 && input <= links.length) || `Enter a number from 1 to ${links.length}`
+        }]);
+        const link = links[Number(number) - 1];
+        if (action === 'open') {
+          await openExternal(link);
+          this.displaySuccess(`Opened ${link}`);
+        } else {
+          await copyToClipboard(link);
+          this.displaySuccess(`Copied ${link}`);
+        }
+      } catch (error) {
+        this.displayError(action === 'copy' ? 'Failed to copy the link' : 'Failed to open the message', error);
+      }
+    }
+  }
+
+  /**
+   * Write a sanitized copy of a message to a private temporary directory and open it in the browser.
+   * Scripts, forms and remote resources are removed, so viewing it does not contact the sender.
+   * @param {Object} email - Message returned by getEmailContent
+   * @returns {Promise<{path: string, blocked: number}>} Written file and the number of remote resources removed
+   */
+  async openInBrowser(email) {
+    const { html, blocked } = buildSafeDocument(email);
+    if (!this.viewDir) {
+      // mkdtemp creates the directory readable by the current user only
+      this.viewDir = await fs.mkdtemp(path.join(os.tmpdir(), 'temp-email-'));
+    }
+
+    const file = await writeUniqueFile(this.viewDir, `${(email.subject || email.id).slice(0, 100)}.html`, html, { mode: 0o600 });
+    await openExternal(file);
+    return { path: file, blocked };
+  }
+
+  /**
+   * Open the full-screen inbox browser on the addresses matching the session filter
+   * @param {Object} options - Options
+   * @param {string} options.address - Address to open first
+   */
+  async browseInboxes(options = {}) {
+    try {
+      if (!process.stdin.isTTY || !process.stdout.isTTY) {
+        this.displayError('The inbox browser needs an interactive terminal');
+        return;
+      }
+
+      const browser = new InboxBrowser(this, { filter: this.addressFilter });
+      if (!(await browser.load(options.address))) {
+        console.log(chalk.yellow(this.describeFilter()
+          ? `No email addresses match the filter (${this.describeFilter()}).`
+          : 'No email addresses found. Create one first!'));
+        return;
+      }
+      await browser.run();
+    } catch (error) {
+      this.displayError('Failed to browse inboxes', error);
+    }
+  }
+
+  /**
+   * Ask for the tags and label that the address list and pickers are limited to
+   */
+  async setAddressFilter() {
+    const { tags, label } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'tags',
+        message: 'Only addresses with all of these tags (comma-separated, empty for any):',
+        default: normalizeTags(this.addressFilter.tags).join(', ')
+      },
+      {
+        type: 'input',
+        name: 'label',
+        message: 'Only addresses whose label contains (empty for any):',
+        default: this.addressFilter.label || ''
+      }
+    ]);
+    
+    this.addressFilter = {};
+    if (normalizeTags(tags).length > 0) {
+      this.addressFilter.tags = normalizeTags(tags);
+    }
+    if (label.trim()) {
+      this.addressFilter.label = label.trim();
+    }
+    
+    const filtered = this.describeFilter();
+    this.displayInfo(filtered ? `Address lists now show only ${filtered}` : 'Address filter cleared');
+  }
+
+  /**
+   * Describe the session's address filter
+   * @returns {string} Description, or an empty string when no filter is set
+   */
+  describeFilter() {
+    const parts = [];
+    if (this.addressFilter.tags) {
+      parts.push(`tags ${this.addressFilter.tags.join(', ')}`);
+    }
+    if (this.addressFilter.label) {
+      parts.push(`label "${this.addressFilter.label}"`);
+    }
+    return parts.join(' and ');
+  }
+
+  /**
+   * Edit the label, tags, note and expiry of an address
+   */
+  async editAddress() {
+    try {
+      let record = await this.selectAddress('Select email address to edit:', { includeExpired: true });
+      if (!record) {
+        return;
+      }
       
-      if (emails.length === 0) {
-        console.log(chalk.yellow('\nNo emails found in this inbox.'));
+      for (;;) {
+        console.log(this.renderAddressDetails(record));
+        const { action } = await inquirer.prompt([{
+          type: 'list',
+          name: 'action',
+          message: 'What do you want to change?',
+          choices: [
+            { name: 'Label', value: 'label' },
+            { name: 'Tags', value: 'tags' },
+            { name: 'Note', value: 'note' },
+            { name: 'Extend expiry', value: 'extend' },
+            { name: record.pinned ? 'Unpin (expire as scheduled)' : 'Pin (never expire)', value: 'pin' },
+            { name: 'Done', value: 'done' }
+          ]
+        }]);
+        
+        if (action === 'done') {
+          return;
+        }
+        if (action === 'pin') {
+          record = await this.storageService.setPinned(record.address, !record.pinned);
+          continue;
+        }
+        if (action === 'extend') {
+          const { days } = await inquirer.prompt([{
+            type: 'number',
+            name: 'days',
+            message: 'Extend by how many days?',
+            default: this.storageService.expirationDays,
+            validate: input => (Number.isInteger(input) && input > 0) || 'Enter a positive whole number'
+          }]);
+          record = await this.storageService.extendAddress(record.address, days);
+          continue;
+        }
+        
+        const { value } = await inquirer.prompt([{
+          type: 'input',
+          name: 'value',
+          message: action === 'tags' ? 'Tags (comma-separated, empty to remove all):' : `${action === 'label' ? 'Label' : 'Note'} (empty to remove):`,
+          default: action === 'tags' ? (record.tags || []).join(', ') : record[action] || ''
+        }]);
+        record = await this.storageService.annotateAddress(record.address, { [action]: value });
+      }
+    } catch (error) {
+      this.displayError('Failed to edit the address', error);
+    }
+  }
+
+  /**
+   * Render the stored details of an address
+   * @param {Object} record - Stored address record
+   * @returns {string} Rendered details
+   */
+  renderAddressDetails(record) {
+    return [
+      '',
+      chalk.cyan('Email:   ') + chalk.yellow(record.address),
+      chalk.cyan('Label:   ') + (record.label || chalk.gray('none')),
+      chalk.cyan('Tags:    ') + ((record.tags || []).join(', ') || chalk.gray('none')),
+      chalk.cyan('Note:    ') + (record.note || chalk.gray('none')),
+      chalk.cyan('Expires: ') + (record.pinned ? 'never (pinned)' : new Date(record.expiresAt).toLocaleString()),
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Describe an address for pickers, with its label and tags
+   * @param {Object} record - Stored address record
+   * @returns {string} Address followed by its label and tags
+   */
+  formatAddressChoice(record) {
+    const details = [
+      record.label ? chalk.cyan(record.label) : '',
+      ...(record.tags || []).map(tag => chalk.gray(`#${tag}`))
+    ].filter(Boolean);
+    return [record.address, ...details].join(' ');
+  }
+
+  /**
+   * Follow one or all addresses and print new messages until Enter is pressed
+   */
+  async watchInboxes() {
+    try {
+      const addresses = await this.storageService.getAddresses(false, this.addressFilter);
+      if (addresses.length === 0) {
+        console.log(chalk.yellow('No email addresses found. Create one first!'));
         return;
       }
 
-      const { messageId } = await inquirer.prompt([{
-        type: 'list',
-        name: 'messageId',
-        message: 'Select email to read:',
-        choices: emails.map(email => ({
-          name: `From: ${email.from.address} - Subject: ${email.subject || '(No subject)'}`,
-          value: email.id
-        }))
-      }]);
+      const { selected, bell, notify } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'selected',
+          message: 'Watch:',
+          choices: [
+            { name: this.describeFilter() ? `All addresses matching ${this.describeFilter()}` : 'All addresses', value: addresses },
+            ...addresses.map(addr => ({ name: this.formatAddressChoice(addr), value: [addr] }))
+          ]
+        },
+        { type: 'confirm', name: 'bell', message: 'Ring the terminal bell on new mail?', default: true },
+        { type: 'confirm', name: 'notify', message: 'Show desktop notifications?', default: false }
+      ]);
 
-      console.log(chalk.cyan('\nFetching email content...'));
-      const email = await this.emailService.getEmailContent(messageId, selectedAddress.address, selectedAddress.password);
+      const watcher = this.createWatcher({ bell, notify });
+      watcher.on('message', (record, email) => console.log(this.formatNewMessage(record, email)));
+      watcher.on('mode', (record, mode) => this.displayInfo(`${record.address}: ${mode === 'push' ? 'live push' : 'polling'}`));
+      watcher.on('warning', (record, error) => this.displayError(record.address, error));
+      watcher.on('hook', (record, result) => this.displayHookResult(result));
+      await watcher.watchAll(selected);
 
-      console.log('\n' + chalk.cyan('From: ') + email.from.address);
-      console.log(chalk.cyan('To: ') + email.to.map(t => t.address).join(', '));
-      console.log(chalk.cyan('Subject: ') + (email.subject || '(No subject)'));
-      console.log(chalk.cyan('Date: ') + new Date(email.receivedDate).toLocaleString());
-      console.log('\n' + chalk.cyan('Content:'));
-      console.log(htmlToText(email.html || email.text || '(No content)'));
+      // A plain readline prompt, since an inquirer prompt would be redrawn over new messages
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+      await new Promise(resolve => rl.question(chalk.cyan('Watching for new mail. Press Enter to stop.\n'), resolve));
+      rl.close();
+      watcher.stop();
+    } catch (error) {
+      this.displayError('Failed to watch inboxes', error);
+    }
+  }
 
-      if (email.attachments && email.attachments.length > 0) {
-        console.log('\n' + chalk.cyan('Attachments:'));
-        email.attachments.forEach(att => {
-          console.log(`- ${att.filename} (${att.contentType})`);
-        });
+  /**
+   * Create an inbox watcher with optional bell and desktop notifications on new mail.
+   * New messages are also delivered to the hooks configured on their address, and each
+   * delivery result is emitted as a hook (record, result) event on the watcher.
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Delay between polls in milliseconds when there is no push channel
+   * @param {boolean} options.push - Use push channels where available (default: true)
+   * @param {boolean} options.bell - Ring the terminal bell for each new message
+   * @param {boolean} options.notify - Show a desktop notification for each new message
+   * @returns {InboxWatcher} Watcher; attach output listeners, then call watch() for each address
+   */
+  createWatcher(options = {}) {
+    const watcher = new InboxWatcher(this.emailService, { interval: options.interval, push: options.push });
+    let notifyFailed = false;
+
+    watcher.on('message', (record, email) => {
+      if (options.bell) {
+        ringBell();
+      }
+      if (options.notify && !notifyFailed) {
+        notifyDesktop(`New mail for ${record.address}`, `${email.from?.address || 'Unknown sender'}: ${email.subject || '(No subject)'}`)
+          .catch(error => {
+            // Report a missing notification tool once instead of for every message
+            notifyFailed = true;
+            this.displayError('Desktop notifications disabled', error);
+          });
+      }
+      this._runHooks(watcher, record, email);
+    });
+
+    return watcher;
+  }
+
+  /**
+   * Deliver a new message to the hooks of its address
+   * @private
+   * @param {InboxWatcher} watcher - Watcher that reported the message
+   * @param {Object} record - Stored address record
+   * @param {Object} email - New message
+   */
+  async _runHooks(watcher, record, email) {
+    if (!this.hookRunner) {
+      return;
+    }
+
+    try {
+      // Read the record again so hooks added while watching are used
+      const current = await this.storageService.getAddressMetadata(record.address);
+      if (current?.hooks?.length > 0) {
+        const results = await this.hookRunner.runHooks(current, email);
+        results.forEach(result => watcher.emit('hook', record, result));
       }
     } catch (error) {
-      this.displayError('Failed to read email', error);
+      watcher.emit('warning', record, new Error(`Hooks failed: ${error.message}`));
+    }
+  }
+
+  /**
+   * Manage the new-mail hooks of a selected address
+   */
+  async manageHooks() {
+    try {
+      const selectedAddress = await this.selectAddress('Select email address:');
+      if (!selectedAddress) {
+        return;
+      }
+
+      while (true) {
+        const record = await this.storageService.getAddressMetadata(selectedAddress.address);
+        const hooks = record.hooks || [];
+        console.log('\n' + (hooks.length > 0 ? this.renderHookTable(hooks) : chalk.yellow('No hooks configured for this address.')));
+
+        const choices = [
+          { name: 'Add webhook', value: 'webhook' },
+          { name: 'Add shell command', value: 'command' }
+        ];
+        if (hooks.length > 0) {
+          choices.push(
+            { name: 'Remove hook', value: 'remove' },
+            { name: 'Send test delivery', value: 'test' }
+          );
+        }
+        choices.push({ name: 'Show delivery log', value: 'log' }, { name: 'Done', value: 'done' });
+
+        const { action } = await inquirer.prompt([{ type: 'list', name: 'action', message: 'Hooks:', choices }]);
+        if (action === 'done') {
+          return;
+        } else if (action === 'webhook' || action === 'command') {
+          const { target } = await inquirer.prompt([{
+            type: 'input',
+            name: 'target',
+            message: action === 'webhook' ? 'URL to POST new messages to:' : 'Shell command (receives the message as JSON on stdin):',
+            validate: input => {
+              try {
+                this.hookRunner.createHook(action, input.trim());
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            }
+          }]);
+          await this.storageService.addHook(record.address, this.hookRunner.createHook(action, target.trim()));
+          this.displaySuccess('Hook added');
+        } else if (action === 'remove') {
+          const { hookId } = await inquirer.prompt([{
+            type: 'list',
+            name: 'hookId',
+            message: 'Select hook to remove:',
+            choices: hooks.map(hook => ({ name: `${hook.type}: ${this.hookRunner.describe(hook)}`, value: hook.id }))
+          }]);
+          await this.storageService.removeHook(record.address, hookId);
+          this.displaySuccess('Hook removed');
+        } else if (action === 'test') {
+          console.log(chalk.cyan('\nDelivering...'));
+          (await this.testHooks(record)).forEach(result => this.displayHookResult(result));
+        } else if (action === 'log') {
+          const entries = await this.hookRunner.getLog({ address: record.address });
+          console.log('\n' + (entries.length > 0 ? this.renderHookLog(entries) : chalk.yellow('No deliveries logged yet.')));
+        }
+      }
+    } catch (error) {
+      this.displayError('Failed to manage hooks', error);
+    }
+  }
+
+  /**
+   * Deliver the newest message of an address, or a sample message when the inbox is empty, to its hooks
+   * @param {Object} record - Stored address record
+   * @param {string} hookId - Only deliver to this hook (default: all hooks)
+   * @returns {Promise<Array<Object>>} Delivery results
+   */
+  async testHooks(record, hookId) {
+    const hooks = (record.hooks || []).filter(hook => !hookId || hook.id === hookId);
+
+    const { messages } = await this.emailService.getEmailPage(record.address, record.password, record.provider, 1);
+    const email = messages.length > 0
+      ? await this.emailService.getEmailContent(messages[0].id, record.address, record.password, record.provider)
+      : {
+        id: 'test',
+        from: { address: 'test@example.com', name: 'temp-email' },
+        to: [{ address: record.address }],
+        subject: 'Test delivery',
+        text: 'This is a test delivery from temp-email. Your code is 123456.',
+        receivedDate: new Date().toISOString()
+      };
+
+    return this.hookRunner.runHooks({ ...record, hooks }, email);
+  }
+
+  /**
+   * Print the outcome of a hook delivery
+   * @param {Object} result - Result from HookRunner.deliver
+   */
+  displayHookResult(result) {
+    const attempts = `${result.attempts} ${result.attempts === 1 ? 'attempt' : 'attempts'}`;
+    if (result.ok) {
+      this.displaySuccess(`Hook ${result.hook} (${result.type}) delivered`);
+    } else {
+      this.displayError(`Hook ${result.hook} (${result.type}) failed after ${attempts}`, { message: result.error });
+    }
+  }
+
+  /**
+   * Render hooks as a table
+   * @param {Array<Object>} hooks - Hook definitions
+   * @returns {string} Rendered table
+   */
+  renderHookTable(hooks) {
+    return this.formatTable(['ID', 'Type', 'Target'], hooks.map(hook => [hook.id, hook.type, this.hookRunner.describe(hook)]));
+  }
+
+  /**
+   * Render delivery log entries as a table
+   * @param {Array<Object>} entries - Entries from HookRunner.getLog
+   * @returns {string} Rendered table
+   */
+  renderHookLog(entries) {
+    return this.formatTable(['Time', 'Address', 'Message', 'Hook', 'Result'], entries.map(entry => [
+      new Date(entry.time).toLocaleString(),
+      entry.address,
+      entry.messageId,
+      `${entry.hook} (${entry.type})`,
+      entry.ok
+        ? chalk.green(`delivered (${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'})`)
+        : chalk.red(`failed: ${entry.error}`)
+    ]), { wordWrap: true, colWidths: [24, 30, 14, 22, 40] });
+  }
+
+  /**
+   * Format a newly arrived message as one line, with its most likely code
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message reported by InboxWatcher
+   * @returns {string} Formatted line
+   */
+  formatNewMessage(record, email) {
+    const { codes } = extractVerification(email);
+    return chalk.gray(new Date(email.receivedDate).toLocaleTimeString()) + ' ' +
+      chalk.yellow(record.address) + ' ' +
+      chalk.cyan('From: ') + (email.from?.address || 'unknown') + ' ' +
+      chalk.cyan('Subject: ') + (email.subject || '(No subject)') +
+      (codes.length > 0 ? ' ' + chalk.cyan('Code: ') + chalk.yellow(codes[0].value) : '');
+  }
+
+  /**
+   * Delete one or more messages of a selected address
+   */
+  async deleteMessages() {
+    try {
+      const selectedAddress = await this.selectAddress('Select email address:');
+      if (!selectedAddress) {
+        return;
+      }
+
+      console.log(chalk.cyan('\nFetching emails...'));
+      const emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password, selectedAddress.provider);
+      if (emails.length === 0) {
+        console.log(chalk.yellow('\nNo emails found in this inbox.'));
+        return;
+      }
+
+      const { messageIds } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'messageIds',
+        message: 'Select emails to delete:',
+        choices: emails.map(email => ({
+          name: `From: ${email.from.address} - Subject: ${email.subject || '(No subject)'}`,
+          value: email.id
+        }))
+      }]);
+      if (messageIds.length === 0) {
+        return;
+      }
+
+      const count = `${messageIds.length} ${messageIds.length === 1 ? 'message' : 'messages'}`;
+      if (!(await this.confirm(`Delete ${count} from ${selectedAddress.address}?`))) {
+        return;
+      }
+
+      const { deleted, failed } = await this.emailService.deleteEmails(messageIds, selectedAddress.address, selectedAddress.password, selectedAddress.provider);
+      if (this.currentAddress === selectedAddress.address && this.currentEmails) {
+        this.currentEmails = this.currentEmails.filter(email => !deleted.includes(email.id));
+      }
+
+      if (deleted.length > 0) {
+        this.displaySuccess(`Deleted ${deleted.length} ${deleted.length === 1 ? 'message' : 'messages'}`);
+      }
+      failed.forEach(({ id, error }) => this.displayError(`Failed to delete message ${id}`, { message: error }));
+    } catch (error) {
+      this.displayError('Failed to delete messages', error);
+    }
+  }
+
+  /**
+   * Delete a selected address locally and, if confirmed, at its provider
+   */
+  async deleteAddress() {
+    try {
+      const selectedAddress = await this.selectAddress('Select email address to delete:');
+      if (!selectedAddress) {
+        return;
+      }
+
+      const { remote } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'remote',
+        message: `Also delete the account at ${selectedAddress.provider}? (otherwise only the local record is removed)`,
+        default: true
+      }]);
+      if (!(await this.confirm(`Delete ${selectedAddress.address}? Its messages can no longer be fetched afterwards.`))) {
+        return;
+      }
+
+      await this.removeAddress(selectedAddress, { keepRemote: !remote });
+      if (this.currentAddress === selectedAddress.address) {
+        this.currentEmails = null;
+        this.currentAddress = null;
+        this.currentAddressData = null;
+      }
+      this.displaySuccess(`Deleted ${selectedAddress.address}`);
+    } catch (error) {
+      this.displayError('Failed to delete email address', error);
+    }
+  }
+
+  /**
+   * Delete an address from local storage and, unless keepRemote is set, its provider account
+   * @param {Object} record - Stored address record
+   * @param {Object} options - Options
+   * @param {boolean} options.keepRemote - Only remove the local record
+   * @returns {Promise<{remote: boolean}>} Whether a remote account was deleted (false if it no longer existed)
+   */
+  async removeAddress(record, options = {}) {
+    let remote = false;
+    if (!options.keepRemote) {
+      remote = await this.emailService.deleteRemoteAccount(record.id, record.address, record.password, record.provider);
+    }
+    await this.storageService.removeAddress(record.address);
+    return { remote };
+  }
+
+  /**
+   * Remove expired addresses, optionally deleting their provider accounts first.
+   * Addresses whose account could not be deleted are kept so a later cleanup can retry.
+   * @param {Object} options - Options
+   * @param {boolean} options.remote - Delete the provider accounts too
+   * @returns {Promise<{removed: number, failed: Array<{address: string, error: string}>}>} Cleanup outcome
+   */
+  async cleanupExpired(options = {}) {
+    const failed = [];
+    const deleteRemote = async record => {
+      try {
+        await this.emailService.deleteRemoteAccount(record.id, record.address, record.password, record.provider);
+        return true;
+      } catch (error) {
+        failed.push({ address: record.address, error: error.message });
+        return false;
+      }
+    };
+
+    const removed = await this.storageService.cleanupExpired(options.remote ? deleteRemote : undefined);
+    return { removed, failed };
+  }
+
+  /**
+   * Clean up expired addresses at startup, asking whether their provider accounts should be deleted too
+   */
+  async promptCleanupExpired() {
+    const now = new Date();
+    const expired = (await this.storageService.getAddresses(true))
+      .filter(address => isExpired(address, now));
+    if (expired.length === 0) {
+      return;
+    }
+
+    const count = `${expired.length} expired ${expired.length === 1 ? 'address' : 'addresses'}`;
+    const { remote } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'remote',
+      message: `Removing ${count}. Delete the provider accounts too?`,
+      default: false
+    }]);
+
+    const { removed, failed } = await this.cleanupExpired({ remote });
+    if (removed > 0) {
+      this.displayInfo(`Removed ${removed} expired ${removed === 1 ? 'address' : 'addresses'}`);
+    }
+    failed.forEach(({ address, error }) => this.displayError(`Kept ${address}, its account could not be deleted`, { message: error }));
+  }
+
+  /**
+   * Ask the user to confirm a destructive action
+   * @param {string} message - Question to ask
+   * @returns {Promise<boolean>} Whether the user confirmed
+   */
+  async confirm(message) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message,
+      default: false
+    }]);
+    return confirmed;
+  }
+
+  /**
+   * Export a single message as .eml or a whole inbox as mbox
+   */
+  async exportMessages() {
+    try {
+      const selectedAddress = await this.selectAddress('Select email address to export from:');
+      if (!selectedAddress) {
+        return;
+      }
+      
+      const { format } = await inquirer.prompt([{
+        type: 'list',
+        name: 'format',
+        message: 'Export:',
+        choices: [
+          { name: 'Single message (.eml)', value: 'eml' },
+          { name: 'Whole inbox (mbox)', value: 'mbox' }
+        ]
+      }]);
+      
+      let result;
+      if (format === 'eml') {
+        console.log(chalk.cyan('\nFetching emails...'));
+        const emails = await this.emailService.getEmails(selectedAddress.address, selectedAddress.password, selectedAddress.provider);
+        if (emails.length === 0) {
+          console.log(chalk.yellow('\nNo emails found in this inbox.'));
+          return;
+        }
+        
+        const { email } = await inquirer.prompt([{
+          type: 'list',
+          name: 'email',
+          message: 'Select email to export:',
+          choices: emails.map(item => ({
+            name: `From: ${item.from.address} - Subject: ${item.subject || '(No subject)'}`,
+            value: item
+          }))
+        }]);
+        result = await this.exportMessage(selectedAddress, email);
+      } else {
+        console.log(chalk.cyan('\nExporting inbox...'));
+        result = await this.exportMailbox(selectedAddress);
+      }
+      
+      this.displaySuccess(`Exported ${result.count} ${result.count === 1 ? 'message' : 'messages'} to ${result.path}`);
+    } catch (error) {
+      this.displayError('Failed to export messages', error);
+    }
+  }
+
+  /**
+   * Save the raw source of a message as an .eml file
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message summary or content with id and subject
+   * @param {string} outPath - Target file (default: a new file named after the subject in the current directory)
+   * @returns {Promise<{path: string, count: number}>} Written file
+   */
+  async exportMessage(record, email, outPath) {
+    const source = await this.emailService.getEmailSource(email.id, record.address, record.password, record.provider);
+    const filePath = await this._writeExport(outPath, `${email.subject || email.id}.eml`, source);
+    return { path: filePath, count: 1 };
+  }
+
+  /**
+   * Save all messages of an inbox, oldest first, to an mbox file
+   * @param {Object} record - Stored address record
+   * @param {string} outPath - Target file (default: a new <address>.mbox in the current directory)
+   * @param {Object} options - getEmails options to select messages (default: the whole inbox)
+   * @returns {Promise<{path: string, count: number}>} Written file and number of messages
+   */
+  async exportMailbox(record, outPath, options = {}) {
+    const emails = await this.emailService.getEmails(record.address, record.password, record.provider, {
+      ...options,
+      sort: 'date',
+      order: 'asc'
+    });
+    
+    const entries = [];
+    for (const email of emails) {
+      const source = await this.emailService.getEmailSource(email.id, record.address, record.password, record.provider);
+      entries.push(formatMboxEntry(source, { from: email.from?.address, date: email.receivedDate }));
+    }
+    
+    const filePath = await this._writeExport(outPath, `${record.address}.mbox`, Buffer.concat(entries));
+    return { path: filePath, count: emails.length };
+  }
+
+  /**
+   * Write a backup of the stored addresses, or restore addresses from one
+   */
+  async manageBackups() {
+    try {
+      const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: 'Backup:',
+        choices: [
+          { name: 'Back up addresses to a file', value: 'export' },
+          { name: 'Restore addresses from a backup', value: 'import' }
+        ]
+      }]);
+      
+      if (action === 'export') {
+        const filtered = this.describeFilter();
+        const { file, useFilter } = await inquirer.prompt([
+          { type: 'input', name: 'file', message: 'Backup file (empty for a new file in the current directory):' },
+          { type: 'confirm', name: 'useFilter', message: `Only addresses with ${filtered}?`, default: true, when: Boolean(filtered) }
+        ]);
+        
+        const result = await this.exportBackup(file.trim() || undefined, useFilter ? this.addressFilter : {});
+        this.displaySuccess(`Backed up ${result.count} ${result.count === 1 ? 'address' : 'addresses'} to ${result.path}`);
+        console.log(chalk.yellow('The backup contains the account passwords in plaintext. Keep it somewhere safe.'));
+        return;
+      }
+      
+      const { file, conflict } = await inquirer.prompt([
+        { type: 'input', name: 'file', message: 'Backup file:', validate: input => Boolean(input.trim()) || 'Enter the path of a backup file' },
+        {
+          type: 'list',
+          name: 'conflict',
+          message: 'For addresses that are already stored:',
+          choices: [
+            { name: 'Keep the stored address', value: 'skip' },
+            { name: 'Replace it with the backup', value: 'overwrite' },
+            { name: 'Keep whichever was changed last', value: 'newer' }
+          ]
+        }
+      ]);
+      
+      const records = await this.readBackupFile(file.trim());
+      const { added, replaced, skipped } = await this.storageService.restoreBackup(records, { conflict });
+      this.displaySuccess(`Restored ${added.length} new and ${replaced.length} replaced ${added.length + replaced.length === 1 ? 'address' : 'addresses'}`);
+      if (skipped.length > 0) {
+        this.displayInfo(`Kept the stored version of ${skipped.join(', ')}`);
+      }
+    } catch (error) {
+      this.displayError('Failed to back up or restore addresses', error);
+    }
+  }
+
+  /**
+   * Write a portable backup of the stored addresses, expired ones included
+   * @param {string} outPath - Target file; overwritten if it exists (default: a new temp-email-backup-<date>.json in the current directory)
+   * @param {Object} filter - Only addresses matching this filter, see StorageService.getAddresses
+   * @returns {Promise<{path: string, count: number}>} Written file and number of addresses
+   */
+  async exportBackup(outPath, filter = {}) {
+    const backup = await this.storageService.exportBackup(filter);
+    const defaultName = `temp-email-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    // The backup holds account passwords, so only the owner may read it
+    const filePath = await this._writeExport(outPath, defaultName, JSON.stringify(backup, null, 2) + '\n', { mode: 0o600 });
+    return { path: filePath, count: backup.addresses.length };
+  }
+
+  /**
+   * Read the address records of a backup made by exportBackup, or of a plain storage file
+   * @param {string} file - Path of the file
+   * @returns {Promise<Array<Object>>} Address records
+   */
+  async readBackupFile(file) {
+    const content = await fs.readFile(path.resolve(file), 'utf8');
+    try {
+      return parseBackup(JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Cannot restore from ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write exported data to the requested file, or to a new file in the current directory
+   * @private
+   * @param {string} outPath - Target file; overwritten if it exists
+   * @param {string} defaultName - File name used when no target is given
+   * @param {Buffer|string} data - File content
+   * @param {Object} options - Options
+   * @param {number} options.mode - Permissions of the file (default: 0o666 less the umask)
+   * @returns {Promise<string>} Path of the written file
+   */
+  async _writeExport(outPath, defaultName, data, options = {}) {
+    if (!outPath) {
+      return writeUniqueFile(process.cwd(), defaultName, data, options);
+    }
+    
+    const target = path.resolve(outPath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, data, { mode: options.mode });
+    if (options.mode !== undefined) {
+      // The mode only applies to new files
+      await fs.chmod(target, options.mode);
+    }
+    return target;
+  }
+
+  /**
+   * Read archived messages offline, including those of expired addresses
+   */
+  async browseArchive() {
+    try {
+      const archived = await this.archiveService.getAddresses();
+      if (archived.length === 0) {
+        this.displayInfo('The archive is empty. Messages are archived when an inbox is checked.');
+        return;
+      }
+
+      const { address } = await inquirer.prompt([{
+        type: 'list',
+        name: 'address',
+        message: 'Select archived address:',
+        choices: archived.map(entry => ({
+          name: `${entry.address} (${entry.count} ${entry.count === 1 ? 'message' : 'messages'})`,
+          value: entry.address
+        }))
+      }]);
+
+      const messages = await this.archiveService.getMessages(address);
+      await this.pickArchivedMessages(messages.map(message => ({ message })));
+    } catch (error) {
+      this.displayError('Failed to browse the archive', error);
+    }
+  }
+
+  /**
+   * Search the text of all archived messages
+   */
+  async searchArchive() {
+    try {
+      const { query } = await inquirer.prompt([{
+        type: 'input',
+        name: 'query',
+        message: 'Search for:',
+        validate: input => Boolean(input.trim()) || 'Enter one or more words'
+      }]);
+
+      const results = await this.archiveService.search(query);
+      if (results.length === 0) {
+        console.log(chalk.yellow('\nNo archived messages match your search.'));
+        return;
+      }
+
+      console.log('\n' + this.renderSearchResults(results));
+      await this.pickArchivedMessages(results);
+    } catch (error) {
+      this.displayError('Failed to search the archive', error);
+    }
+  }
+
+  /**
+   * Let the user open archived messages one after another
+   * @param {Array<{message: Object}>} entries - Archived messages to choose from
+   */
+  async pickArchivedMessages(entries) {
+    while (true) {
+      const { message } = await inquirer.prompt([{
+        type: 'list',
+        name: 'message',
+        message: 'Select email to read:',
+        choices: [
+          ...entries.map(({ message: item }) => ({
+            name: `${new Date(item.receivedDate).toLocaleDateString()} From: ${item.from?.address} - Subject: ${item.subject || '(No subject)'}`,
+            value: item
+          })),
+          { name: 'Done', value: null }
+        ]
+      }]);
+
+      if (!message) {
+        return;
+      }
+      this.printEmail(message);
+      if (!message.hasBody) {
+        console.log(chalk.yellow('\nOnly the preview of this message was archived; it was never opened.'));
+      }
+    }
+  }
+
+  /**
+   * Render archive search results as a table
+   * @param {Array<{message: Object, snippet: string}>} results - Results of ArchiveService.search
+   * @returns {string} Rendered table
+   */
+  renderSearchResults(results) {
+    const table = new Table({
+      head: ['Address', 'From', 'Subject', 'Received', 'Match'].map(h => chalk.cyan(h)),
+      colWidths: [30, 25, 25, 12, 40],
+      wordWrap: true,
+      style: { head: [], border: [] }
+    });
+
+    results.forEach(({ message, snippet }) => {
+      table.push([
+        message.address,
+        message.from?.address || '',
+        message.subject || '(No subject)',
+        new Date(message.receivedDate).toLocaleDateString(),
+        snippet
+      ]);
+    });
+
+    return table.toString();
+  }
+
+  /**
+   * Offer to save the attachments of a message to a directory
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message returned by getEmailContent
+   */
+  async promptSaveAttachments(record, email) {
+    const { selected } = await inquirer.prompt([{
+      type: 'checkbox',
+      name: 'selected',
+      message: 'Select attachments to save (none to skip):',
+      choices: email.attachments.map(att => ({
+        name: `${att.filename} (${formatSize(att.size)})`,
+        value: att
+      }))
+    }]);
+    
+    if (selected.length === 0) {
+      return;
+    }
+    
+    const { dir } = await inquirer.prompt([{
+      type: 'input',
+      name: 'dir',
+      message: 'Save to directory:',
+      default: process.cwd()
+    }]);
+    
+    const saved = await this.saveAttachments(record, email, selected, dir);
+    saved.forEach(file => this.displaySuccess(`Saved ${file.path} (${formatSize(file.size)})`));
+  }
+
+  /**
+   * Download attachments and write them to a directory under safe, unique file names
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message returned by getEmailContent
+   * @param {Array<Object>} attachments - Attachment entries of the message to save
+   * @param {string} dir - Target directory, created if missing
+   * @returns {Promise<Array<Object>>} Saved files with attachment id, filename, path and size
+   */
+  async saveAttachments(record, email, attachments, dir) {
+    const saved = [];
+    
+    for (const attachment of attachments) {
+      const data = await this.emailService.downloadAttachment(email.id, attachment, record.address, record.password, record.provider);
+      const filePath = await writeUniqueFile(dir, attachment.filename, data);
+      saved.push({
+        id: attachment.id,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        path: filePath,
+        size: data.length
+      });
+    }
+    
+    return saved;
+  }
+
+  /**
+   * Ask the user to pick one of the stored addresses
+   * @param {string} message - Prompt message
+   * @param {Object} options - Options
+   * @param {boolean} options.includeExpired - Offer expired addresses too
+   * @returns {Promise<Object|null>} Selected address record, or null when there are none
+   */
+  async selectAddress(message, options = {}) {
+    const addresses = await this.storageService.getAddresses(Boolean(options.includeExpired), this.addressFilter);
+    if (!addresses || addresses.length === 0) {
+      console.log(chalk.yellow(this.describeFilter()
+        ? `No email addresses match the filter (${this.describeFilter()}).`
+        : 'No email addresses found. Create one first!'));
+      return null;
+    }
+    
+    const { selectedAddress } = await inquirer.prompt([{
+      type: 'list',
+      name: 'selectedAddress',
+      message,
+      choices: addresses.map(addr => ({
+        name: `${this.formatAddressChoice(addr)} (expires: ${addr.pinned ? 'never' : new Date(addr.expiresAt).toLocaleDateString()})`,
+        value: addr
+      }))
+    }]);
+    
+    return selectedAddress;
+  }
+
+  /**
+   * Prompt for the master passphrase when storage is encrypted and not yet unlocked
+   * @param {number} maxAttempts - Number of passphrase attempts (default: 3)
+   * @returns {Promise<boolean>} Whether storage is readable
+   */
+  async unlockStorage(maxAttempts = 3) {
+    if (!(await this.storageService.isEncrypted())) {
+      return true;
+    }
+    
+    // A passphrase supplied through the environment counts as the first attempt
+    let passphrase = this.storageService.passphrase;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (!passphrase) {
+        ({ passphrase } = await inquirer.prompt([{
+          type: 'password',
+          name: 'passphrase',
+          message: 'Storage passphrase:',
+          mask: '*'
+        }]));
+        this.storageService.setPassphrase(passphrase);
+      }
+      
+      try {
+        await this.storageService.getAddresses(true);
+        return true;
+      } catch (error) {
+        if (error.code !== 'VAULT_BAD_PASSPHRASE') {
+          throw error;
+        }
+        this.displayError('Wrong passphrase');
+        passphrase = null;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Render stored addresses as a table with their expiration status
+   * @param {Array<Object>} addresses - Stored address records
+   * @param {Map<string, number|null>} unreadCounts - Unread counts from getUnreadCounts; adds an Unread column when given
+   * @returns {string} Rendered table
+   */
+  renderAddressTable(addresses, unreadCounts) {
+    const head = [
+      chalk.cyan('Email Address'), 
+      chalk.cyan('Created Date'), 
+      chalk.cyan('Provider'), 
+      chalk.cyan('Expires On'), 
+      chalk.cyan('Status')
+    ];
+    const colWidths = [40, 20, 10, 20, 15];
+    const annotated = addresses.some(address => address.label || (address.tags || []).length > 0);
+    if (annotated) {
+      head.splice(1, 0, chalk.cyan('Label / Tags'));
+      colWidths.splice(1, 0, 24);
+    }
+    if (unreadCounts) {
+      head.push(chalk.cyan('Unread'));
+      colWidths.push(8);
+    }
+    
+    const table = new Table({ head, colWidths, wordWrap: annotated });
+    
+    addresses.forEach(address => {
+      const createdDate = new Date(address.createdAt).toLocaleDateString();
+      const expiresDate = address.pinned ? 'never' : new Date(address.expiresAt).toLocaleDateString();
+      const now = new Date();
+      const expirationDate = new Date(address.expiresAt);
+      
+      let status = chalk.green('Active');
+      if (address.pinned) {
+        status = chalk.cyan('Pinned');
+      } else if (expirationDate < now) {
+        status = chalk.red('Expired');
+      } else if (expirationDate - now < 24 * 60 * 60 * 1000) {
+        status = chalk.yellow('Expiring soon');
+      }
+      
+      const row = [address.address, createdDate, address.provider, expiresDate, status];
+      if (annotated) {
+        row.splice(1, 0, [address.label, ...(address.tags || []).map(tag => chalk.gray(`#${tag}`))].filter(Boolean).join(' '));
+      }
+      if (unreadCounts) {
+        const unread = unreadCounts.get(address.address);
+        row.push(unread === null || unread === undefined ? chalk.gray('?') : unread > 0 ? chalk.yellow(unread) : '0');
+      }
+      table.push(row);
+    });
+    
+    return table.toString();
+  }
+
+  /**
+   * Render a list of message summaries as a table
+   * @param {Array<Object>} emails - Messages returned by getEmails
+   * @returns {string} Rendered table
+   */
+  renderInboxTable(emails) {
+    const table = new Table({
+      head: ['', 'ID', 'From', 'Subject', 'Received'].map(h => chalk.cyan(h)),
+      style: { head: [], border: [] }
+    });
+
+    emails.forEach(email => {
+      table.push([
+        email.seen ? '' : chalk.yellow('●'),
+        email.id,
+        email.from.address,
+        email.subject || '(No subject)',
+        new Date(email.receivedDate).toLocaleString()
+      ]);
+    });
+
+    return table.toString();
+  }
+
+  /**
+   * Print the headers, body and attachments of a full message
+   * @param {Object} email - Message returned by getEmailContent
+   */
+  printEmail(email) {
+    console.log('\n' + chalk.cyan('From: ') + email.from.address);
+    console.log(chalk.cyan('To: ') + (email.to || []).map(t => t.address).join(', '));
+    console.log(chalk.cyan('Subject: ') + (email.subject || '(No subject)'));
+    console.log(chalk.cyan('Date: ') + new Date(email.receivedDate).toLocaleString());
+    console.log('\n' + chalk.cyan('Content:'));
+    const body = this.renderEmailBody(email);
+    console.log(body.text);
+
+    if (body.links.length > 0) {
+      console.log('\n' + chalk.cyan('Links:'));
+      body.links.forEach((link, index) => console.log(`${chalk.gray(`[${index + 1}]`)} ${link}`));
+    }
+
+    if (email.attachments && email.attachments.length > 0) {
+      console.log('\n' + chalk.cyan('Attachments:'));
+      email.attachments.forEach(att => {
+        console.log(`- ${att.filename} (${att.contentType}, ${formatSize(att.size)})`);
+      });
+    }
+
+    const { codes, links } = extractVerification(email);
+    if (codes.length > 0) {
+      console.log('\n' + chalk.cyan('Possible codes: ') + codes.slice(0, 3).map(c => chalk.yellow(c.value)).join(', '));
+    }
+    if (links.length > 0) {
+      console.log('\n' + chalk.cyan('Action links:'));
+      links.slice(0, 3).forEach(link => {
+        console.log(`- [${link.type}] ${link.text ? link.text + ': ' : ''}${chalk.yellow(link.url)}`);
+      });
+    }
+  }
+
+  /**
+   * Turn the body of a full message into plain text, with links replaced by [n] markers
+   * @param {Object} email - Message returned by getEmailContent
+   * @returns {{text: string, links: Array<string>}} Body text and the openable links, links[n - 1] for marker [n]
+   */
+  renderEmailBody(email) {
+    // mail.tm returns the HTML body as an array of parts
+    const html = [].concat(email.html || []).join('\n');
+    if (html) {
+      return htmlToFootnotedText(html);
     }
+    // Plain-text bodies show their URLs already, so they are only numbered in the link list
+    const text = email.text || email.intro || '(No content)';
+    return { text, links: findTextLinks(text) };
   }
 
   // Helper methods for formatting output
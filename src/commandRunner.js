@@ -0,0 +1,1543 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { parseArgs } = require('./argParser');
+const { extractVerification } = require('./extractor');
+const { getProviderNames } = require('./providers');
+const { SORT_FIELDS, filterMessages, sortMessages } = require('./messageFilter');
+const { formatSize } = require('./fileUtils');
+const { SETTINGS } = require('./configService');
+const { isExpired, CONFLICT_STRATEGIES } = require('./storageService');
+const ApiServer = require('./apiServer');
+const InboxBrowser = require('./inboxBrowser');
+const { openExternal } = require('./desktop');
+const { version } = require('../package.json');
+
+/**
+ * Process exit codes returned by the non-interactive subcommands
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  TIMEOUT: 4,
+  NOTHING_EXTRACTED: 5,
+  LOCKED: 6,
+  // 128 + SIGINT, as shells report a command stopped with Ctrl+C
+  INTERRUPTED: 130
+};
+
+/**
+ * Error raised by a subcommand, carrying the exit code the process should end with
+ */
+class CommandError extends Error {
+  /**
+   * @param {string} message - Error message shown to the user
+   * @param {number} exitCode - Process exit code (default: EXIT_CODES.ERROR)
+   */
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CommandError';
+    this.exitCode = exitCode;
+  }
+}
+
+// Long flags that take a value
+const STRING_FLAGS = [
+  'provider', 'host', 'port', 'from', 'subject', 'body', 'timeout', 'interval', 'backoff',
+  'since', 'until', 'page', 'sort', 'order', 'dir', 'out', 'address', 'url', 'command', 'limit',
+  'username', 'domain', 'password', 'file', 'label', 'note', 'tag', 'untag', 'extend', 'conflict', 'token',
+  'open'
+];
+
+// Single-letter shortcuts for long flags
+const FLAG_ALIASES = {
+  h: 'help',
+  j: 'json',
+  a: 'all',
+  c: 'code',
+  l: 'link',
+  o: 'out',
+  v: 'version',
+  y: 'yes'
+};
+
+/**
+ * Turn a filter flag into a matcher; values written as /pattern/flags become regular expressions
+ * @param {string} value - Flag value
+ * @returns {string|RegExp|undefined} Matcher accepted by EmailService.waitForEmail
+ */
+function parseMatcher(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  if (!match) {
+    return value;
+  }
+
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new CommandError(`Invalid regular expression ${value}: ${error.message}`, EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * Parse a positive numeric flag
+ * @param {string} value - Flag value
+ * @param {string} name - Flag name used in the error message
+ * @param {number} scale - Multiplier applied to the parsed number (e.g. 1000 for seconds to milliseconds)
+ * @returns {number|undefined} Scaled number, or undefined when the flag was not given
+ */
+function parseNumber(value, name, scale = 1) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new CommandError(`Option --${name} must be a positive number`, EXIT_CODES.USAGE);
+  }
+  return number * scale;
+}
+
+/**
+ * Runs subcommands given on the command line, for use from shell scripts and CI
+ */
+class CommandRunner {
+  /**
+   * @param {EmailService} emailService - Email service instance
+   * @param {StorageService} storageService - Storage service instance
+   * @param {CLIInterface} cliInterface - Interactive interface whose logic and formatting are reused
+   * @param {ArchiveService} archiveService - Local message archive
+   * @param {ConfigService} configService - Config file and effective settings
+   */
+  constructor(emailService, storageService, cliInterface, archiveService, configService) {
+    this.emailService = emailService;
+    this.storageService = storageService;
+    this.cliInterface = cliInterface;
+    this.archiveService = archiveService;
+    this.configService = configService;
+    this.json = false;
+
+    this.commands = {
+      create: {
+        usage: 'create [--provider <name>] [--username <name>] [--domain <domain>]',
+        description: 'Create a new temporary email address with a generated password',
+        options: [
+          ['--provider <name>', `Mail provider to use (${getProviderNames().join(', ')})`],
+          ['--username <name>', 'Part before the @ (default: random letters)'],
+          ['--domain <domain>', 'One of the provider\'s active domains, see "domains" (default: the first one)']
+        ],
+        minArgs: 0,
+        handler: this.create
+      },
+      'import-account': {
+        usage: 'import-account <address> | --file <path>',
+        description: 'Store an existing account after checking its credentials with the provider',
+        options: [
+          ['--password <password>', 'Account password (prompted for on a terminal when omitted)'],
+          ['--file <path>', 'Import every account in a CSV (address,password[,provider]) or JSON file'],
+          ['--provider <name>', 'Provider of accounts that do not name one (default: the configured provider)']
+        ],
+        minArgs: 0,
+        handler: this.importAccount
+      },
+      domains: {
+        usage: 'domains [--provider <name>]',
+        description: 'List the domains a provider offers for new addresses',
+        minArgs: 0,
+        unlock: false,
+        handler: this.domains
+      },
+      list: {
+        usage: 'list [--all] [--unread] [--tag <tags>] [--label <text>]',
+        description: 'List stored email addresses (--all includes expired ones, --unread counts unread messages)',
+        options: [
+          ['--tag <tag,...>', 'Only addresses with all of these tags'],
+          ['--label <text|/regex/>', 'Only addresses with a matching label']
+        ],
+        minArgs: 0,
+        handler: this.list
+      },
+      annotate: {
+        usage: 'annotate <address> [options]',
+        description: 'Set the label, tags and note of an address, and print them',
+        options: [
+          ['--label <text>', 'Short name, e.g. what the address was used for ("" removes it)'],
+          ['--note <text>', 'Free-text note ("" removes it)'],
+          ['--tag <tag,...>', 'Add tags'],
+          ['--untag <tag,...>', 'Remove tags']
+        ],
+        minArgs: 1,
+        handler: this.annotate
+      },
+      expiry: {
+        usage: 'expiry <address> [options]',
+        description: 'Extend, set or pin the expiry of an address, and print it',
+        options: [
+          ['--extend <days>', 'Push the expiry back by this many days'],
+          ['--until <date>', 'Expire at this date and time'],
+          ['--pin, --unpin', 'Never expire, or expire as scheduled again']
+        ],
+        minArgs: 1,
+        handler: this.expiry
+      },
+      inbox: {
+        usage: 'inbox <address> [options]',
+        description: 'List the messages in an inbox (all pages unless --page is given)',
+        options: [
+          ['--page <n>', 'Fetch only this page of the inbox'],
+          ['--from <text|/regex/>', 'Only messages from a matching sender'],
+          ['--subject <text|/regex/>', 'Only messages with a matching subject'],
+          ['--since <date>, --until <date>', 'Only messages received in this date range'],
+          ['--attachments, --no-attachments', 'Only messages with or without attachments'],
+          ['--unread', 'Only messages that have not been read'],
+          ['--sort <date|from|subject>', 'Sort field (default: date)'],
+          ['--order <asc|desc>', 'Sort order (default: desc)']
+        ],
+        minArgs: 1,
+        handler: this.inbox
+      },
+      browse: {
+        usage: 'browse [address] [options]',
+        description: 'Browse inboxes in a full-screen, keyboard-driven view (needs a terminal)',
+        options: [
+          ['<address>', 'Open this address first'],
+          ['--tag <tag,...>, --label <text|/regex/>', 'Only show addresses with these tags or a matching label']
+        ],
+        minArgs: 0,
+        handler: this.browse
+      },
+      read: {
+        usage: 'read <address> <messageId> [--code|--link]',
+        description: 'Print a single message, with its links numbered',
+        options: [
+          ['-c, --code', 'Print only the most likely one-time code'],
+          ['-l, --link', 'Print only the most likely confirm/verify/reset link'],
+          ['--open <n>', 'Open link number n in the browser and print it'],
+          ['--browser', 'Open a copy without scripts and remote content in the browser']
+        ],
+        minArgs: 2,
+        handler: this.read
+      },
+      mark: {
+        usage: 'mark <address> <messageId...> [--unread]',
+        description: 'Mark messages as read (or unread with --unread)',
+        minArgs: 2,
+        handler: this.mark
+      },
+      attachments: {
+        usage: 'attachments <address> <messageId>',
+        description: 'List the attachments of a message',
+        minArgs: 2,
+        handler: this.attachments
+      },
+      download: {
+        usage: 'download <address> <messageId> [attachment...] [--dir <dir>]',
+        description: 'Save attachments (by ID or filename, default: all) to a directory',
+        options: [
+          ['--dir <dir>', 'Target directory (default: current directory)']
+        ],
+        minArgs: 2,
+        handler: this.download
+      },
+      eml: {
+        usage: 'eml <address> <messageId> [--out <file>]',
+        description: 'Export a message as an .eml file (--out - writes to stdout)',
+        minArgs: 2,
+        handler: this.eml
+      },
+      mbox: {
+        usage: 'mbox <address> [--out <file>] [inbox filters]',
+        description: 'Export all messages of an inbox, or those matching the inbox filters, as an mbox file',
+        minArgs: 1,
+        handler: this.mbox
+      },
+      wait: {
+        usage: 'wait <address> [options]',
+        description: 'Wait until a matching message arrives and print it',
+        options: [
+          ['--from <text|/regex/>', 'Match the sender name or address'],
+          ['--subject <text|/regex/>', 'Match the subject line'],
+          ['--body <text|/regex/>', 'Match the message body'],
+          ['--timeout <seconds>', 'Give up after this long (default: 60)'],
+          ['--interval <seconds>', 'Initial delay between polls (default: 2)'],
+          ['--backoff <factor>', 'Growth factor for the delay (default: 1.5)'],
+          ['--since <date>', 'Ignore messages received before this time'],
+          ['-c, --code, -l, --link', 'Print only the extracted code or link, as for read']
+        ],
+        minArgs: 1,
+        handler: this.wait
+      },
+      archive: {
+        usage: 'archive [address] [messageId] [options]',
+        description: 'Read archived messages offline, including those of expired addresses',
+        options: [
+          ['(no arguments)', 'List the archived addresses'],
+          ['<address> [inbox filters]', 'List the archived messages of an address'],
+          ['<address> <messageId> [--code|--link]', 'Print an archived message'],
+          ['<address> --purge', 'Delete the archived messages of an address']
+        ],
+        minArgs: 0,
+        unlock: false,
+        handler: this.archive
+      },
+      search: {
+        usage: 'search <query> [options]',
+        description: 'Search the text of all archived messages; every word must match',
+        options: [
+          ['<query>', 'Words to look for, or a single /regex/'],
+          ['--address <address>', 'Only search the messages of this address'],
+          ['[inbox filters]', 'Narrow the results like the inbox command']
+        ],
+        minArgs: 1,
+        unlock: false,
+        handler: this.search
+      },
+      watch: {
+        usage: 'watch [address...] [options]',
+        description: 'Print new messages as they arrive (default: all stored addresses) until interrupted',
+        options: [
+          ['--tag <tag,...>, --label <text>', 'Without addresses, watch only the addresses with these tags or label'],
+          ['--interval <seconds>', 'Delay between polls when push is unavailable (default: 10)'],
+          ['--no-push', 'Always poll instead of using the provider\'s push channel'],
+          ['--bell', 'Ring the terminal bell on new mail'],
+          ['--notify', 'Show a desktop notification on new mail'],
+          ['-j, --json', 'Print one JSON object per message and line']
+        ],
+        minArgs: 0,
+        handler: this.watch
+      },
+      hooks: {
+        usage: 'hooks <list|add|remove|test|log> [address] [options]',
+        description: 'Manage webhooks and shell commands run for new mail while watching',
+        options: [
+          ['list <address>', 'List the hooks of an address'],
+          ['add <address> --url <url>', 'POST each new message as JSON to a URL'],
+          ['add <address> --command <cmd>', 'Run a shell command with each new message as JSON on stdin'],
+          ['remove <address> <hookId>', 'Remove a hook'],
+          ['test <address> [hookId]', 'Deliver the newest message (or a sample) now'],
+          ['log [address] [--limit <n>]', 'Show recent deliveries (default: 20)']
+        ],
+        minArgs: 1,
+        handler: this.hooks
+      },
+      smtp: {
+        usage: 'smtp [--host <host>] [--port <port>]',
+        description: 'Run the SMTP receiver for addresses of the local provider',
+        minArgs: 0,
+        handler: this.smtp
+      },
+      serve: {
+        usage: 'serve [--port <port>] [options]',
+        description: 'Serve the stored addresses and their messages as a local HTTP JSON API until interrupted',
+        options: [
+          ['--host <host>', 'Interface to listen on (default: 127.0.0.1; others need a token)'],
+          ['--port <port>', 'Port to listen on (default: 8025)'],
+          ['--token <token>', 'Require "Authorization: Bearer <token>" (default: TEMP_EMAIL_API_TOKEN)']
+        ],
+        minArgs: 0,
+        handler: this.serve
+      },
+      delete: {
+        usage: 'delete <address> [messageId...] [options]',
+        description: 'Delete messages, or an address both remotely and locally',
+        options: [
+          ['--local-only', 'Only remove the local record of the address, keeping the account'],
+          ['-y, --yes', 'Do not ask for confirmation (required when not on a terminal)']
+        ],
+        minArgs: 1,
+        handler: this.delete
+      },
+      cleanup: {
+        usage: 'cleanup [--remote] [--yes]',
+        description: 'Remove expired addresses (--remote deletes their provider accounts too)',
+        minArgs: 0,
+        handler: this.cleanup
+      },
+      vault: {
+        usage: 'vault <status|encrypt|change-passphrase|decrypt>',
+        description: 'Manage encryption of stored credentials',
+        options: [
+          ['TEMP_EMAIL_PASSPHRASE', 'Current passphrase (prompted for when unset)'],
+          ['TEMP_EMAIL_NEW_PASSPHRASE', 'New passphrase for encrypt/change-passphrase']
+        ],
+        minArgs: 1,
+        unlock: false,
+        handler: this.vault
+      },
+      export: {
+        usage: 'export [--out <file>] [options]',
+        description: 'Write a portable backup of the stored addresses, including passwords (--out - writes to stdout)',
+        options: [
+          ['--out <file>', 'Target file (default: a new temp-email-backup-<date>.json)'],
+          ['--tag <tag,...>, --label <text|/regex/>', 'Only addresses with these tags or a matching label'],
+          ['--since <date>, --until <date>', 'Only addresses created in this date range']
+        ],
+        minArgs: 0,
+        handler: this.export
+      },
+      import: {
+        usage: 'import <file> [--conflict <strategy>]',
+        description: 'Restore addresses from a backup made with export, or from a copy of the storage file',
+        options: [
+          ['--conflict <skip|overwrite|newer>', 'For addresses already stored: keep them, replace them, or keep whichever changed last (default: skip)']
+        ],
+        minArgs: 1,
+        handler: this.import
+      },
+      config: {
+        usage: 'config <list|get|set|unset> [key] [value]',
+        description: 'Show or change settings in the config file',
+        minArgs: 1,
+        unlock: false,
+        handler: this.config
+      }
+    };
+  }
+
+  /**
+   * Parse the arguments and run the requested subcommand
+   * @param {Array<string>} argv - Arguments without the node executable and script path
+   * @returns {Promise<number>} Process exit code
+   */
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs(argv, { strings: STRING_FLAGS, aliases: FLAG_ALIASES });
+    } catch (error) {
+      return this.fail(new CommandError(error.message, EXIT_CODES.USAGE));
+    }
+
+    const { command, args, flags } = parsed;
+    this.json = Boolean(flags.json);
+
+    if (flags.version) {
+      console.log(version);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (!command || command === 'help' || flags.help) {
+      this.printHelp();
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const entry = this.commands[command];
+    if (!entry) {
+      return this.fail(new CommandError(`Unknown command '${command}'. Run 'temp-email help' for usage.`, EXIT_CODES.USAGE));
+    }
+
+    if (args.length < entry.minArgs) {
+      return this.fail(new CommandError(`Usage: temp-email ${entry.usage}`, EXIT_CODES.USAGE));
+    }
+
+    try {
+      if (entry.unlock !== false) {
+        await this.ensureUnlocked();
+      }
+      await entry.handler.call(this, args, flags);
+      return EXIT_CODES.SUCCESS;
+    } catch (error) {
+      return this.fail(error);
+    }
+  }
+
+  /**
+   * Create a new address
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async create(args, flags) {
+    this.checkProvider(flags.provider);
+
+    const record = await this.cliInterface.provisionAddress(flags.provider, {
+      username: flags.username,
+      domain: flags.domain
+    });
+    if (!record) {
+      throw new CommandError('The email provider did not return an address');
+    }
+
+    this.print({
+      address: record.address,
+      password: record.password,
+      provider: record.provider,
+      id: record.id,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    }, () => {
+      console.log(record.address);
+    });
+  }
+
+  /**
+   * Import existing accounts given on the command line or in a file
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async importAccount(args, flags) {
+    this.checkProvider(flags.provider);
+
+    let accounts;
+    if (flags.file) {
+      if (args.length > 0) {
+        throw new CommandError('Give either an address or --file, not both', EXIT_CODES.USAGE);
+      }
+      accounts = await this.cliInterface.readAccountFile(flags.file);
+    } else if (args.length === 1) {
+      accounts = [{ address: args[0], password: flags.password || await this.readAccountPassword(args[0]) }];
+    } else {
+      throw new CommandError('Usage: temp-email import-account <address> [--password <password>] | --file <path>', EXIT_CODES.USAGE);
+    }
+
+    const { imported, failed } = await this.cliInterface.importAccounts(accounts, { provider: flags.provider });
+    this.print({
+      imported: imported.map(record => ({
+        address: record.address,
+        provider: record.provider,
+        id: record.id,
+        quota: record.quota,
+        used: record.used,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+      })),
+      failed
+    }, () => {
+      imported.forEach(record => this.cliInterface.displaySuccess(`Imported ${record.address} (${record.provider})`));
+    });
+    if (failed.length > 0) {
+      throw new CommandError(failed.map(({ address, error }) => `${address || '(no address)'}: ${error}`).join('\n'));
+    }
+  }
+
+  /**
+   * Prompt for the password of an account to import
+   * @param {string} address - Email address
+   * @returns {Promise<string>} Password
+   */
+  async readAccountPassword(address) {
+    if (!process.stdin.isTTY) {
+      throw new CommandError('Pass --password when not running on a terminal', EXIT_CODES.USAGE);
+    }
+
+    const { password } = await inquirer.prompt([{ type: 'password', name: 'password', message: `Password for ${address}:`, mask: '*' }]);
+    return password;
+  }
+
+  /**
+   * List the active domains of a provider
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async domains(args, flags) {
+    this.checkProvider(flags.provider);
+
+    const domains = await this.emailService.getDomains(flags.provider);
+    this.print(domains, () => {
+      domains.forEach(domain => console.log(domain));
+    });
+  }
+
+  /**
+   * Fail with a usage error for a provider name that does not exist
+   * @param {string} provider - Provider flag value, if given
+   */
+  checkProvider(provider) {
+    if (provider && !getProviderNames().includes(provider)) {
+      throw new CommandError(`Unknown provider '${provider}'. Available providers: ${getProviderNames().join(', ')}`, EXIT_CODES.USAGE);
+    }
+  }
+
+  /**
+   * List stored addresses
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async list(args, flags) {
+    const filter = this.parseAddressFilter(flags);
+    const addresses = await this.storageService.getAddresses(Boolean(flags.all), filter);
+    const unreadCounts = flags.unread ? await this.cliInterface.getUnreadCounts(addresses) : undefined;
+    const now = new Date();
+
+    this.print(addresses.map(addr => ({
+      ...this.formatAddress(addr),
+      expired: isExpired(addr, now),
+      ...(unreadCounts && { unread: unreadCounts.get(addr.address) })
+    })), () => {
+      if (addresses.length === 0) {
+        this.cliInterface.displayInfo(filter.tags || filter.label
+          ? 'No email addresses match the given tags and label.'
+          : 'No email addresses found. Create one using the "create" command.');
+        return;
+      }
+      console.log(this.cliInterface.renderAddressTable(addresses, unreadCounts));
+    });
+  }
+
+  /**
+   * Change the label, tags or note of an address
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async annotate([address], flags) {
+    const record = await this.resolveAddress(address);
+    const details = {
+      label: flags.label,
+      note: flags.note,
+      addTags: flags.tag,
+      removeTags: flags.untag
+    };
+
+    const updated = Object.values(details).some(value => value !== undefined)
+      ? await this.storageService.annotateAddress(record.address, details)
+      : record;
+    this.print(this.formatAddress(updated), () => console.log(this.cliInterface.renderAddressDetails(updated)));
+  }
+
+  /**
+   * Extend, set or pin the expiry of an address
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async expiry([address], flags) {
+    const changes = ['extend', 'until', 'pin', 'unpin'].filter(flag => flags[flag] !== undefined);
+    if (changes.length > 1) {
+      throw new CommandError('Use only one of --extend, --until, --pin and --unpin', EXIT_CODES.USAGE);
+    }
+
+    let record = await this.resolveAddress(address);
+    if (flags.extend !== undefined) {
+      const days = parseNumber(flags.extend, 'extend');
+      if (!Number.isInteger(days)) {
+        throw new CommandError('Option --extend must be a whole number of days', EXIT_CODES.USAGE);
+      }
+      record = await this.storageService.extendAddress(record.address, days);
+    } else if (flags.until !== undefined) {
+      const until = new Date(flags.until);
+      if (Number.isNaN(until.getTime())) {
+        throw new CommandError(`Invalid date for --until: ${flags.until}`, EXIT_CODES.USAGE);
+      }
+      record = await this.storageService.setExpiry(record.address, until);
+    } else if (flags.pin || flags.unpin) {
+      record = await this.storageService.setPinned(record.address, Boolean(flags.pin));
+    }
+
+    this.print({ ...this.formatAddress(record), expired: isExpired(record) }, () => {
+      if (record.pinned) {
+        this.cliInterface.displayInfo(`${record.address} is pinned and never expires`);
+      } else {
+        const verb = isExpired(record) ? 'expired' : 'expires';
+        this.cliInterface.displayInfo(`${record.address} ${verb} ${new Date(record.expiresAt).toLocaleString()}`);
+      }
+    });
+  }
+
+  /**
+   * Build the address filter given by --tag and --label
+   * @param {Object} flags - Parsed flags
+   * @returns {Object} Filter accepted by StorageService.getAddresses
+   */
+  parseAddressFilter(flags) {
+    return { tags: flags.tag, label: parseMatcher(flags.label) };
+  }
+
+  /**
+   * Select the fields of an address record shown in JSON output; credentials are left out
+   * @param {Object} record - Stored address record
+   * @returns {Object} Address details
+   */
+  formatAddress(record) {
+    return {
+      address: record.address,
+      provider: record.provider,
+      id: record.id,
+      label: record.label || null,
+      tags: record.tags || [],
+      note: record.note || null,
+      pinned: Boolean(record.pinned),
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    };
+  }
+
+  /**
+   * List the messages of an address
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async inbox([address], flags) {
+    const options = this.parseInboxOptions(flags);
+    const record = await this.resolveAddress(address);
+    const emails = await this.emailService.getEmails(record.address, record.password, record.provider, options);
+
+    this.print(emails, () => {
+      if (emails.length === 0) {
+        this.cliInterface.displayInfo('No emails found in this inbox.');
+        return;
+      }
+      console.log(this.cliInterface.renderInboxTable(emails));
+    });
+  }
+
+  /**
+   * Open the full-screen inbox browser
+   * @param {Array<string>} args - Positional arguments: address to open first
+   * @param {Object} flags - Parsed flags
+   */
+  async browse([address], flags) {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      throw new CommandError('The inbox browser needs an interactive terminal; use "inbox" and "read" in scripts', EXIT_CODES.USAGE);
+    }
+    if (address) {
+      await this.resolveAddress(address);
+    }
+
+    const browser = new InboxBrowser(this.cliInterface, { filter: this.parseAddressFilter(flags) });
+    if (!(await browser.load(address))) {
+      throw new CommandError('No email addresses to browse. Create one using the "create" command.', EXIT_CODES.NOT_FOUND);
+    }
+    await browser.run();
+  }
+
+  /**
+   * Print a single message
+   * @param {Array<string>} args - Positional arguments: address, message ID
+   * @param {Object} flags - Parsed flags
+   */
+  async read([address, messageId], flags) {
+    const record = await this.resolveAddress(address);
+    const email = await this.emailService.getEmailContent(messageId, record.address, record.password, record.provider);
+
+    if (flags.browser) {
+      const { path, blocked } = await this.cliInterface.openInBrowser(email);
+      this.print({ path, blocked }, () => {
+        this.cliInterface.displaySuccess(`Opened ${path}${blocked > 0 ? ` (${blocked} remote ${blocked === 1 ? 'resource' : 'resources'} blocked)` : ''}`);
+      });
+      return;
+    }
+
+    if (flags.open !== undefined) {
+      const { links } = this.cliInterface.renderEmailBody(email);
+      if (links.length === 0) {
+        throw new CommandError('The message has no links', EXIT_CODES.NOTHING_EXTRACTED);
+      }
+      const number = parseNumber(flags.open, 'open');
+      if (!Number.isInteger(number) || number > links.length) {
+        throw new CommandError(`Option --open must be a link number from 1 to ${links.length}`, EXIT_CODES.USAGE);
+      }
+
+      const link = links[number - 1];
+      await openExternal(link);
+      this.print({ link }, () => console.log(link));
+      return;
+    }
+
+    this.printMessage(email, flags);
+  }
+
+  /**
+   * Mark messages as read or unread
+   * @param {Array<string>} args - Positional arguments: address, message IDs
+   * @param {Object} flags - Parsed flags
+   */
+  async mark([address, ...messageIds], flags) {
+    const record = await this.resolveAddress(address);
+    const seen = !flags.unread;
+    const result = await this.emailService.markEmails(messageIds, seen, record.address, record.password, record.provider);
+
+    this.print({ address: record.address, seen, ...result }, () => {
+      result.updated.forEach(id => this.cliInterface.displaySuccess(`Marked message ${id} as ${seen ? 'read' : 'unread'}`));
+    });
+    if (result.failed.length > 0) {
+      throw new CommandError(result.failed.map(({ id, error }) => `Message ${id}: ${error}`).join('\n'));
+    }
+  }
+
+  /**
+   * List the attachments of a message
+   * @param {Array<string>} args - Positional arguments: address, message ID
+   */
+  async attachments([address, messageId]) {
+    const record = await this.resolveAddress(address);
+    const email = await this.emailService.getEmailContent(messageId, record.address, record.password, record.provider);
+    const attachments = (email.attachments || []).map(att => ({
+      id: att.id,
+      filename: att.filename,
+      contentType: att.contentType,
+      size: att.size
+    }));
+
+    this.print(attachments, () => {
+      if (attachments.length === 0) {
+        this.cliInterface.displayInfo('This message has no attachments.');
+        return;
+      }
+      console.log(this.cliInterface.formatTable(
+        ['ID', 'Filename', 'Type', 'Size'],
+        attachments.map(att => [att.id, att.filename, att.contentType, formatSize(att.size)])
+      ));
+    });
+  }
+
+  /**
+   * Save attachments of a message to a directory
+   * @param {Array<string>} args - Positional arguments: address, message ID, optional attachment IDs or filenames
+   * @param {Object} flags - Parsed flags
+   */
+  async download([address, messageId, ...wanted], flags) {
+    const record = await this.resolveAddress(address);
+    const email = await this.emailService.getEmailContent(messageId, record.address, record.password, record.provider);
+    const available = email.attachments || [];
+
+    if (available.length === 0) {
+      throw new CommandError('This message has no attachments', EXIT_CODES.NOT_FOUND);
+    }
+
+    const selected = wanted.length === 0 ? available : wanted.map(name => {
+      const attachment = available.find(att => att.id === name || att.filename === name);
+      if (!attachment) {
+        throw new CommandError(`Attachment ${name} not found in message ${messageId}`, EXIT_CODES.NOT_FOUND);
+      }
+      return attachment;
+    });
+
+    const saved = await this.cliInterface.saveAttachments(record, email, selected, flags.dir || process.cwd());
+
+    this.print(saved, () => {
+      saved.forEach(file => this.cliInterface.displaySuccess(`Saved ${file.path} (${formatSize(file.size)})`));
+    });
+  }
+
+  /**
+   * Export a message as an .eml file
+   * @param {Array<string>} args - Positional arguments: address, message ID
+   * @param {Object} flags - Parsed flags
+   */
+  async eml([address, messageId], flags) {
+    const record = await this.resolveAddress(address);
+
+    if (flags.out === '-') {
+      process.stdout.write(await this.emailService.getEmailSource(messageId, record.address, record.password, record.provider));
+      return;
+    }
+
+    const email = await this.emailService.getEmailContent(messageId, record.address, record.password, record.provider);
+    const result = await this.cliInterface.exportMessage(record, email, flags.out);
+    this.print(result, () => this.cliInterface.displaySuccess(`Exported message to ${result.path}`));
+  }
+
+  /**
+   * Export an inbox as an mbox file
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async mbox([address], flags) {
+    const options = this.parseInboxOptions(flags);
+    const record = await this.resolveAddress(address);
+    const result = await this.cliInterface.exportMailbox(record, flags.out, options);
+
+    this.print(result, () => {
+      this.cliInterface.displaySuccess(`Exported ${result.count} ${result.count === 1 ? 'message' : 'messages'} to ${result.path}`);
+    });
+  }
+
+  /**
+   * Poll an inbox until a matching message arrives
+   * @param {Array<string>} args - Positional arguments: address
+   * @param {Object} flags - Parsed flags
+   */
+  async wait([address], flags) {
+    const filters = {
+      from: parseMatcher(flags.from),
+      subject: parseMatcher(flags.subject),
+      body: parseMatcher(flags.body)
+    };
+    const options = {
+      timeout: parseNumber(flags.timeout, 'timeout', 1000),
+      interval: parseNumber(flags.interval, 'interval', 1000),
+      backoff: parseNumber(flags.backoff, 'backoff', 1),
+      since: flags.since
+    };
+    if (options.since && isNaN(new Date(options.since))) {
+      throw new CommandError(`Invalid date for --since: ${options.since}`, EXIT_CODES.USAGE);
+    }
+
+    const record = await this.resolveAddress(address);
+    let email;
+    try {
+      email = await this.emailService.waitForEmail(record.address, record.password, filters, {
+        ...options,
+        provider: record.provider
+      });
+    } catch (error) {
+      if (error.code === 'WAIT_TIMEOUT') {
+        throw new CommandError(error.message, EXIT_CODES.TIMEOUT);
+      }
+      throw error;
+    }
+
+    this.printMessage(email, flags);
+  }
+
+  /**
+   * Run the local provider's SMTP server until the process is interrupted
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async smtp(args, flags) {
+    const provider = this.emailService.getProvider('local');
+    const port = parseNumber(flags.port, 'port');
+    const server = await provider.startServer({
+      host: flags.host,
+      port,
+      logger: { log: console.error, error: console.error }
+    });
+    const { address, port: boundPort } = server.server.address();
+
+    this.print({ host: address, port: boundPort, domain: provider.domain, dataDir: provider.dataDir }, () => {
+      this.cliInterface.displaySuccess(`SMTP server listening on ${address}:${boundPort} for *@${provider.domain} (Ctrl+C to stop)`);
+    });
+
+    await new Promise(resolve => server.on('close', resolve));
+  }
+
+  /**
+   * Run the HTTP API until the process is interrupted
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async serve(args, flags) {
+    const port = parseNumber(flags.port, 'port');
+    const token = flags.token || process.env.TEMP_EMAIL_API_TOKEN;
+    if (flags.host && !token && !ApiServer.isLoopback(flags.host)) {
+      throw new CommandError(`Listening on ${flags.host} makes the API reachable from other machines. Set a token with --token or TEMP_EMAIL_API_TOKEN`, EXIT_CODES.USAGE);
+    }
+
+    const server = new ApiServer(this.emailService, this.storageService, this.cliInterface, {
+      token,
+      logger: { log: console.error, error: console.error }
+    });
+    const { host, port: boundPort } = await server.listen({ host: flags.host, port });
+    const url = `http://${host.includes(':') ? `[${host}]` : host}:${boundPort}`;
+
+    this.print({ url, host, port: boundPort, token: Boolean(token) }, () => {
+      this.cliInterface.displaySuccess(`API listening on ${url}${token ? ' (bearer token required)' : ''} (Ctrl+C to stop)`);
+    });
+
+    await new Promise(resolve => server.server.on('close', resolve));
+  }
+
+  /**
+   * Follow addresses and print new messages until the process is interrupted
+   * @param {Array<string>} addresses - Positional arguments: addresses to watch (default: all stored)
+   * @param {Object} flags - Parsed flags
+   */
+  async watch(addresses, flags) {
+    const interval = parseNumber(flags.interval, 'interval', 1000);
+    const records = [];
+    for (const address of addresses) {
+      records.push(await this.resolveAddress(address));
+    }
+    if (addresses.length === 0) {
+      records.push(...await this.storageService.getAddresses(false, this.parseAddressFilter(flags)));
+    }
+    if (records.length === 0) {
+      throw new CommandError('No email addresses to watch. Create one using the "create" command.', EXIT_CODES.NOT_FOUND);
+    }
+
+    const watcher = this.cliInterface.createWatcher({
+      interval,
+      push: flags.push !== false,
+      bell: Boolean(flags.bell),
+      notify: Boolean(flags.notify)
+    });
+
+    watcher.on('message', (record, email) => {
+      if (this.json) {
+        // One object per line, so the output can be consumed while it streams
+        console.log(JSON.stringify({ address: record.address, ...email, extracted: extractVerification(email) }));
+      } else {
+        console.log(this.cliInterface.formatNewMessage(record, email));
+      }
+    });
+    watcher.on('mode', (record, mode) => {
+      console.error(`${record.address}: ${mode === 'push' ? 'live push' : `polling every ${watcher.interval / 1000}s`}`);
+    });
+    watcher.on('warning', (record, error) => console.error(`${record.address}: ${error.message}`));
+    watcher.on('hook', (record, result) => {
+      console.error(`${record.address}: hook ${result.hook} ${result.ok ? 'delivered' : `failed after ${result.attempts} attempts: ${result.error}`}`);
+    });
+
+    await watcher.watchAll(records);
+    await new Promise(resolve => watcher.once('stop', resolve));
+  }
+
+  /**
+   * List, add, remove and test the new-mail hooks of an address, or show the delivery log
+   * @param {Array<string>} args - Positional arguments: action, address, hook ID
+   * @param {Object} flags - Parsed flags
+   */
+  async hooks([action, address, hookId], flags) {
+    const hookRunner = this.cliInterface.hookRunner;
+
+    if (action === 'log') {
+      const limit = parseNumber(flags.limit, 'limit');
+      const entries = await hookRunner.getLog({ address, limit });
+      this.print(entries, () => {
+        if (entries.length === 0) {
+          this.cliInterface.displayInfo('No deliveries logged yet.');
+          return;
+        }
+        console.log(this.cliInterface.renderHookLog(entries));
+      });
+      return;
+    }
+
+    if (!['list', 'add', 'remove', 'test'].includes(action) || !address || (action === 'remove' && !hookId)) {
+      throw new CommandError(`Usage: temp-email ${this.commands.hooks.usage}`, EXIT_CODES.USAGE);
+    }
+    const record = await this.resolveAddress(address);
+    const hooks = record.hooks || [];
+
+    if (action === 'list') {
+      this.print(hooks, () => {
+        if (hooks.length === 0) {
+          this.cliInterface.displayInfo(`No hooks configured for ${record.address}.`);
+          return;
+        }
+        console.log(this.cliInterface.renderHookTable(hooks));
+      });
+    } else if (action === 'add') {
+      if (Boolean(flags.url) === Boolean(flags.command)) {
+        throw new CommandError('Give either --url <url> or --command <cmd>', EXIT_CODES.USAGE);
+      }
+
+      let hook;
+      try {
+        hook = flags.url ? hookRunner.createHook('webhook', flags.url) : hookRunner.createHook('command', flags.command);
+      } catch (error) {
+        throw new CommandError(error.message, EXIT_CODES.USAGE);
+      }
+      await this.storageService.addHook(record.address, hook);
+      this.print(hook, () => this.cliInterface.displaySuccess(`Added hook ${hook.id}`));
+    } else if (action === 'remove') {
+      if (!(await this.storageService.removeHook(record.address, hookId))) {
+        throw new CommandError(`Hook ${hookId} was not found on ${record.address}`, EXIT_CODES.NOT_FOUND);
+      }
+      this.print({ address: record.address, hook: hookId, removed: true }, () => {
+        this.cliInterface.displaySuccess(`Removed hook ${hookId}`);
+      });
+    } else {
+      if (hookId ? !hooks.some(hook => hook.id === hookId) : hooks.length === 0) {
+        throw new CommandError(hookId ? `Hook ${hookId} was not found on ${record.address}` : `No hooks configured for ${record.address}`, EXIT_CODES.NOT_FOUND);
+      }
+
+      const results = await this.cliInterface.testHooks(record, hookId);
+      this.print(results, () => results.forEach(result => this.cliInterface.displayHookResult(result)));
+      if (results.some(result => !result.ok)) {
+        throw new CommandError('Some hook deliveries failed');
+      }
+    }
+  }
+
+  /**
+   * Delete messages, or a whole address when no message ID is given
+   * @param {Array<string>} args - Positional arguments: address, optional message IDs
+   * @param {Object} flags - Parsed flags
+   */
+  async delete([address, ...messageIds], flags) {
+    const record = await this.resolveAddress(address);
+
+    if (messageIds.length > 0) {
+      const count = `${messageIds.length} ${messageIds.length === 1 ? 'message' : 'messages'}`;
+      await this.confirm(`Delete ${count} from ${record.address}?`, flags);
+
+      const result = await this.emailService.deleteEmails(messageIds, record.address, record.password, record.provider);
+      this.print({ address: record.address, ...result }, () => {
+        result.deleted.forEach(id => this.cliInterface.displaySuccess(`Deleted message ${id}`));
+      });
+      if (result.failed.length > 0) {
+        throw new CommandError(result.failed.map(({ id, error }) => `Message ${id}: ${error}`).join('\n'));
+      }
+      return;
+    }
+
+    await this.confirm(flags.localOnly
+      ? `Remove ${record.address} from local storage? The account at ${record.provider} is kept.`
+      : `Delete ${record.address} and its account at ${record.provider}?`, flags);
+    const { remote } = await this.cliInterface.removeAddress(record, { keepRemote: Boolean(flags.localOnly) });
+
+    this.print({ address: record.address, deleted: true, remote }, () => {
+      this.cliInterface.displaySuccess(`Deleted ${record.address}${flags.localOnly || remote ? '' : ' (the remote account no longer existed)'}`);
+    });
+  }
+
+  /**
+   * Remove expired addresses, optionally deleting their provider accounts
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async cleanup(args, flags) {
+    if (flags.remote) {
+      await this.confirm('Delete the provider accounts of all expired addresses?', flags);
+    }
+
+    const { removed, failed } = await this.cliInterface.cleanupExpired({ remote: Boolean(flags.remote) });
+    this.print({ removed, failed }, () => {
+      this.cliInterface.displayInfo(`Removed ${removed} expired ${removed === 1 ? 'address' : 'addresses'}`);
+    });
+    if (failed.length > 0) {
+      throw new CommandError(failed.map(({ address, error }) => `Kept ${address}: ${error}`).join('\n'));
+    }
+  }
+
+  /**
+   * List archived addresses or messages, print an archived message, or purge an address
+   * @param {Array<string>} args - Positional arguments: optional address and message ID
+   * @param {Object} flags - Parsed flags
+   */
+  async archive([address, messageId], flags) {
+    if (!address) {
+      const addresses = await this.archiveService.getAddresses();
+      this.print(addresses, () => {
+        if (addresses.length === 0) {
+          this.cliInterface.displayInfo('The archive is empty. Messages are archived when an inbox is checked.');
+          return;
+        }
+        console.log(this.cliInterface.formatTable(
+          ['Email Address', 'Messages', 'Last Received'],
+          addresses.map(entry => [entry.address, entry.count, new Date(entry.lastReceived).toLocaleString()])
+        ));
+      });
+      return;
+    }
+
+    if (flags.purge) {
+      const removed = await this.archiveService.removeAddress(address);
+      if (!removed) {
+        throw new CommandError(`No archived messages for ${address}`, EXIT_CODES.NOT_FOUND);
+      }
+      this.print({ address, purged: true }, () => {
+        this.cliInterface.displaySuccess(`Deleted the archived messages of ${address}`);
+      });
+      return;
+    }
+
+    if (messageId) {
+      const message = await this.archiveService.getMessage(address, messageId);
+      if (!message) {
+        throw new CommandError(`Message ${messageId} of ${address} is not in the archive`, EXIT_CODES.NOT_FOUND);
+      }
+      this.printMessage(message, flags);
+      return;
+    }
+
+    const options = this.parseInboxOptions(flags);
+    const messages = await this.archiveService.getMessages(address);
+    if (messages.length === 0) {
+      throw new CommandError(`No archived messages for ${address}`, EXIT_CODES.NOT_FOUND);
+    }
+    const emails = sortMessages(filterMessages(messages, options.filter), options.sort, options.order);
+
+    this.print(emails, () => {
+      if (emails.length === 0) {
+        this.cliInterface.displayInfo('No archived messages match the filter.');
+        return;
+      }
+      console.log(this.cliInterface.renderInboxTable(emails));
+    });
+  }
+
+  /**
+   * Full-text search across the archived messages
+   * @param {Array<string>} args - Positional arguments: query words
+   * @param {Object} flags - Parsed flags
+   */
+  async search(args, flags) {
+    const options = this.parseInboxOptions(flags);
+    const query = args.length === 1 ? parseMatcher(args[0]) : args.join(' ');
+    const results = (await this.archiveService.search(query, { address: flags.address }))
+      .filter(result => filterMessages([result.message], options.filter).length > 0);
+
+    this.print(results.map(({ message, snippet }) => ({
+      address: message.address,
+      id: message.id,
+      from: message.from,
+      subject: message.subject,
+      receivedDate: message.receivedDate,
+      snippet
+    })), () => {
+      if (results.length === 0) {
+        this.cliInterface.displayInfo('No archived messages match your search.');
+        return;
+      }
+      console.log(this.cliInterface.renderSearchResults(results));
+    });
+  }
+
+  /**
+   * Encrypt, decrypt or re-key the storage file
+   * @param {Array<string>} args - Positional arguments: action
+   */
+  async vault([action]) {
+    const encrypted = await this.storageService.isEncrypted();
+
+    if (action === 'status') {
+      this.print({ encrypted, storageFile: this.storageService.storageFile }, () => {
+        this.cliInterface.displayInfo(`${this.storageService.storageFile} is ${encrypted ? 'encrypted' : 'not encrypted'}`);
+      });
+      return;
+    }
+
+    if (!['encrypt', 'change-passphrase', 'decrypt'].includes(action)) {
+      throw new CommandError(`Usage: temp-email ${this.commands.vault.usage}`, EXIT_CODES.USAGE);
+    }
+    if (action === 'encrypt' && encrypted) {
+      throw new CommandError('Storage is already encrypted. Use "vault change-passphrase" instead');
+    }
+    if (action !== 'encrypt' && !encrypted) {
+      throw new CommandError('Storage is not encrypted');
+    }
+
+    if (encrypted) {
+      await this.ensureUnlocked();
+    }
+
+    let success;
+    if (action === 'decrypt') {
+      success = await this.storageService.decryptStorage();
+    } else {
+      const passphrase = await this.readNewPassphrase();
+      success = action === 'encrypt'
+        ? await this.storageService.encryptStorage(passphrase)
+        : await this.storageService.changePassphrase(passphrase);
+    }
+    if (!success) {
+      throw new CommandError('Failed to write the storage file');
+    }
+
+    const messages = {
+      encrypt: 'Storage encrypted',
+      'change-passphrase': 'Passphrase changed',
+      decrypt: 'Storage decrypted'
+    };
+    this.print({ encrypted: action !== 'decrypt' }, () => this.cliInterface.displaySuccess(messages[action]));
+  }
+
+  /**
+   * Write a backup of the stored addresses
+   * @param {Array<string>} args - Positional arguments
+   * @param {Object} flags - Parsed flags
+   */
+  async export(args, flags) {
+    ['since', 'until'].forEach(name => {
+      if (flags[name] !== undefined && isNaN(new Date(flags[name]))) {
+        throw new CommandError(`Invalid date for --${name}: ${flags[name]}`, EXIT_CODES.USAGE);
+      }
+    });
+    const filter = { ...this.parseAddressFilter(flags), since: flags.since, until: flags.until };
+
+    if (flags.out === '-') {
+      process.stdout.write(JSON.stringify(await this.storageService.exportBackup(filter), null, 2) + '\n');
+      return;
+    }
+
+    const result = await this.cliInterface.exportBackup(flags.out, filter);
+    this.print(result, () => {
+      this.cliInterface.displaySuccess(`Backed up ${result.count} ${result.count === 1 ? 'address' : 'addresses'} to ${result.path}`);
+    });
+  }
+
+  /**
+   * Restore addresses from a backup file
+   * @param {Array<string>} args - Positional arguments: file
+   * @param {Object} flags - Parsed flags
+   */
+  async import([file], flags) {
+    if (flags.conflict !== undefined && !CONFLICT_STRATEGIES.includes(flags.conflict)) {
+      throw new CommandError(`Invalid --conflict value. Use one of: ${CONFLICT_STRATEGIES.join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    const records = await this.cliInterface.readBackupFile(file);
+    const result = await this.storageService.restoreBackup(records, { conflict: flags.conflict });
+    this.print(result, () => {
+      this.cliInterface.displaySuccess(`Restored ${result.added.length} new and ${result.replaced.length} replaced ${result.added.length + result.replaced.length === 1 ? 'address' : 'addresses'}`);
+      if (result.skipped.length > 0) {
+        this.cliInterface.displayInfo(`Kept the stored version of ${result.skipped.join(', ')} (use --conflict to change this)`);
+      }
+    });
+  }
+
+  /**
+   * List, read or change settings
+   * @param {Array<string>} args - Positional arguments: action, setting name, value
+   */
+  async config([action, key, value]) {
+    const { settings, sources } = this.configService.resolve();
+    const describe = name => ({
+      key: name,
+      value: settings[name] ?? null,
+      source: sources[name],
+      env: SETTINGS[name].env,
+      flag: SETTINGS[name].flag ? `--${SETTINGS[name].flag}` : null,
+      description: SETTINGS[name].description
+    });
+    const format = name => {
+      if (settings[name] === undefined) {
+        return '(provider default)';
+      }
+      return settings[name] === null ? 'none' : String(settings[name]);
+    };
+
+    if (action === 'list') {
+      const entries = Object.keys(SETTINGS).map(describe);
+      this.print(entries, () => {
+        console.log(`Config file: ${this.configService.configFile}`);
+        console.log(this.cliInterface.formatTable(['Setting', 'Value', 'Source', 'Override'], entries.map(entry => [
+          entry.key,
+          format(entry.key),
+          entry.source,
+          [entry.env, entry.flag].filter(Boolean).join(', ')
+        ])));
+      });
+      return;
+    }
+
+    if (!['get', 'set', 'unset'].includes(action) || !key || (action === 'set' && value === undefined)) {
+      throw new CommandError(`Usage: temp-email ${this.commands.config.usage}`, EXIT_CODES.USAGE);
+    }
+    if (!SETTINGS[key]) {
+      throw new CommandError(`Unknown setting '${key}'. Known settings: ${Object.keys(SETTINGS).join(', ')}`, EXIT_CODES.USAGE);
+    }
+
+    if (action === 'get') {
+      this.print(describe(key), () => console.log(format(key)));
+      return;
+    }
+
+    let stored;
+    try {
+      stored = action === 'set' ? await this.configService.set(key, value) : await this.configService.unset(key);
+    } catch (error) {
+      throw new CommandError(error.message, EXIT_CODES.USAGE);
+    }
+
+    // The new file value only takes effect where no environment variable or flag overrides it
+    const effective = this.configService.resolve();
+    const overridden = ['env', 'flag'].includes(effective.sources[key]);
+    this.print({ ...describe(key), value: effective.settings[key] ?? null, source: effective.sources[key] }, () => {
+      if (action === 'set') {
+        this.cliInterface.displaySuccess(`Set ${key} to ${stored === null ? 'none' : stored} in ${this.configService.configFile}`);
+      } else {
+        this.cliInterface.displayInfo(stored ? `Removed ${key} from ${this.configService.configFile}` : `${key} was not set in ${this.configService.configFile}`);
+      }
+      if (overridden) {
+        this.cliInterface.displayInfo(`${key} is currently overridden by ${effective.sources[key] === 'env' ? SETTINGS[key].env : `--${SETTINGS[key].flag}`}`);
+      }
+    });
+  }
+
+  /**
+   * Ask for confirmation of a destructive action unless --yes was given
+   * @param {string} message - Question to ask
+   * @param {Object} flags - Parsed flags
+   */
+  async confirm(message, flags) {
+    if (flags.yes) {
+      return;
+    }
+    if (!process.stdin.isTTY) {
+      throw new CommandError(`${message} Pass --yes to confirm when not running on a terminal`, EXIT_CODES.USAGE);
+    }
+    if (!(await this.cliInterface.confirm(message))) {
+      throw new CommandError('Cancelled');
+    }
+  }
+
+  /**
+   * Make sure encrypted storage can be read, prompting for the passphrase on a terminal
+   */
+  async ensureUnlocked() {
+    if (!process.stdin.isTTY || !(await this.storageService.isEncrypted())) {
+      return;
+    }
+    if (!(await this.cliInterface.unlockStorage())) {
+      throw new CommandError('Unable to unlock encrypted storage', EXIT_CODES.LOCKED);
+    }
+  }
+
+  /**
+   * Read a new passphrase from TEMP_EMAIL_NEW_PASSPHRASE, or prompt for it twice on a terminal
+   * @returns {Promise<string>} New passphrase
+   */
+  async readNewPassphrase() {
+    if (process.env.TEMP_EMAIL_NEW_PASSPHRASE) {
+      return process.env.TEMP_EMAIL_NEW_PASSPHRASE;
+    }
+    if (!process.stdin.isTTY) {
+      throw new CommandError('Set TEMP_EMAIL_NEW_PASSPHRASE to the new passphrase', EXIT_CODES.USAGE);
+    }
+
+    const { passphrase, confirmation } = await inquirer.prompt([
+      { type: 'password', name: 'passphrase', message: 'New passphrase:', mask: '*' },
+      { type: 'password', name: 'confirmation', message: 'Repeat new passphrase:', mask: '*' }
+    ]);
+    if (!passphrase) {
+      throw new CommandError('The passphrase must not be empty', EXIT_CODES.USAGE);
+    }
+    if (passphrase !== confirmation) {
+      throw new CommandError('Passphrases do not match', EXIT_CODES.USAGE);
+    }
+    return passphrase;
+  }
+
+  /**
+   * Print a full message with its extracted codes and links, or only the best code or link
+   * @param {Object} email - Message returned by getEmailContent
+   * @param {Object} flags - Parsed flags
+   */
+  printMessage(email, flags) {
+    const extracted = extractVerification(email);
+
+    if (flags.code || flags.link) {
+      const best = flags.code ? extracted.codes[0] : extracted.links[0];
+      if (!best) {
+        throw new CommandError(`No ${flags.code ? 'one-time code' : 'action link'} found in the message`, EXIT_CODES.NOTHING_EXTRACTED);
+      }
+
+      const value = flags.code ? best.value : best.url;
+      this.print({ [flags.code ? 'code' : 'link']: value }, () => console.log(value));
+      return;
+    }
+
+    this.print({ ...email, extracted, numberedLinks: this.cliInterface.renderEmailBody(email).links }, () => this.cliInterface.printEmail(email));
+  }
+
+  /**
+   * Build getEmails options from the inbox filter, sort and page flags
+   * @param {Object} flags - Parsed flags
+   * @returns {Object} Options accepted by EmailService.getEmails
+   */
+  parseInboxOptions(flags) {
+    ['since', 'until'].forEach(name => {
+      if (flags[name] !== undefined && isNaN(new Date(flags[name]))) {
+        throw new CommandError(`Invalid date for --${name}: ${flags[name]}`, EXIT_CODES.USAGE);
+      }
+    });
+    if (flags.sort !== undefined && !SORT_FIELDS[flags.sort]) {
+      throw new CommandError(`Invalid --sort value. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    if (flags.order !== undefined && !['asc', 'desc'].includes(flags.order)) {
+      throw new CommandError('Invalid --order value. Use asc or desc', EXIT_CODES.USAGE);
+    }
+
+    const page = parseNumber(flags.page, 'page');
+    if (page !== undefined && !Number.isInteger(page)) {
+      throw new CommandError('Option --page must be a whole number', EXIT_CODES.USAGE);
+    }
+
+    return {
+      page,
+      filter: {
+        from: parseMatcher(flags.from),
+        subject: parseMatcher(flags.subject),
+        since: flags.since,
+        until: flags.until,
+        hasAttachments: flags.attachments,
+        unread: Boolean(flags.unread)
+      },
+      sort: flags.sort,
+      order: flags.order
+    };
+  }
+
+  /**
+   * Look up a stored address record
+   * @param {string} address - Email address
+   * @returns {Promise<Object>} Stored address record
+   */
+  async resolveAddress(address) {
+    const record = await this.storageService.getAddressMetadata(address);
+    if (!record) {
+      throw new CommandError(`Address ${address} was not found in local storage`, EXIT_CODES.NOT_FOUND);
+    }
+    return record;
+  }
+
+  /**
+   * Write a command result as JSON or in human-readable form
+   * @param {any} data - Result serialized in JSON mode
+   * @param {Function} render - Prints the human-readable form
+   */
+  print(data, render) {
+    if (this.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else {
+      render();
+    }
+  }
+
+  /**
+   * Report an error and return the exit code for it
+   * @param {Error} error - Error raised while running the command
+   * @returns {number} Process exit code
+   */
+  fail(error) {
+    const exitCode = error.exitCode
+      || (['VAULT_LOCKED', 'VAULT_BAD_PASSPHRASE'].includes(error.code) ? EXIT_CODES.LOCKED : null)
+      || (['INVALID_ADDRESS', 'ADDRESS_REJECTED'].includes(error.code) ? EXIT_CODES.USAGE : EXIT_CODES.ERROR);
+
+    if (this.json) {
+      console.error(JSON.stringify({ error: error.message, exitCode }, null, 2));
+    } else {
+      console.error(chalk.red('✗ ERROR:'), error.message);
+    }
+
+    return exitCode;
+  }
+
+  /**
+   * Print usage information for all subcommands
+   */
+  printHelp() {
+    const lines = [
+      'Usage: temp-email [command] [options]',
+      '',
+      'Without a command the interactive menu is started.',
+      '',
+      'Commands:'
+    ];
+
+    Object.values(this.commands).forEach(entry => {
+      lines.push(`  ${entry.usage.padEnd(48)} ${entry.description}`);
+      (entry.options || []).forEach(([flag, description]) => {
+        lines.push(`      ${flag.padEnd(44)} ${description}`);
+      });
+    });
+
+    lines.push(
+      '',
+      'Options:',
+      `  ${'-j, --json'.padEnd(48)} Print machine-readable JSON output`,
+      `  ${'-h, --help'.padEnd(48)} Show this help`,
+      `  ${'-v, --version'.padEnd(48)} Print the version number`,
+      '',
+      'Global options (before or after the command; they override the config file and environment):',
+      ...Object.values(SETTINGS).filter(setting => setting.flag).map(setting =>
+        `  ${`--${setting.flag} <${{ integer: 'n', path: 'path', url: 'url' }[setting.type]}>`.padEnd(48)} ${setting.description} (${setting.env})`),
+      '',
+      'Exit codes:',
+      '  0 success, 1 error, 2 invalid usage, 3 address not found, 4 timed out waiting for a message,',
+      '  5 no code or link found for --code/--link, 6 encrypted storage is locked, 130 interrupted with Ctrl+C'
+    );
+
+    console.log(lines.join('\n'));
+  }
+}
+
+module.exports = CommandRunner;
+module.exports.CommandError = CommandError;
+module.exports.EXIT_CODES = EXIT_CODES;
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_PROVIDER, getProviderNames } = require('./providers');
+
+// Use XDG_CONFIG_HOME if available, otherwise use user's home directory
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'temp-email-cli');
+
+/**
+ * Known settings. Each can be set in the config file, overridden by its environment
+ * variable and, where it has one, by a global command-line flag (in that order of precedence).
+ * A default of undefined leaves the choice to the provider.
+ */
+const SETTINGS = {
+  provider: {
+    type: 'provider',
+    default: DEFAULT_PROVIDER,
+    env: 'TEMP_EMAIL_PROVIDER',
+    description: 'Provider for new addresses'
+  },
+  storagePath: {
+    type: 'path',
+    default: path.join(CONFIG_DIR, 'addresses.json'),
+    env: 'TEMP_EMAIL_STORAGE',
+    flag: 'storage',
+    description: 'File the addresses are stored in'
+  },
+  baseUrl: {
+    type: 'url',
+    default: undefined,
+    env: 'TEMP_EMAIL_BASE_URL',
+    flag: 'base-url',
+    description: 'API base URL of the default provider'
+  },
+  timeout: {
+    type: 'integer',
+    default: 10000,
+    env: 'TEMP_EMAIL_TIMEOUT',
+    flag: 'request-timeout',
+    description: 'Time limit per API request in milliseconds'
+  },
+  retries: {
+    type: 'integer',
+    default: 3,
+    env: 'TEMP_EMAIL_RETRIES',
+    flag: 'retries',
+    description: 'Attempts per API request'
+  },
+  expiryDays: {
+    type: 'integer',
+    default: 7,
+    env: 'TEMP_EMAIL_EXPIRY_DAYS',
+    flag: 'expiry-days',
+    description: 'Days before a new address expires'
+  },
+  mercureUrl: {
+    type: 'url',
+    nullable: true,
+    default: undefined,
+    env: 'TEMP_EMAIL_MERCURE_URL',
+    description: 'Mercure hub of the default provider for push updates, or "none" to always poll'
+  },
+  archive: {
+    type: 'boolean',
+    default: true,
+    env: 'TEMP_EMAIL_ARCHIVE',
+    description: 'Keep fetched messages in the local archive'
+  }
+};
+
+/**
+ * Convert a setting from its text form (command line, environment or config set)
+ * @param {string} key - Setting name
+ * @param {string|number|boolean|null} raw - Value to convert; config file values may already be typed
+ * @returns {string|number|boolean|null} Typed value
+ */
+function parseSetting(key, raw) {
+  const setting = SETTINGS[key];
+  if (!setting) {
+    throw new Error(`Unknown setting '${key}'. Known settings: ${Object.keys(SETTINGS).join(', ')}`);
+  }
+
+  const text = String(raw).trim();
+  if (setting.nullable && (raw === null || ['none', 'off'].includes(text.toLowerCase()))) {
+    return null;
+  }
+
+  switch (setting.type) {
+    case 'integer': {
+      if (!/^\d+$/.test(text) || Number(text) < 1) {
+        throw new Error(`${key} must be a positive whole number, got '${raw}'`);
+      }
+      return Number(text);
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (['true', 'yes', 'on', '1'].includes(lower)) {
+        return true;
+      }
+      if (['false', 'no', 'off', '0'].includes(lower)) {
+        return false;
+      }
+      throw new Error(`${key} must be true or false, got '${raw}'`);
+    }
+    case 'url':
+      if (!/^https?:\/\/\S+$/i.test(text)) {
+        throw new Error(`${key} must be an http:// or https:// URL, got '${raw}'`);
+      }
+      return text.replace(/\/+$/, '');
+    case 'path':
+      if (!text) {
+        throw new Error(`${key} must not be empty`);
+      }
+      return path.resolve(text.replace(/^~(?=$|\/)/, os.homedir()));
+    case 'provider':
+      if (!getProviderNames().includes(text)) {
+        throw new Error(`${key} must be one of ${getProviderNames().join(', ')}, got '${raw}'`);
+      }
+      return text;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Remove the global flags from the command-line arguments
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @returns {{flags: Object, argv: Array<string>}} Raw global flag values keyed by setting name, and the remaining arguments
+ */
+function extractGlobalFlags(argv) {
+  const byFlag = new Map(Object.entries(SETTINGS).filter(([, setting]) => setting.flag).map(([key, setting]) => [setting.flag, key]));
+  const flags = {};
+  const rest = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === '--') {
+      rest.push(...argv.slice(i));
+      break;
+    }
+
+    const [name, value] = token.startsWith('--') ? token.slice(2).split(/=(.*)/s) : [];
+    if (!byFlag.has(name)) {
+      rest.push(token);
+      continue;
+    }
+
+    const flagValue = value === undefined ? argv[++i] : value;
+    if (flagValue === undefined) {
+      throw new Error(`Option --${name} requires a value`);
+    }
+    flags[byFlag.get(name)] = flagValue;
+  }
+
+  return { flags, argv: rest };
+}
+
+/**
+ * Reads and writes the config file (config.json in the temp-email-cli config directory)
+ * and works out the effective settings from defaults, the file, the environment and flags
+ */
+class ConfigService {
+  /**
+   * @param {string} configFile - Path to the config file (default: <config dir>/temp-email-cli/config.json)
+   * @param {Object} env - Environment to read overrides from (default: process.env)
+   */
+  constructor(configFile, env = process.env) {
+    this.configFile = configFile ? path.resolve(configFile) : path.join(CONFIG_DIR, 'config.json');
+    this.env = env;
+    this.values = null;
+    this.flags = {};
+  }
+
+  /**
+   * Read the config file. This happens once at startup, before the services exist, so it is synchronous.
+   * @returns {Object} Settings stored in the file
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.configFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.values = {};
+        return this.values;
+      }
+      throw new Error(`Cannot read config file ${this.configFile}: ${error.message}`);
+    }
+
+    try {
+      const parsed = JSON.parse(data);
+      this.values = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      throw new Error(`Config file ${this.configFile} is not valid JSON: ${error.message}`);
+    }
+    return this.values;
+  }
+
+  /**
+   * Work out the effective settings. Invalid values from the file or the environment are
+   * skipped with a warning so that `config set` can still repair them; invalid flags throw.
+   * @param {Object} flags - Raw global flag values from extractGlobalFlags (default: those of the previous call)
+   * @returns {{settings: Object, sources: Object, warnings: Array<string>}} Values, where each came from (default, file, env or flag), and problems found
+   */
+  resolve(flags = this.flags) {
+    const values = this.values || this.load();
+    this.flags = flags;
+    const settings = {};
+    const sources = {};
+    const warnings = [];
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+      settings[key] = setting.default;
+      sources[key] = 'default';
+
+      const layers = [
+        ['file', values[key], `${key} in ${this.configFile}`],
+        ['env', this.env[setting.env], setting.env]
+      ];
+      for (const [source, raw, origin] of layers) {
+        if (raw === undefined || raw === '') {
+          continue;
+        }
+        try {
+          settings[key] = parseSetting(key, raw);
+          sources[key] = source;
+        } catch (error) {
+          warnings.push(`Ignoring ${origin}: ${error.message}`);
+        }
+      }
+
+      if (flags[key] !== undefined) {
+        settings[key] = parseSetting(key, flags[key]);
+        sources[key] = 'flag';
+      }
+    }
+
+    Object.keys(values).filter(key => !SETTINGS[key]).forEach(key => {
+      warnings.push(`Ignoring unknown setting '${key}' in ${this.configFile}`);
+    });
+
+    return { settings, sources, warnings };
+  }
+
+  /**
+   * Store a setting in the config file
+   * @param {string} key - Setting name
+   * @param {string} raw - Value in text form
+   * @returns {Promise<string|number|boolean|null>} The stored value
+   */
+  async set(key, raw) {
+    const value = parseSetting(key, raw);
+    await this._write({ ...(this.values || this.load()), [key]: value });
+    return value;
+  }
+
+  /**
+   * Remove a setting from the config file so its default applies again
+   * @param {string} key - Setting name
+   * @returns {Promise<boolean>} Whether the file contained the setting
+   */
+  async unset(key) {
+    if (!SETTINGS[key]) {
+      throw new Error(`Unknown setting '${key}'. Known settings: ${Object.keys(SETTINGS).join(', ')}`);
+    }
+
+    const { [key]: removed, ...rest } = this.values || this.load();
+    if (removed === undefined) {
+      return false;
+    }
+    await this._write(rest);
+    return true;
+  }
+
+  /**
+   * Write the config file
+   * @private
+   * @param {Object} values - Settings to store
+   */
+  async _write(values) {
+    await fs.promises.mkdir(path.dirname(this.configFile), { recursive: true });
+    await fs.promises.writeFile(this.configFile, JSON.stringify(values, null, 2) + '\n', 'utf8');
+    this.values = values;
+  }
+}
+
+module.exports = ConfigService;
+module.exports.SETTINGS = SETTINGS;
+module.exports.parseSetting = parseSetting;
+module.exports.extractGlobalFlags = extractGlobalFlags;
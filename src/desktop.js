@@ -0,0 +1,113 @@
+const { spawn } = require('child_process');
+
+/**
+ * Hand-offs to the desktop: opening links and files in their default application, and
+ * copying text to the clipboard
+ */
+
+/**
+ * Build the command opening a URL or file on this platform
+ * @param {string} target - URL or absolute file path
+ * @returns {Array|null} Executable and arguments, or null when the platform is not supported
+ */
+function openCommand(target) {
+  if (process.platform === 'darwin') {
+    return ['open', [target]];
+  }
+  if (process.platform === 'win32') {
+    // Unlike "cmd /c start", this does not pass the target through the shell
+    return ['rundll32', ['url.dll,FileProtocolHandler', target]];
+  }
+  if (process.platform === 'linux' || process.platform.endsWith('bsd')) {
+    return ['xdg-open', [target]];
+  }
+  return null;
+}
+
+/**
+ * Build the commands that may copy stdin to the clipboard on this platform, in order of preference
+ * @returns {Array<Array>} Executables and arguments
+ */
+function clipboardCommands() {
+  if (process.platform === 'darwin') {
+    return [['pbcopy', []]];
+  }
+  if (process.platform === 'win32') {
+    return [['clip', []]];
+  }
+  return [
+    ...(process.env.WAYLAND_DISPLAY ? [['wl-copy', []]] : []),
+    ['xclip', ['-selection', 'clipboard']],
+    ['xsel', ['--clipboard', '--input']]
+  ];
+}
+
+/**
+ * Run a command without waiting for programs it leaves running, such as a browser
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Text written to its stdin, if any
+ * @returns {Promise<void>} Resolves once the command has started, or with input once it has exited
+ */
+function run(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      detached: input === undefined,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'ignore', 'ignore']
+    });
+    child.once('error', reject);
+
+    if (input === undefined) {
+      child.once('spawn', () => {
+        child.unref();
+        resolve();
+      });
+      return;
+    }
+
+    // Clipboard tools such as xclip keep serving the selection from a child process, so only wait for the exit
+    child.once('exit', code => code === 0 ? resolve() : reject(new Error(`${command} exited with code ${code}`)));
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Open a URL or file in its default application (open on macOS, xdg-open on Linux and BSD)
+ * @param {string} target - URL or absolute file path
+ * @returns {Promise<void>} Rejects when the platform is not supported or the opener is missing
+ */
+async function openExternal(target) {
+  const command = openCommand(target);
+  if (!command) {
+    throw new Error(`Opening links is not supported on ${process.platform}`);
+  }
+
+  try {
+    await run(command[0], command[1]);
+  } catch (error) {
+    throw new Error(`Could not open ${target} with ${command[0]}: ${error.message}`);
+  }
+}
+
+/**
+ * Copy text to the clipboard (pbcopy on macOS, clip on Windows, wl-copy, xclip or xsel elsewhere)
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>} Rejects when no clipboard tool is available
+ */
+async function copyToClipboard(text) {
+  const commands = clipboardCommands();
+  for (const [command, args] of commands) {
+    try {
+      await run(command, args, text);
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not copy with ${command}: ${error.message}`);
+      }
+    }
+  }
+  throw new Error(`No clipboard tool found; install one of: ${commands.map(([command]) => command).join(', ')}`);
+}
+
+module.exports = { openExternal, copyToClipboard };
@@ -1,49 +1,148 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const { DEFAULT_PROVIDER, createProvider } = require('./providers');
+const { matchesText, filterMessages, sortMessages } = require('./messageFilter');
+
+// Upper bound on pages fetched when listing a whole inbox
+const MAX_PAGES = 100;
+
+// A rejected token is not retried with the same token; withAuth authenticates again instead
+const NO_AUTH_RETRY = { shouldRetry: error => !isUnauthorized(error) };
+
+// Characters of generated account passwords
+const PASSWORD_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a cryptographically random account password
+ * @param {number} length - Number of characters (default: 24)
+ * @returns {string} Password
+ */
+function generatePassword(length = 24) {
+  return Array.from({ length }, () => PASSWORD_CHARS[crypto.randomInt(PASSWORD_CHARS.length)]).join('');
+}
+
+/**
+ * Generate a random username (12-16 chars, lowercase only)
+ * @returns {string} Username
+ */
+function randomUsername() {
+  const length = Math.floor(Math.random() * 5) + 12;
+  return Array(length)
+    .fill()
+    .map(() => String.fromCharCode(97 + Math.floor(Math.random() * 26)))
+    .join('');
+}
+
+/**
+ * Create an error for an address that cannot be created
+ * @param {string} message - Error message
+ * @param {string} code - INVALID_ADDRESS (rejected before asking the provider) or ADDRESS_REJECTED (rejected by the provider)
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} Error with a code property
+ */
+function addressError(message, code, cause) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Find the HTTP status a failure, or an error it wraps, was answered with
+ * @param {Error} error - Failed request, possibly wrapped by withRetry
+ * @returns {number|undefined} Status, or undefined when no response was received
+ */
+function responseStatus(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.response?.status) {
+      return current.response.status;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a failure, or an error it wraps, is the provider rejecting the token or credentials
+ * @param {Error} error - Failed request, possibly wrapped by withRetry
+ * @returns {boolean} Whether the provider answered 401
+ */
+function isUnauthorized(error) {
+  return responseStatus(error) === 401;
+}
+
+/**
+ * Normalize a chosen username and check it is a valid local part
+ * @param {string} username - Requested username, optionally with a trailing @domain
+ * @returns {string} Lowercase username
+ */
+function validateUsername(username) {
+  const name = String(username).trim().toLowerCase();
+  const invalid = reason => addressError(`Invalid username '${username}': ${reason}`, 'INVALID_ADDRESS');
+
+  if (name.includes('@')) {
+    throw invalid('give the domain separately');
+  }
+  if (name.length < 3 || name.length > 64) {
+    throw invalid('use 3 to 64 characters');
+  }
+  if (!/^[a-z0-9._-]+$/.test(name)) {
+    throw invalid('use only letters, digits, dots, hyphens and underscores');
+  }
+  if (/^[.]|[.]$|\.\./.test(name)) {
+    throw invalid('dots cannot start or end it or appear twice in a row');
+  }
+  return name;
+}
 
 /**
- * Service for interacting with mail.tm API to create and manage temporary email addresses
+ * Service to create and manage temporary email addresses through pluggable mail providers
  */
 class EmailService {
   /**
    * Initialize email service with base URL and configuration
    * @param {Object} config - Configuration options
-   * @param {string} config.baseUrl - Base URL for mail.tm API
+   * @param {string} config.provider - Provider used for new addresses (default: mail.tm)
+   * @param {Object} config.providers - Per-provider configuration keyed by provider name (e.g. baseUrl, timeout)
    * @param {number} config.maxRetries - Maximum number of retry attempts
    * @param {number} config.retryDelay - Delay between retries in milliseconds
+   * @param {Object} config.logger - Console-like object for diagnostic messages (default: console)
+   * @param {Object} config.tokenStore - Persistent token cache with load(address) and save(address, token) methods
+   * @param {Object} config.archive - Local message archive with saveSummaries(address, messages) and saveMessage(address, message) methods
    */
   constructor(config = {}) {
     this.maxRetries = config.maxRetries || 3;
     this.retryDelay = config.retryDelay || 1000;
-    
-    this.client = axios.create({
-      baseURL: 'https://api.mail.tm',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'User-Agent': 'TempEmailCLI/1.0'
-      },
-      timeout: 10000
-    });
-  }
-
-  /**
-   * Set the authentication token for API requests
-   * @param {string} token - JWT token
-   */
-  setAuthToken(token) {
-    this.client.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    this.logger = config.logger || console;
+    this.defaultProvider = config.provider || DEFAULT_PROVIDER;
+    this.providerConfig = config.providers || {};
+    this.providers = {};
+    this.tokenStore = config.tokenStore || null;
+    this.archive = config.archive || null;
+    // Cached tokens and in-flight authentications, keyed by provider and address
+    this.tokens = new Map();
+    this.pendingTokens = new Map();
+    // Tokens the provider answered 401 for, which must not be loaded from the store again
+    this.rejectedTokens = new Set();
   }
 
   /**
-   * Clear the authentication token
+   * Get the provider instance for a provider name, creating it on first use
+   * @param {string} name - Provider name (default: the configured default provider)
+   * @returns {BaseProvider} Provider instance
    */
-  clearAuthToken() {
-    delete this.client.defaults.headers.common['Authorization'];
+  getProvider(name) {
+    const providerName = name || this.defaultProvider;
+    if (!this.providers[providerName]) {
+      this.providers[providerName] = createProvider(providerName, this.providerConfig[providerName]);
+    }
+    return this.providers[providerName];
   }
 
   /**
    * Helper method to implement retry logic for API calls
    * @param {Function} apiCall - The API call function to retry
+   * @param {Object} options - Retry options
+   * @param {number} options.maxRetries - Maximum number of attempts (default: the configured maxRetries)
+   * @param {number} options.retryDelay - Delay between attempts in milliseconds (default: the configured retryDelay)
+   * @param {Function} options.shouldRetry - Called with a failure; returning false rethrows it without further attempts
    * @returns {Promise<any>} - Result of the API call
    */
   async withRetry(apiCall, options = {}) {
@@ -57,8 +156,12 @@ class EmailService {
       } catch (error) {
         lastError = error;
         
+        if (options.shouldRetry && !options.shouldRetry(error)) {
+          throw error;
+        }
+        
         if (attempt === maxRetries) {
-          throw new Error(`Operation failed after ${maxRetries} attempts: ${error.message}`);
+          throw new Error(`Operation failed after ${maxRetries} attempts: ${error.message}`, { cause: error });
         }
         
         // Add exponential backoff for rate limiting
@@ -66,7 +169,7 @@ class EmailService {
           ? retryDelay * Math.pow(2, attempt - 1)
           : retryDelay;
         
-        console.log(`Attempt ${attempt} failed: ${error.message}`);
+        this.logger.log(`Attempt ${attempt} failed: ${error.message}`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -74,144 +177,269 @@ class EmailService {
 
   /**
    * Create a new temporary email address
-   * @param {string} password - Password for the account
+   * @param {string} password - Password for the account (default: a random password generated for this account)
+   * @param {string} provider - Provider to create the account with (default: the configured default provider)
+   * @param {Object} options - Address options
+   * @param {string} options.username - Part before the @ (default: random letters)
+   * @param {string} options.domain - One of the provider's active domains (default: the first one)
    * @returns {Promise<Object>} - The created email account details
    */
-  async createEmailAddress(password = 'Password123!') {
+  async createEmailAddress(password = generatePassword(), provider, options = {}) {
+    const client = this.getProvider(provider);
+    const username = options.username ? validateUsername(options.username) : randomUsername();
+    let address = username;
+    
     try {
-      // Get an available domain first
-      const domain = await this.getAvailableDomain();
-      if (!domain) {
-        throw new Error('Failed to retrieve a valid email domain');
-      }
-      
-      // Generate a random username (12-16 chars, lowercase only)
-      const length = Math.floor(Math.random() * 5) + 12;
-      const username = Array(length)
-        .fill()
-        .map(() => String.fromCharCode(97 + Math.floor(Math.random() * 26)))
-        .join('');
-      
-      const address = `${username}@${domain}`;
+      const domain = await this._resolveDomain(client.name, options.domain);
+      address = `${username}@${domain}`;
       
       return await this.withRetry(async () => {
         // Wait before making request to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Create account with proper headers
-        const accountResponse = await this.client.post('/accounts', {
-          address,
-          password
-        }, {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept-Encoding': 'gzip, deflate, br'
-          }
-        });
+        await new Promise(resolve => setTimeout(resolve, client.requestDelay));
         
-        if (!accountResponse.data || !accountResponse.data.id) {
-          throw new Error('Invalid account creation response');
-        }
+        const account = await client.createAccount(address, password);
         
         // Wait before token request
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Get token with proper headers
-        const tokenResponse = await this.client.post('/token', {
-          address,
-          password
-        }, {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'Accept-Language': 'en-US,en;q=0.9',
-            'Accept-Encoding': 'gzip, deflate, br'
-          }
-        });
+        await new Promise(resolve => setTimeout(resolve, client.requestDelay));
         
-        if (!tokenResponse.data || !tokenResponse.data.token) {
-          throw new Error('Invalid token response');
-        }
+        const token = await client.getToken(address, password);
+        this.tokens.set(`${client.name}:${account.address}`, token);
         
         return {
-          id: accountResponse.data.id,
-          address: accountResponse.data.address,
-          token: tokenResponse.data.token,
-          password
+          id: account.id,
+          address: account.address,
+          token,
+          password,
+          provider: client.name
         };
       }, {
         retryDelay: 3000,
-        maxRetries: 5
+        maxRetries: 5,
+        // A rejected address stays rejected, however often it is retried
+        shouldRetry: error => error.code !== 'ADDRESS_REJECTED' && ![400, 403, 422].includes(error.response?.status)
       });
     } catch (error) {
-      if (error.response) {
-        const status = error.response.status;
-        if (status === 422) {
-          throw new Error('Invalid email address format or domain. Please try again with a different address format.');
-        } else if (status === 429) {
-          throw new Error('Rate limit exceeded. The service is temporarily unavailable. Please try again after a few minutes.');
-        } else if (status === 400) {
-          throw new Error('Bad request: Email provider rejected the request. Check your input parameters.');
-        } else if (status === 403) {
-          throw new Error('Access forbidden: Your IP might be blocked by the email provider.');
-        } else if (status === 500) {
-          throw new Error('Email provider server error. Please try again later.');
-        }
+      if (['INVALID_ADDRESS', 'ADDRESS_REJECTED'].includes(error.code)) {
+        throw error;
+      }
+      
+      const status = responseStatus(error);
+      if (status === 422) {
+        const reason = (this._violations(error) || 'invalid address').replace(/\.$/, '');
+        throw addressError(`${client.name} rejected ${address}: ${reason}. Choose a different username or domain.`, 'ADDRESS_REJECTED', error);
+      } else if (status === 429) {
+        throw new Error('Rate limit exceeded. The service is temporarily unavailable. Please try again after a few minutes.');
+      } else if (status === 400) {
+        throw new Error('Bad request: Email provider rejected the request. Check your input parameters.');
+      } else if (status === 403) {
+        throw new Error('Access forbidden: Your IP might be blocked by the email provider.');
+      } else if (status === 500) {
+        throw new Error('Email provider server error. Please try again later.');
       }
       throw new Error(`Failed to create email address: ${error.message}. Please check your internet connection and try again.`);
     }
   }
 
   /**
-   * Get available domain from mail.tm
-   * @returns {Promise<string>} - Available domain
+   * Pick the domain for a new address, checking a requested one against the provider's active domains
+   * @private
+   * @param {string} provider - Provider name
+   * @param {string} requested - Requested domain, if any
+   * @returns {Promise<string>} Domain to use
    */
-  async getAvailableDomain() {
+  async _resolveDomain(provider, requested) {
+    if (!requested) {
+      return this.getAvailableDomain(provider);
+    }
+    
+    const domain = requested.trim().toLowerCase().replace(/^@/, '');
+    const domains = await this.getDomains(provider);
+    if (!domains.includes(domain)) {
+      throw addressError(`Domain ${domain} is not offered by ${provider}. Available domains: ${domains.join(', ')}`, 'INVALID_ADDRESS');
+    }
+    return domain;
+  }
+
+  /**
+   * Summarize the constraint violations of a 422 response (mail.tm answers with a hydra violation list)
+   * @private
+   * @param {Error} error - Failed request, possibly wrapped
+   * @returns {string|undefined} Violation messages, or undefined when the response has none
+   */
+  _violations(error) {
+    for (let current = error; current; current = current.cause) {
+      const data = current.response?.data;
+      if (!data) {
+        continue;
+      }
+      if (Array.isArray(data.violations) && data.violations.length > 0) {
+        return data.violations.map(violation => violation.message).filter(Boolean).join('; ');
+      }
+      return data['hydra:description'] || data.detail || data.message;
+    }
+    return undefined;
+  }
+
+  /**
+   * List the active domains of a provider
+   * @param {string} provider - Provider name (default: the configured default provider)
+   * @returns {Promise<Array<string>>} - Domains new addresses can use
+   */
+  async getDomains(provider) {
     try {
       return await this.withRetry(async () => {
-        const response = await this.client.get('/domains');
+        const domains = await this.getProvider(provider).listDomains();
         
-        // Handle direct array response
-        if (Array.isArray(response.data) && response.data.length > 0) {
-          const domainObj = response.data[0];
-          if (domainObj && domainObj.domain) {
-            console.log(`Using available domain: ${domainObj.domain}`);
-            return domainObj.domain;
-          }
+        if (domains.length > 0) {
+          return domains;
         }
         
         throw new Error('No valid domains found in the response');
       });
     } catch (error) {
-      console.warn('Failed to fetch domains:', error.message);
+      this.logger.warn('Failed to fetch domains:', error.message);
       throw new Error(`Unable to retrieve available email domains: ${error.message}`);
     }
   }
 
   /**
-   * Get authentication token using email and password
+   * Get an available domain from a provider
+   * @param {string} provider - Provider name (default: the configured default provider)
+   * @returns {Promise<string>} - Available domain
+   */
+  async getAvailableDomain(provider) {
+    const [domain] = await this.getDomains(provider);
+    this.logger.log(`Using available domain: ${domain}`);
+    return domain;
+  }
+
+  /**
+   * Get authentication token using email and password, reusing a cached token while it is valid
+   * @param {string} address - Email address
+   * @param {string} password - Password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @param {Object} options - Options
+   * @param {boolean} options.verify - Ignore cached and stored tokens, so the password is checked by the provider
+   * @returns {Promise<string>} - Authentication token
+   */
+  async getAuthToken(address, password, provider, options = {}) {
+    const client = this.getProvider(provider);
+    const key = `${client.name}:${address}`;
+    
+    if (options.verify) {
+      this.tokens.delete(key);
+      return this._authenticate(client, address, password, { useStore: false });
+    }
+    
+    const cached = this.tokens.get(key);
+    if (cached && this._isTokenValid(cached)) {
+      return cached;
+    }
+    
+    // Share one authentication between concurrent callers
+    if (!this.pendingTokens.has(key)) {
+      this.pendingTokens.set(key, this._authenticate(client, address, password)
+        .finally(() => this.pendingTokens.delete(key)));
+    }
+    return this.pendingTokens.get(key);
+  }
+
+  /**
+   * Load a stored token or request a new one, and cache it
+   * @private
+   * @param {BaseProvider} client - Provider instance
    * @param {string} address - Email address
    * @param {string} password - Password
+   * @param {Object} options - Options
+   * @param {boolean} options.useStore - Try the token store before asking the provider (default: true)
    * @returns {Promise<string>} - Authentication token
    */
-  async getAuthToken(address, password) {
+  async _authenticate(client, address, password, options = {}) {
+    const key = `${client.name}:${address}`;
+    
+    if (this.tokenStore && options.useStore !== false) {
+      const stored = await this.tokenStore.load(address);
+      if (stored && this._isTokenValid(stored)) {
+        this.tokens.set(key, stored);
+        return stored;
+      }
+    }
+    
+    let token;
     try {
-      return await this.withRetry(async () => {
-        const response = await this.client.post('/token', {
-          address,
-          password
-        }, {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        });
-        return response.data.token;
+      // Wrong credentials stay wrong, however often they are retried
+      token = await this.withRetry(() => client.getToken(address, password), {
+        shouldRetry: error => !isUnauthorized(error)
       });
     } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+      const reason = isUnauthorized(error) ? 'the provider rejected the address or password' : error.message;
+      throw new Error(`Authentication failed: ${reason}`, { cause: error });
+    }
+    
+    this.tokens.set(key, token);
+    if (this.tokenStore) {
+      await this.tokenStore.save(address, token);
+    }
+    return token;
+  }
+
+  /**
+   * Forget the cached token of an address so the next call authenticates again
+   * @param {string} address - Email address
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   */
+  invalidateAuthToken(address, provider) {
+    this.tokens.delete(`${this.getProvider(provider).name}:${address}`);
+  }
+
+  /**
+   * Check whether a token is usable; JWTs must not expire within the next 30 seconds
+   * and the provider must not have rejected the token before
+   * @private
+   * @param {string} token - Authentication token
+   * @returns {boolean} Whether the token can be used
+   */
+  _isTokenValid(token) {
+    if (this.rejectedTokens.has(token)) {
+      return false;
+    }
+    
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      // Not a JWT (e.g. the local provider), so it carries no expiry
+      return true;
+    }
+    
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return !payload.exp || payload.exp * 1000 > Date.now() + 30 * 1000;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run an authenticated provider call, authenticating again once if the token is rejected
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @param {Function} apiCall - Called with the provider instance and a token
+   * @returns {Promise<any>} - Result of the API call
+   */
+  async withAuth(address, password, provider, apiCall) {
+    const client = this.getProvider(provider);
+    const token = await this.getAuthToken(address, password, provider);
+    
+    try {
+      return await apiCall(client, token);
+    } catch (error) {
+      if (!isUnauthorized(error)) {
+        throw error;
+      }
+      
+      this.rejectedTokens.add(token);
+      this.invalidateAuthToken(address, provider);
+      return apiCall(client, await this.getAuthToken(address, password, provider));
     }
   }
 
@@ -219,96 +447,261 @@ class EmailService {
    * Get emails for a specific address
    * @param {string} address - Email address
    * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @param {Object} options - Listing options
+   * @param {number} options.page - Fetch only this page instead of the whole inbox
+   * @param {Object} options.filter - Criteria accepted by filterMessages (from, subject, since, until, hasAttachments, unread)
+   * @param {string} options.sort - Sort field: date, from or subject (default: date)
+   * @param {string} options.order - asc or desc (default: desc)
    * @returns {Promise<Array>} - List of emails
    */
-  async getEmails(address, password) {
+  async getEmails(address, password, provider, options = {}) {
     try {
-      // First authenticate to get token
-      const authResponse = await this.client.post('/token', {
-        address,
-        password
-      }, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      this.setAuthToken(authResponse.data.token);
+      let messages = [];
       
-      // Get messages
-      const response = await this.client.get('/messages', {
-        params: {
-          'page': 1,
-          'limit': 20
+      if (options.page) {
+        ({ messages } = await this.getEmailPage(address, password, provider, options.page));
+      } else {
+        for (let page = 1; page <= MAX_PAGES; page++) {
+          const result = await this.getEmailPage(address, password, provider, page);
+          messages.push(...result.messages);
+          
+          // Without a total, a full page may be followed by another one
+          const lastPage = result.totalPages === null
+            ? result.messages.length < this.getProvider(provider).pageSize
+            : page >= result.totalPages;
+          if (result.messages.length === 0 || lastPage) {
+            break;
+          }
         }
-      });
-      
-      this.clearAuthToken();
-      
-      if (response.data && Array.isArray(response.data['hydra:member'])) {
-        return response.data['hydra:member'].map(msg => ({
-          id: msg.id,
-          from: msg.from,
-          to: msg.to,
-          subject: msg.subject,
-          intro: msg.intro,
-          hasAttachments: msg.hasAttachments,
-          receivedDate: msg.createdAt
-        }));
       }
       
-      return [];
+      return sortMessages(filterMessages(messages, options.filter), options.sort, options.order);
     } catch (error) {
-      this.clearAuthToken();
-      throw new Error(`Failed to fetch emails: ${error.message}`);
+      throw new Error(`Failed to fetch emails: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Get a single page of emails as the provider returns it
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @param {number} page - Page number, starting at 1
+   * @returns {Promise<{messages: Array, page: number, total: ?number, totalPages: ?number}>} - Page of emails;
+   *   total and totalPages are null when the provider does not report them
+   */
+  async getEmailPage(address, password, provider, page = 1) {
+    const { messages, total } = await this.withAuth(address, password, provider,
+      (client, token) => client.listMessages(token, { page }));
+    const pageSize = this.getProvider(provider).pageSize;
+    await this._archive('saveSummaries', address, messages);
+    
+    return {
+      messages,
+      page,
+      total,
+      totalPages: total === null ? null : Math.max(1, Math.ceil(total / pageSize))
+    };
+  }
+
   /**
    * Get full email content
    * @param {string} messageId - ID of the message to fetch
    * @param {string} address - Email address
    * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
    * @returns {Promise<Object>} - Email content
    */
-  async getEmailContent(messageId, address, password) {
+  async getEmailContent(messageId, address, password, provider) {
+    let content;
     try {
-      // First authenticate to get token
-      const authResponse = await this.client.post('/token', {
-        address,
-        password
-      }, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
+      content = await this.withAuth(address, password, provider,
+        (client, token) => client.getMessage(token, messageId));
+    } catch (error) {
+      throw new Error(`Failed to fetch email content: ${error.message}`, { cause: error });
+    }
+    
+    await this._archive('saveMessage', address, content);
+    return content;
+  }
+
+  /**
+   * Store fetched messages in the local archive, if one is configured.
+   * Archive failures are logged but never fail the fetch itself.
+   * @private
+   * @param {string} method - saveSummaries or saveMessage
+   * @param {string} address - Email address the messages belong to
+   * @param {Array|Object} data - Messages or message to archive
+   */
+  async _archive(method, address, data) {
+    if (!this.archive) {
+      return;
+    }
+    
+    try {
+      await this.archive[method](address, data);
+    } catch (error) {
+      this.logger.warn(`Failed to archive messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the raw RFC 5322 source of a message, e.g. to save it as an .eml file
+   * @param {string} messageId - ID of the message
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<Buffer>} - Message source
+   */
+  async getEmailSource(messageId, address, password, provider) {
+    try {
+      return await this.withAuth(address, password, provider,
+        (client, token) => client.getMessageSource(token, messageId));
+    } catch (error) {
+      throw new Error(`Failed to fetch message source: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Download an attachment of a message
+   * @param {string} messageId - ID of the message the attachment belongs to
+   * @param {Object} attachment - Attachment entry from getEmailContent
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<Buffer>} - Attachment content
+   */
+  async downloadAttachment(messageId, attachment, address, password, provider) {
+    try {
+      return await this.withAuth(address, password, provider,
+        (client, token) => client.getAttachment(token, messageId, attachment));
+    } catch (error) {
+      throw new Error(`Failed to download attachment ${attachment.filename}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Subscribe to the provider's push channel for an inbox, if it has one
+   * @param {string} accountId - Account ID of the address
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @param {Object} handlers - onEvent(data) and onError(error) callbacks, see BaseProvider.subscribe
+   * @returns {Promise<{close: Function}|null>} - Subscription, or null when the provider has no push channel
+   */
+  async subscribe(accountId, address, password, provider, handlers) {
+    const client = this.getProvider(provider);
+    if (!accountId) {
+      return null;
+    }
+    
+    const token = await this.getAuthToken(address, password, provider);
+    return client.subscribe(token, accountId, handlers);
+  }
+
+  /**
+   * Poll an inbox until a message matching the filters arrives
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {Object} filters - Message filters; strings match case-insensitively as substrings
+   * @param {string|RegExp} filters.from - Sender address or name
+   * @param {string|RegExp} filters.subject - Subject line
+   * @param {string|RegExp} filters.body - Text or HTML body
+   * @param {Object} options - Polling options
+   * @param {number} options.timeout - Maximum time to wait in milliseconds (default: 60000)
+   * @param {number} options.interval - Initial delay between polls in milliseconds (default: 2000)
+   * @param {number} options.backoff - Factor the delay grows by after each poll (default: 1.5)
+   * @param {number} options.maxInterval - Upper bound for the delay in milliseconds (default: 15000)
+   * @param {Date|string} options.since - Ignore messages received before this time
+   * @param {string} options.provider - Provider the address belongs to (default: the configured default provider)
+   * @param {AbortSignal} options.signal - Stops waiting when aborted, rejecting with code WAIT_ABORTED
+   * @returns {Promise<Object>} Full content of the first matching message; rejects at once when the
+   *   provider refuses the credentials or no longer knows the account
+   */
+  async waitForEmail(address, password, filters = {}, options = {}) {
+    const timeout = options.timeout || 60000;
+    const backoff = options.backoff || 1.5;
+    const maxInterval = options.maxInterval || 15000;
+    const since = options.since ? new Date(options.since) : null;
+    const deadline = Date.now() + timeout;
+    const checked = new Set();
+    let interval = options.interval || 2000;
+    const signal = options.signal;
+    const aborted = () => {
+      const error = new Error('Stopped waiting for email');
+      error.code = 'WAIT_ABORTED';
+      return error;
+    };
+
+    while (true) {
+      if (signal?.aborted) {
+        throw aborted();
+      }
+
+      try {
+        const emails = await this.getEmails(address, password, options.provider, { page: 1 });
+
+        for (const email of emails) {
+          if (checked.has(email.id)) {
+            continue;
+          }
+
+          if (since && new Date(email.receivedDate) < since) {
+            checked.add(email.id);
+            continue;
+          }
+          const from = email.from ? `${email.from.name || ''} <${email.from.address}>` : '';
+          if (!matchesText(from, filters.from) || !matchesText(email.subject, filters.subject)) {
+            checked.add(email.id);
+            continue;
+          }
+
+          let content;
+          try {
+            content = await this.getEmailContent(email.id, address, password, options.provider);
+          } catch (error) {
+            // The message was deleted since the listing; the inbox itself is still there
+            if (responseStatus(error) === 404) {
+              checked.add(email.id);
+              continue;
+            }
+            throw error;
+          }
+          const body = [content.text, ...[].concat(content.html || [])].join('\n');
+          if (matchesText(body, filters.body)) {
+            return content;
+          }
+          checked.add(email.id);
         }
-      });
-      
-      this.setAuthToken(authResponse.data.token);
-      
-      // Get full message content
-      const response = await this.client.get(`/messages/${messageId}`);
-      
-      this.clearAuthToken();
-      
-      if (!response.data) {
-        throw new Error('Invalid response from server');
+      } catch (error) {
+        // Rejected credentials and a deleted account will not recover before the timeout
+        if ([401, 403, 404].includes(responseStatus(error))) {
+          throw error;
+        }
+        this.logger.log(`Polling failed: ${error.message}`);
       }
-      
-      return {
-        id: response.data.id,
-        from: response.data.from,
-        to: response.data.to,
-        subject: response.data.subject,
-        text: response.data.text,
-        html: response.data.html,
-        attachments: response.data.attachments,
-        receivedDate: response.data.createdAt
-      };
-    } catch (error) {
-      this.clearAuthToken();
-      throw new Error(`Failed to fetch email content: ${error.message}`);
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        const error = new Error(`No matching email arrived within ${timeout / 1000} seconds`);
+        error.code = 'WAIT_TIMEOUT';
+        throw error;
+      }
+
+      if (signal?.aborted) {
+        throw aborted();
+      }
+      await new Promise(resolve => {
+        const wake = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', wake);
+          resolve();
+        };
+        const timer = setTimeout(wake, Math.min(interval, remaining));
+        signal?.addEventListener('abort', wake);
+      });
+      interval = Math.min(interval * backoff, maxInterval);
     }
   }
 
@@ -316,20 +709,17 @@ class EmailService {
    * Delete an email by ID
    * @param {string} emailId - ID of the email to delete
    * @param {string} token - Authentication token
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
    * @returns {Promise<boolean>} - Success status
    */
-  async deleteEmail(emailId, token) {
+  async deleteEmail(emailId, token, provider) {
     try {
       if (!emailId || !token) {
         throw new Error('Email ID and token are required');
       }
       
       return await this.withRetry(async () => {
-        await this.client.delete(`/messages/${emailId}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        await this.getProvider(provider).deleteMessage(token, emailId);
         return true;
       });
     } catch (error) {
@@ -337,24 +727,127 @@ class EmailService {
     }
   }
 
+  /**
+   * Mark messages as read or unread, continuing past individual failures
+   * @param {Array<string>} messageIds - IDs of the messages to update
+   * @param {boolean} seen - true to mark as read, false to mark as unread
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<{updated: Array<string>, failed: Array<{id: string, error: string}>}>} - Outcome per message
+   */
+  async markEmails(messageIds, seen, address, password, provider) {
+    const result = { updated: [], failed: [] };
+    
+    for (const id of messageIds) {
+      try {
+        await this.withAuth(address, password, provider,
+          (client, token) => this.withRetry(() => client.setSeen(token, id, seen), NO_AUTH_RETRY));
+        result.updated.push(id);
+      } catch (error) {
+        result.failed.push({ id, error: error.message });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Get the provider's account details of an address
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<Object>} - Account with id, address, quota, used, disabled, createdAt and expiresAt
+   */
+  async getAccount(address, password, provider) {
+    try {
+      return await this.withAuth(address, password, provider,
+        (client, token) => this.withRetry(() => client.getAccount(token), NO_AUTH_RETRY));
+    } catch (error) {
+      throw new Error(`Failed to fetch account details: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Count the unread messages of an address
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<number>} - Number of messages not marked as read
+   */
+  async getUnreadCount(address, password, provider) {
+    const unread = await this.getEmails(address, password, provider, { filter: { unread: true } });
+    return unread.length;
+  }
+
+  /**
+   * Delete several messages of an address, continuing past individual failures
+   * @param {Array<string>} messageIds - IDs of the messages to delete
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the address belongs to (default: the configured default provider)
+   * @returns {Promise<{deleted: Array<string>, failed: Array<{id: string, error: string}>}>} - Outcome per message
+   */
+  async deleteEmails(messageIds, address, password, provider) {
+    const result = { deleted: [], failed: [] };
+    
+    for (const id of messageIds) {
+      try {
+        await this.withAuth(address, password, provider,
+          (client, token) => this.withRetry(() => client.deleteMessage(token, id), NO_AUTH_RETRY));
+        result.deleted.push(id);
+      } catch (error) {
+        result.failed.push({ id, error: error.message });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Delete the provider account of an address
+   * @param {string} accountId - ID of the account to delete
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @param {string} provider - Provider the account belongs to (default: the configured default provider)
+   * @returns {Promise<boolean>} - true when the account was deleted, false when it no longer existed
+   */
+  async deleteRemoteAccount(accountId, address, password, provider) {
+    if (!accountId) {
+      throw new Error(`The account ID of ${address} is unknown`);
+    }
+    
+    try {
+      await this.withAuth(address, password, provider,
+        (client, token) => client.deleteAccount(token, accountId));
+      this.invalidateAuthToken(address, provider);
+      return true;
+    } catch (error) {
+      // Rejected credentials or a missing account mean the provider already removed it
+      const status = responseStatus(error);
+      if (status === 401 || status === 404) {
+        this.invalidateAuthToken(address, provider);
+        return false;
+      }
+      throw new Error(`Failed to delete account: ${error.message}`);
+    }
+  }
+
   /**
    * Delete an account by ID
    * @param {string} accountId - ID of the account to delete
    * @param {string} token - Authentication token
+   * @param {string} provider - Provider the account belongs to (default: the configured default provider)
    * @returns {Promise<boolean>} - Success status
    */
-  async deleteAccount(accountId, token) {
+  async deleteAccount(accountId, token, provider) {
     try {
       if (!accountId || !token) {
         throw new Error('Account ID and token are required');
       }
       
       return await this.withRetry(async () => {
-        await this.client.delete(`/accounts/${accountId}`, {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        });
+        await this.getProvider(provider).deleteAccount(token, accountId);
         return true;
       });
     } catch (error) {
@@ -364,4 +857,6 @@ class EmailService {
 }
 
 module.exports = EmailService;
+module.exports.validateUsername = validateUsername;
+module.exports.responseStatus = responseStatus;
 
@@ -0,0 +1,195 @@
+const { htmlToText } = require('html-to-text');
+
+/**
+ * Extraction of one-time codes and action links (confirm/verify/reset) from messages
+ */
+
+// Words that indicate a nearby token is a one-time code
+const CODE_KEYWORDS = /\b(code|otp|pin|passcode|one[- ]time|verification|verify|confirm(?:ation)?|security|login|sign[- ]?in|token|2fa|two[- ]factor)\b/i;
+
+// Words in a link URL or its anchor text, with the link type they indicate and a score weight
+const LINK_KEYWORDS = [
+  { pattern: /verif/i, type: 'verify', weight: 10 },
+  { pattern: /confirm/i, type: 'confirm', weight: 10 },
+  { pattern: /activat/i, type: 'verify', weight: 9 },
+  { pattern: /validat/i, type: 'verify', weight: 8 },
+  { pattern: /reset|recover|forgot/i, type: 'reset', weight: 9 },
+  { pattern: /magic|log[- ]?in|sign[- ]?in|auth/i, type: 'login', weight: 6 },
+  { pattern: /token=|code=|key=|[?&]t=/i, type: 'verify', weight: 3 },
+  { pattern: /unsubscribe|preferences|privacy|terms|help|support|facebook|twitter|linkedin|instagram|youtube/i, type: 'other', weight: -10 }
+];
+
+/**
+ * Get the plain text and HTML of a message; mail.tm returns HTML as an array of parts
+ * @param {Object} email - Message returned by getEmailContent
+ * @returns {{text: string, html: string}} Message bodies
+ */
+function getBodies(email) {
+  const html = [].concat(email.html || []).join('\n');
+  let text = email.text || '';
+
+  if (!text && html) {
+    text = htmlToText(html, {
+      wordwrap: false,
+      selectors: [
+        { selector: 'a', options: { ignoreHref: true } },
+        { selector: 'img', format: 'skip' }
+      ]
+    });
+  }
+
+  return { text, html };
+}
+
+/**
+ * Decode the HTML entities that commonly appear in href attributes
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&#x2F;/gi, '/')
+    .replace(/&#47;/g, '/')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'');
+}
+
+/**
+ * Find and rank one-time code candidates in a message
+ * @param {Object} email - Message returned by getEmailContent
+ * @returns {Array<{value: string, score: number, context: string}>} Candidates, best first
+ */
+function extractCodes(email) {
+  // URLs and email addresses contain digit runs that are never codes
+  const text = getBodies(email).text
+    .replace(/https?:\/\/\S+/gi, ' ')
+    .replace(/\S+@\S+/g, ' ');
+  const subject = email.subject || '';
+  const candidates = new Map();
+  const tokenPattern = /(?<![\w.,:/-])(\d{3,4}[- ]\d{3,4}|[A-Z0-9]{4,10})(?![\w/-]|[.,:]\w)/g;
+
+  for (const source of [{ value: subject, isSubject: true }, { value: text, isSubject: false }]) {
+    let match;
+    while ((match = tokenPattern.exec(source.value)) !== null) {
+      const raw = match[1];
+      const value = raw.replace(/[- ]/g, '');
+      const digits = (value.match(/\d/g) || []).length;
+      const letters = value.length - digits;
+
+      // A code always has digits
+      if (digits === 0) {
+        continue;
+      }
+
+      let score = 0;
+      if (letters === 0) {
+        score += value.length === 6 ? 4 : value.length >= 4 && value.length <= 8 ? 2 : 0;
+        // Years and times are common false positives
+        if (/^(19|20)\d{2}$/.test(value)) {
+          score -= 4;
+        }
+      } else {
+        score += digits >= 2 && letters >= 2 ? 2 : -2;
+      }
+
+      const before = source.value.slice(Math.max(0, match.index - 40), match.index);
+      const after = source.value.slice(match.index + raw.length, match.index + raw.length + 20);
+      if (CODE_KEYWORDS.test(before)) {
+        score += 5;
+      } else if (CODE_KEYWORDS.test(after)) {
+        score += 3;
+      }
+      if (/[$€£¥]\s*$/.test(before) || /^\s*(%|usd|eur|gbp|px|am|pm)\b/i.test(after)) {
+        score -= 5;
+      }
+      if (source.isSubject) {
+        score += 1;
+      }
+
+      if (score <= 0) {
+        continue;
+      }
+
+      const existing = candidates.get(value);
+      if (!existing || existing.score < score) {
+        candidates.set(value, {
+          value,
+          score,
+          context: (before + raw + after).replace(/\s+/g, ' ').trim()
+        });
+      }
+    }
+  }
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find and rank action links (confirm, verify, reset, login) in a message
+ * @param {Object} email - Message returned by getEmailContent
+ * @returns {Array<{url: string, text: string, type: string, score: number}>} Links, best first
+ */
+function extractLinks(email) {
+  const { text, html } = getBodies(email);
+  const links = new Map();
+
+  const addLink = (url, anchorText) => {
+    url = decodeEntities(url.trim()).replace(/[).,;>\]]+$/, '');
+    if (!/^https?:\/\//i.test(url)) {
+      return;
+    }
+
+    const label = anchorText.replace(/\s+/g, ' ').trim();
+    let score = 0;
+    let type = 'other';
+    let bestWeight = 0;
+
+    for (const keyword of LINK_KEYWORDS) {
+      if (keyword.pattern.test(url) || keyword.pattern.test(label)) {
+        score += keyword.weight;
+        if (keyword.weight > bestWeight) {
+          bestWeight = keyword.weight;
+          type = keyword.type;
+        }
+      }
+    }
+
+    const existing = links.get(url);
+    if (!existing) {
+      links.set(url, { url, text: label, type, score });
+    } else if (!existing.text && label) {
+      links.set(url, { url, text: label, type, score: Math.max(score, existing.score) });
+    }
+  };
+
+  const anchorPattern = /<a\b[^>]*\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+  let match;
+  while ((match = anchorPattern.exec(html)) !== null) {
+    addLink(match[2], match[3].replace(/<[^>]+>/g, ' '));
+  }
+
+  // Brackets end a URL, so "[https://a][https://b]" or "(see https://a)" yields clean links
+  const urlPattern = /https?:\/\/[^\s<>"'[\]()]+/gi;
+  while ((match = urlPattern.exec(text)) !== null) {
+    addLink(match[0], '');
+  }
+
+  return [...links.values()]
+    .filter(link => link.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Extract ranked one-time codes and action links from a message
+ * @param {Object} email - Message returned by getEmailContent
+ * @returns {{codes: Array<Object>, links: Array<Object>}} Extracted candidates, best first
+ */
+function extractVerification(email) {
+  return {
+    codes: extractCodes(email),
+    links: extractLinks(email)
+  };
+}
+
+module.exports = { extractCodes, extractLinks, extractVerification };
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+
+/**
+ * Create an error carrying a lock error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code STORAGE_LOCKED
+ */
+function lockError(message) {
+  const error = new Error(message);
+  error.code = 'STORAGE_LOCKED';
+  return error;
+}
+
+/**
+ * Check whether a process with the given ID is running on this machine
+ * @param {number} pid - Process ID
+ * @returns {boolean} Whether the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Advisory lock shared between processes through a lock file created with O_EXCL. Holders
+ * within one process are queued, so the lock file is only contended between processes.
+ * A lock whose owner process has died, or that is older than the stale age, is broken.
+ */
+class FileLock {
+  /**
+   * @param {string} lockFile - Path of the lock file
+   * @param {Object} options - Lock options
+   * @param {number} options.timeout - Time to wait for the lock in milliseconds (default: 10000)
+   * @param {number} options.staleAge - Age after which a lock is considered abandoned in milliseconds (default: 30000)
+   * @param {number} options.retryDelay - Delay between attempts in milliseconds (default: 50)
+   */
+  constructor(lockFile, options = {}) {
+    this.lockFile = lockFile;
+    this.timeout = options.timeout || 10000;
+    this.staleAge = options.staleAge || 30000;
+    this.retryDelay = options.retryDelay || 50;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a function while holding the lock
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<any>} Result of the function
+   */
+  run(fn) {
+    const result = this.queue.then(async () => {
+      await this._acquire();
+      try {
+        return await fn();
+      } finally {
+        await this._release();
+      }
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @private
+   */
+  async _acquire() {
+    const deadline = Date.now() + this.timeout;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockFile, 'wx', 0o600);
+        await handle.writeFile(JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this._breakStale()) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw lockError(`Timed out waiting for ${this.lockFile}. If no other temp-email process is running, delete that file`);
+      }
+      // Jitter keeps waiting processes from retrying in lockstep
+      await new Promise(resolve => setTimeout(resolve, this.retryDelay * (1 + Math.random())));
+    }
+  }
+
+  /**
+   * Remove the lock file if its owner is gone or it is older than the stale age
+   * @private
+   * @returns {Promise<boolean>} Whether the lock is gone and can be retried at once
+   */
+  async _breakStale() {
+    let stat;
+    let owner;
+    try {
+      stat = await fs.stat(this.lockFile);
+      owner = JSON.parse(await fs.readFile(this.lockFile, 'utf8')).pid;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      // A lock file that is still being written has no owner yet; only its age counts
+      if (!stat) {
+        throw error;
+      }
+    }
+
+    const abandoned = (owner && !isProcessAlive(owner)) || Date.now() - stat.mtimeMs > this.staleAge;
+    if (!abandoned) {
+      return false;
+    }
+
+    try {
+      // Only remove the lock that was judged stale, not one created since
+      const current = await fs.stat(this.lockFile);
+      if (current.ino === stat.ino && current.mtimeMs === stat.mtimeMs) {
+        await fs.unlink(this.lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Remove the lock file if this process still owns it
+   * @private
+   */
+  async _release() {
+    try {
+      // The lock may have been broken as stale and taken over by another process
+      const { pid } = JSON.parse(await fs.readFile(this.lockFile, 'utf8'));
+      if (pid === process.pid) {
+        await fs.unlink(this.lockFile);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = FileLock;
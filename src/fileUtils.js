@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Helpers for writing downloaded files to user-chosen directories, and for replacing files safely
+ */
+
+// Names Windows refuses as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Turn an untrusted name (e.g. an attachment filename from an email) into a safe file name
+ * @param {string} name - Untrusted file name
+ * @param {string} fallback - Name used when nothing usable remains (default: file)
+ * @returns {string} File name without path separators, control characters or reserved names
+ */
+function safeFilename(name, fallback = 'file') {
+  let safe = String(name || '')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[/\\:*?"<>|]/g, '_')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 200);
+
+  if (!safe || RESERVED_NAMES.test(safe)) {
+    safe = safe ? `_${safe}` : fallback;
+  }
+  return safe;
+}
+
+/**
+ * Write data to a new file in a directory, adding " (1)", " (2)"... when the name is taken
+ * @param {string} dir - Target directory, created if missing
+ * @param {string} name - Untrusted file name
+ * @param {Buffer|string} data - File content
+ * @param {Object} options - Options
+ * @param {number} options.mode - Permissions of the new file (default: 0o666 less the umask)
+ * @returns {Promise<string>} Path of the written file
+ */
+async function writeUniqueFile(dir, name, data, options = {}) {
+  await fs.mkdir(dir, { recursive: true });
+
+  const filename = safeFilename(name);
+  const ext = path.extname(filename);
+  const base = filename.slice(0, filename.length - ext.length);
+
+  for (let counter = 0; ; counter++) {
+    const target = path.join(dir, counter === 0 ? filename : `${base} (${counter})${ext}`);
+    try {
+      // The wx flag fails instead of overwriting, so concurrent writers never clobber each other
+      await fs.writeFile(target, data, { flag: 'wx', mode: options.mode });
+      return target;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Replace a file in one step: the data goes to a temporary file next to the target, is flushed
+ * to disk and then renamed over the target, so readers and crashes never see a partial file
+ * @param {string} file - Target path
+ * @param {Buffer|string} data - File content
+ * @param {Object} options - Options
+ * @param {number} options.mode - Permissions of the new file (default: 0o600)
+ */
+async function writeFileAtomic(file, data, options = {}) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const handle = await fs.open(temp, 'wx', options.mode ?? 0o600);
+
+  try {
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+  } catch (error) {
+    await fs.unlink(temp).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size (e.g. 12.3 KB)
+ */
+function formatSize(bytes) {
+  if (typeof bytes !== 'number' || isNaN(bytes)) {
+    return 'unknown size';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = { safeFilename, writeUniqueFile, writeFileAtomic, formatSize };
@@ -0,0 +1,267 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const { htmlToText } = require('html-to-text');
+const { extractVerification } = require('./extractor');
+
+// Hook types and the record field holding their target
+const HOOK_TYPES = {
+  webhook: 'url',
+  command: 'command'
+};
+
+/**
+ * Delivers new messages to the hooks configured on an address: a webhook receives the
+ * message as a JSON POST, a shell command receives the same JSON on stdin. Failed
+ * deliveries are retried, and every delivery is appended to a log file (one JSON object per line).
+ */
+class HookRunner {
+  /**
+   * @param {Object} options - Delivery options
+   * @param {string} options.logFile - Delivery log (default: <config dir>/temp-email-cli/hooks.log)
+   * @param {number} options.maxAttempts - Attempts per delivery (default: 3)
+   * @param {number} options.retryDelay - Delay before the first retry in milliseconds, doubled for each further retry (default: 2000)
+   * @param {number} options.timeout - Time limit per attempt in milliseconds (default: 10000)
+   */
+  constructor(options = {}) {
+    // Use XDG_CONFIG_HOME if available, otherwise use user's home directory
+    const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+    this.logFile = options.logFile ? path.resolve(options.logFile) : path.join(configDir, 'temp-email-cli', 'hooks.log');
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 2000;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Create a hook definition to store with an address
+   * @param {string} type - webhook or command
+   * @param {string} target - URL to POST to, or shell command to run
+   * @returns {Object} Hook with a generated ID
+   */
+  createHook(type, target) {
+    if (!HOOK_TYPES[type]) {
+      throw new Error(`Unknown hook type '${type}'. Use one of: ${Object.keys(HOOK_TYPES).join(', ')}`);
+    }
+    if (!target) {
+      throw new Error(`A ${type} hook needs a ${HOOK_TYPES[type]}`);
+    }
+    if (type === 'webhook' && !/^https?:\/\//i.test(target)) {
+      throw new Error(`Webhook URL must start with http:// or https://: ${target}`);
+    }
+
+    return {
+      id: crypto.randomBytes(4).toString('hex'),
+      type,
+      [HOOK_TYPES[type]]: target,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Describe where a hook delivers to
+   * @param {Object} hook - Hook definition
+   * @returns {string} URL or command
+   */
+  describe(hook) {
+    return hook[HOOK_TYPES[hook.type]] || '';
+  }
+
+  /**
+   * Build the JSON document delivered for a message
+   * @param {Object} record - Stored address record
+   * @param {Object} email - Message, ideally with full content
+   * @returns {Object} Payload with the address, message metadata, text and extracted links and codes
+   */
+  buildPayload(record, email) {
+    const { codes, links } = extractVerification(email);
+    const html = [].concat(email.html || []).join('\n');
+
+    return {
+      event: 'message.received',
+      address: record.address,
+      provider: record.provider,
+      message: {
+        id: email.id,
+        from: email.from,
+        to: email.to,
+        subject: email.subject,
+        receivedDate: email.receivedDate,
+        seen: email.seen,
+        hasAttachments: email.hasAttachments,
+        attachments: (email.attachments || []).map(att => ({
+          id: att.id,
+          filename: att.filename,
+          contentType: att.contentType,
+          size: att.size
+        }))
+      },
+      text: email.text || (html ? htmlToText(html, { wordwrap: false }) : email.intro || ''),
+      links: links.map(link => ({ url: link.url, text: link.text, type: link.type })),
+      codes: codes.map(code => code.value)
+    };
+  }
+
+  /**
+   * Deliver a message to all hooks of an address
+   * @param {Object} record - Stored address record with a hooks array
+   * @param {Object} email - Message to deliver
+   * @returns {Promise<Array<Object>>} One delivery result per hook, see deliver()
+   */
+  async runHooks(record, email) {
+    const payload = this.buildPayload(record, email);
+    const results = [];
+
+    for (const hook of record.hooks || []) {
+      results.push(await this.deliver(hook, payload));
+    }
+    return results;
+  }
+
+  /**
+   * Deliver a payload to one hook, retrying failures, and log the outcome
+   * @param {Object} hook - Hook definition
+   * @param {Object} payload - Payload from buildPayload
+   * @returns {Promise<{hook: string, type: string, target: string, ok: boolean, attempts: number, error: string}>} Delivery result
+   */
+  async deliver(hook, payload) {
+    const result = { hook: hook.id, type: hook.type, target: this.describe(hook), ok: false, attempts: 0 };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      result.attempts = attempt;
+      try {
+        if (hook.type === 'webhook') {
+          await this._post(hook.url, payload);
+        } else if (hook.type === 'command') {
+          await this._run(hook.command, payload);
+        } else {
+          throw new Error(`Unknown hook type '${hook.type}'`);
+        }
+        result.ok = true;
+        delete result.error;
+        break;
+      } catch (error) {
+        result.error = error.message;
+        if (attempt < this.maxAttempts) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
+        }
+      }
+    }
+
+    await this._log({ time: new Date().toISOString(), address: payload.address, messageId: payload.message.id, ...result });
+    return result;
+  }
+
+  /**
+   * POST the payload to a webhook URL
+   * @private
+   * @param {string} url - Webhook URL
+   * @param {Object} payload - Payload to send
+   */
+  async _post(url, payload) {
+    try {
+      await axios.post(url, payload, {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TempEmailCLI/1.0',
+          'X-Temp-Email-Event': payload.event
+        }
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      throw new Error(status ? `Webhook answered with status ${status}` : `Webhook request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a shell command with the payload as JSON on stdin
+   * @private
+   * @param {string} command - Shell command
+   * @param {Object} payload - Payload to pass
+   */
+  _run(command, payload) {
+    // Hook commands must not see the storage passphrase
+    const { TEMP_EMAIL_PASSPHRASE, TEMP_EMAIL_NEW_PASSPHRASE, ...env } = process.env;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        timeout: this.timeout,
+        env: {
+          ...env,
+          TEMP_EMAIL_ADDRESS: payload.address,
+          TEMP_EMAIL_MESSAGE_ID: payload.message.id || '',
+          TEMP_EMAIL_FROM: payload.message.from?.address || '',
+          TEMP_EMAIL_SUBJECT: payload.message.subject || ''
+        }
+      });
+
+      let stderr = '';
+      child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+      // The command may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          const reason = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+          reject(new Error(`Command ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Append an entry to the delivery log
+   * @private
+   * @param {Object} entry - Log entry
+   */
+  async _log(entry) {
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      console.error('Error writing hook delivery log:', error.message);
+    }
+  }
+
+  /**
+   * Read the most recent delivery log entries
+   * @param {Object} options - Options
+   * @param {string} options.address - Only entries for this address
+   * @param {number} options.limit - Maximum number of entries (default: 20)
+   * @returns {Promise<Array<Object>>} Log entries, oldest first
+   */
+  async getLog(options = {}) {
+    let data;
+    try {
+      data = await fs.readFile(this.logFile, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const entries = data.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+    return entries
+      .filter(entry => !options.address || entry.address === options.address)
+      .slice(-(options.limit || 20));
+  }
+}
+
+module.exports = HookRunner;
+module.exports.HOOK_TYPES = HOOK_TYPES;
@@ -0,0 +1,278 @@
+const { Parser } = require('htmlparser2');
+const { htmlToText } = require('html-to-text');
+
+/**
+ * Safe ways to look at HTML mail: plain text with the links collected as numbered
+ * footnotes, and a sanitized copy for the system browser that loads nothing remote.
+ */
+
+// Links that may be handed to the browser or mail client
+const OPENABLE_LINK = /^(https?:\/\/|mailto:)/i;
+
+// Bare URLs in plain-text bodies, ending at brackets; trailing punctuation is trimmed afterwards
+const TEXT_URL = /\bhttps?:\/\/[^\s<>"'`[\]()]+/gi;
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'audio', 'video', 'canvas', 'svg', 'math', 'title'
+]);
+
+// Elements removed while their content is kept
+const UNWRAPPED_ELEMENTS = new Set(['html', 'head', 'base', 'link', 'meta', 'form']);
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Attributes that make the browser fetch or submit something on its own
+const DROPPED_ATTRIBUTES = new Set([
+  'srcset', 'background', 'poster', 'ping', 'action', 'formaction', 'lowsrc', 'dynsrc', 'longdesc',
+  'data', 'codebase', 'manifest', 'xlink:href', 'http-equiv', 'target'
+]);
+
+// Element and attribute names that are copied; others could break out of the markup
+const VALID_NAME = /^[a-z][a-z0-9_:.-]*$/;
+
+// Backstop for anything the sanitizer misses: no scripts, and images and fonts only from data: URLs
+const CONTENT_SECURITY_POLICY = "default-src 'none'; img-src data:; font-src data:; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'";
+
+/**
+ * Check whether a link can be opened outside the terminal
+ * @param {string} url - Link target
+ * @returns {boolean} Whether it is an http(s) or mailto link
+ */
+function isOpenableLink(url) {
+  return OPENABLE_LINK.test(String(url || '').trim());
+}
+
+/**
+ * Convert an HTML body to text, replacing each link with a [n] marker and collecting the targets
+ * @param {string} html - HTML body
+ * @returns {{text: string, links: Array<string>}} Text and the link targets, links[n - 1] for marker [n]
+ */
+function htmlToFootnotedText(html) {
+  const links = [];
+
+  const text = htmlToText(html, {
+    formatters: {
+      footnoteAnchor(elem, walk, builder) {
+        walk(elem.children, builder);
+        const href = (elem.attribs?.href || '').trim();
+        if (!isOpenableLink(href)) {
+          return;
+        }
+        let index = links.indexOf(href);
+        if (index === -1) {
+          index = links.push(href) - 1;
+        }
+        builder.addInline(`[${index + 1}]`, { noWordTransform: true });
+      },
+      // Images are shown by their description only; their addresses are mostly tracking pixels
+      altText(elem, walk, builder) {
+        const alt = (elem.attribs?.alt || '').trim();
+        if (alt) {
+          builder.addInline(`[${alt}]`, { noWordTransform: true });
+        }
+      }
+    },
+    selectors: [
+      { selector: 'a', format: 'footnoteAnchor' },
+      { selector: 'img', format: 'altText' }
+    ]
+  });
+
+  return { text, links };
+}
+
+/**
+ * Find the URLs in a plain-text body
+ * @param {string} text - Text body
+ * @returns {Array<string>} Distinct URLs in order of appearance
+ */
+function findTextLinks(text) {
+  const links = (String(text || '').match(TEXT_URL) || []).map(url => url.replace(/[.,;:!?)\]}>]+$/, ''));
+  return [...new Set(links)];
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Remove references to remote resources and script from CSS
+ * @param {string} css - Style sheet or style attribute
+ * @param {Function} onBlocked - Called for each remote URL removed
+ * @returns {string} CSS that loads nothing but data: URLs
+ */
+function sanitizeCss(css, onBlocked = () => {}) {
+  return String(css)
+    // Escapes could spell out url( or expression( in a form the patterns below do not match
+    .replace(/\\/g, '')
+    .replace(/<\/?/g, '')
+    .replace(/@import[^;]*;?/gi, () => {
+      onBlocked();
+      return '';
+    })
+    .replace(/url\s*\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
+      if (/^data:/i.test(url)) {
+        return match;
+      }
+      onBlocked();
+      return 'none';
+    })
+    .replace(/(-webkit-)?image-set\s*\(/gi, '(')
+    .replace(/expression\s*\(/gi, '(');
+}
+
+/**
+ * Strip scripts, event handlers, forms and remote resources from an HTML body
+ * @param {string} html - HTML body
+ * @returns {{html: string, blocked: number}} Sanitized markup and the number of remote resources removed
+ */
+function sanitizeHtml(html) {
+  const output = [];
+  let blocked = 0;
+  // Name and nesting depth of the element being dropped with its content
+  let dropping = null;
+  let dropDepth = 0;
+  let inStyle = false;
+  const countBlocked = () => blocked++;
+
+  const sanitizeAttributes = (name, attribs) => {
+    const kept = [];
+    for (const [key, rawValue] of Object.entries(attribs)) {
+      const attribute = key.toLowerCase();
+      const value = rawValue.trim();
+      if (!VALID_NAME.test(attribute)) {
+        continue;
+      }
+      if (attribute.startsWith('on') || attribute.startsWith('xmlns') || DROPPED_ATTRIBUTES.has(attribute)) {
+        if (['srcset', 'background', 'poster', 'lowsrc', 'dynsrc'].includes(attribute) && /^(https?:)?\/\//i.test(value)) {
+          blocked++;
+        }
+        continue;
+      }
+      if (attribute === 'href') {
+        if (isOpenableLink(value) || value.startsWith('#')) {
+          kept.push(['href', value]);
+        }
+        continue;
+      }
+      if (attribute === 'src') {
+        if (/^data:image\//i.test(value)) {
+          kept.push(['src', value]);
+        } else if (value) {
+          blocked++;
+          kept.push(['title', `Remote image blocked: ${value}`]);
+        }
+        continue;
+      }
+      kept.push([attribute, attribute === 'style' ? sanitizeCss(value, countBlocked) : rawValue]);
+    }
+    if (name === 'a' && kept.some(([attribute]) => attribute === 'href')) {
+      // Open links in a new tab without telling the site where they came from
+      kept.push(['target', '_blank'], ['rel', 'noopener noreferrer']);
+    }
+    return kept.map(([attribute, value]) => ` ${attribute}="${escapeHtml(value)}"`).join('');
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      if (dropping) {
+        dropDepth += name === dropping ? 1 : 0;
+        return;
+      }
+      if (DROPPED_ELEMENTS.has(name)) {
+        dropping = name;
+        dropDepth = 1;
+        return;
+      }
+      if (name === 'link' && /^(https?:)?\/\//i.test(attribs.href || '')) {
+        blocked++;
+      }
+      if (UNWRAPPED_ELEMENTS.has(name) || !VALID_NAME.test(name)) {
+        return;
+      }
+      // The message body becomes a block inside the viewer page, keeping its colours and layout
+      const tag = name === 'body' ? 'div' : name;
+      inStyle = name === 'style';
+      output.push(`<${tag}${sanitizeAttributes(name, attribs)}>`);
+    },
+    ontext(text) {
+      if (!dropping) {
+        output.push(inStyle ? sanitizeCss(text, countBlocked) : escapeHtml(text));
+      }
+    },
+    onclosetag(name) {
+      if (dropping) {
+        if (name === dropping && --dropDepth === 0) {
+          dropping = null;
+        }
+        return;
+      }
+      if (UNWRAPPED_ELEMENTS.has(name) || VOID_ELEMENTS.has(name) || !VALID_NAME.test(name)) {
+        return;
+      }
+      inStyle = false;
+      output.push(`</${name === 'body' ? 'div' : name}>`);
+    }
+    // Comments, including conditional comments for Outlook, and doctypes are left out
+  }, { decodeEntities: true, recognizeSelfClosing: true });
+
+  parser.write(html);
+  parser.end();
+  return { html: output.join(''), blocked };
+}
+
+/**
+ * Build a standalone page showing a message safely in a browser
+ * @param {Object} email - Message returned by getEmailContent
+ * @returns {{html: string, blocked: number}} Page and the number of remote resources removed
+ */
+function buildSafeDocument(email) {
+  // mail.tm returns the HTML body as an array of parts
+  const source = [].concat(email.html || []).join('\n');
+  const { html: body, blocked } = source
+    ? sanitizeHtml(source)
+    : { html: `<pre style="white-space: pre-wrap">${escapeHtml(email.text || email.intro || '')}</pre>`, blocked: 0 };
+
+  const header = [
+    ['From', email.from?.name ? `${email.from.name} <${email.from.address}>` : email.from?.address],
+    ['To', (email.to || []).map(recipient => recipient.address).join(', ')],
+    ['Subject', email.subject || '(No subject)'],
+    ['Date', new Date(email.receivedDate).toLocaleString()]
+  ].map(([label, value]) => `<div><b>${label}:</b> ${escapeHtml(value)}</div>`).join('\n');
+  const notice = `Viewed with temp-email. Scripts and forms were removed${blocked > 0 ? `, and ${blocked} remote ${blocked === 1 ? 'resource was' : 'resources were'} blocked` : ''}.`;
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+<meta name="referrer" content="no-referrer">
+<title>${escapeHtml(email.subject || '(No subject)')}</title>
+</head>
+<body>
+<div style="font: 14px sans-serif; padding: 8px 12px; margin-bottom: 12px; background: #f3f3f3; border-bottom: 1px solid #ccc; color: #222">
+${header}
+<div style="color: #666; margin-top: 4px">${escapeHtml(notice)}</div>
+</div>
+${body}
+</body>
+</html>
+`;
+  return { html, blocked };
+}
+
+module.exports = { isOpenableLink, htmlToFootnotedText, findTextLinks, sanitizeHtml, buildSafeDocument };
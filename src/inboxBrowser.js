@@ -0,0 +1,827 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const { extractVerification } = require('./extractor');
+const { formatSize } = require('./fileUtils');
+const { openExternal, copyToClipboard } = require('./desktop');
+
+// Switch to the terminal's alternate screen with a hidden cursor, and back
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+
+const PANES = ['addresses', 'messages', 'preview'];
+
+const HELP = {
+  addresses: '↑↓ select  Enter open inbox  r refresh  Tab next pane  q quit',
+  messages: '↑↓ select  Enter open  d delete  r refresh  PgUp/PgDn scroll preview  Esc back  q quit',
+  preview: '↑↓ PgUp/PgDn scroll  1-9 link  b browser  d delete  Esc back  q quit'
+};
+
+/**
+ * Remove control characters, which a message could use to rewrite the screen, keeping line breaks
+ * @param {any} text - Text to clean
+ * @returns {string} Printable text
+ */
+function sanitize(text) {
+  return String(text ?? '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, '  ')
+    .replace(/[\x00-\x09\x0b-\x1f\x7f-\x9f]/g, '');
+}
+
+/**
+ * Clean text for a single screen row
+ * @param {any} text - Text to clean
+ * @returns {string} Printable text without line breaks
+ */
+function oneLine(text) {
+  return sanitize(text).replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Cut or pad text to an exact width
+ * @param {string} text - Printable text
+ * @param {number} width - Width in characters
+ * @returns {string} Text of the given width, ending in … when cut
+ */
+function fit(text, width) {
+  if (width <= 0) {
+    return '';
+  }
+  const chars = [...text];
+  if (chars.length > width) {
+    return chars.slice(0, width - 1).join('') + '…';
+  }
+  return text + ' '.repeat(width - chars.length);
+}
+
+/**
+ * Wrap text at word boundaries, breaking words longer than the width
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line width
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, width) {
+  const lines = [];
+  sanitize(text).split('\n').forEach(line => {
+    let rest = [...line.trimEnd()];
+    while (rest.length > width) {
+      let cut = rest.lastIndexOf(' ', width);
+      if (cut <= 0) {
+        cut = width;
+      }
+      lines.push(rest.slice(0, cut).join('').trimEnd());
+      rest = [...rest.slice(cut).join('').trimStart()];
+    }
+    lines.push(rest.join(''));
+  });
+  return lines;
+}
+
+/**
+ * Format a receive date compactly: the time for today's messages, otherwise the date
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const value = new Date(date);
+  if (isNaN(value)) {
+    return '';
+  }
+  return value.toDateString() === new Date().toDateString()
+    ? value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : value.toLocaleDateString();
+}
+
+/**
+ * Full-screen, keyboard-driven browser with an address pane, a message list and a preview
+ * pane. Message lists and opened messages are cached for the session, so moving around
+ * only hits the provider for inboxes and messages not seen yet, or on refresh.
+ */
+class InboxBrowser {
+  /**
+   * @param {CLIInterface} cliInterface - Interactive interface whose services and body rendering are reused
+   * @param {Object} options - Browser options
+   * @param {Object} options.filter - Address filter (tags, label) limiting the address pane
+   * @param {tty.ReadStream} options.input - Terminal to read keys from (default: stdin)
+   * @param {tty.WriteStream} options.output - Terminal to draw on (default: stdout)
+   */
+  constructor(cliInterface, options = {}) {
+    this.cli = cliInterface;
+    this.emailService = cliInterface.emailService;
+    this.storageService = cliInterface.storageService;
+    this.filter = options.filter || {};
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    this.addresses = [];
+    // Message summaries by address, and full messages by message ID
+    this.inboxes = new Map();
+    this.contents = new Map();
+    this.focus = 'addresses';
+    this.selected = { addresses: 0, messages: 0 };
+    // First visible row of each list
+    this.offsets = { addresses: 0, messages: 0 };
+    this.scroll = 0;
+    this.pending = 0;
+    this.status = null;
+    this.prompt = null;
+    // Digits typed so far when picking a link by number, or null
+    this.linkNumber = null;
+    this.active = false;
+  }
+
+  /**
+   * Read the addresses to show
+   * @param {string} address - Address to select first; shown even when the filter or expiry would hide it
+   * @returns {Promise<boolean>} Whether there is anything to browse
+   */
+  async load(address) {
+    this.addresses = await this.storageService.getAddresses(false, this.filter);
+    if (address) {
+      let index = this.addresses.findIndex(record => record.address === address);
+      if (index === -1) {
+        const record = await this.storageService.getAddressMetadata(address);
+        if (record) {
+          this.addresses.unshift(record);
+          index = 0;
+        }
+      }
+      if (index !== -1) {
+        this.selected.addresses = index;
+        this.focus = 'messages';
+      }
+    }
+    return this.addresses.length > 0;
+  }
+
+  /**
+   * Take over the terminal until the user quits
+   * @returns {Promise<void>} Resolves once the terminal has been restored
+   */
+  run() {
+    return new Promise(resolve => {
+      this.onKeypress = (str, key) => this._handleKey(str, key || {});
+      this.onResize = () => this.render();
+      this.onExit = () => this.output.write(LEAVE_SCREEN);
+      this.finish = resolve;
+
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.onKeypress);
+      this.input.resume();
+      this.output.on('resize', this.onResize);
+      // Leave the alternate screen even if the process exits while it is shown
+      process.on('exit', this.onExit);
+      this.output.write(ENTER_SCREEN);
+      this.active = true;
+
+      this._loadInbox();
+    });
+  }
+
+  /**
+   * Restore the terminal and resolve run()
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+    this.active = false;
+    this.input.removeListener('keypress', this.onKeypress);
+    this.input.setRawMode(false);
+    this.input.pause();
+    this.output.removeListener('resize', this.onResize);
+    process.removeListener('exit', this.onExit);
+    this.output.write(LEAVE_SCREEN);
+    this.finish();
+  }
+
+  /**
+   * Dispatch a key press
+   * @private
+   * @param {string} str - Typed character, if any
+   * @param {Object} key - Key description from readline
+   */
+  _handleKey(str, key) {
+    if (key.ctrl && key.name === 'c') {
+      this.stop();
+      return;
+    }
+    if (this.prompt) {
+      const { onConfirm } = this.prompt;
+      this.prompt = null;
+      if (str === 'y' || str === 'Y') {
+        onConfirm();
+      } else {
+        this.status = { text: 'Cancelled' };
+      }
+      this.render();
+      return;
+    }
+    if (this.linkNumber !== null) {
+      this._handleLinkKey(str, key);
+      this.render();
+      return;
+    }
+
+    if (this.pending === 0) {
+      this.status = null;
+    }
+    switch (key.name) {
+      case 'q':
+        this.stop();
+        return;
+      case 'up':
+      case 'k':
+        this._move(-1);
+        break;
+      case 'down':
+      case 'j':
+        this._move(1);
+        break;
+      case 'home':
+        this._move(-Infinity);
+        break;
+      case 'end':
+        this._move(Infinity);
+        break;
+      case 'g':
+        // g jumps to the top and G to the bottom, as in less and vi
+        this._move(key.shift ? Infinity : -Infinity);
+        break;
+      case 'pageup':
+        this.scroll -= this._layout().previewHeight - 1;
+        break;
+      case 'pagedown':
+      case 'space':
+        this.scroll += this._layout().previewHeight - 1;
+        break;
+      case 'tab':
+        this._focus(key.shift ? -1 : 1, true);
+        break;
+      case 'right':
+      case 'l':
+        this._focus(1);
+        break;
+      case 'left':
+      case 'h':
+      case 'escape':
+        this._focus(-1);
+        break;
+      case 'return':
+      case 'o':
+        if (this.focus === 'addresses') {
+          this._focus(1);
+        } else if (this.focus === 'messages') {
+          this._openMessage();
+        }
+        break;
+      case 'r':
+        this._refresh();
+        break;
+      case 'd':
+      case 'delete':
+        if (this.focus !== 'addresses') {
+          this._confirmDelete();
+        }
+        break;
+      case 'b':
+        this._openInBrowser();
+        break;
+      default:
+        if (/^[1-9]$/.test(str) && this._openedLinks().length > 0) {
+          this.linkNumber = str;
+          break;
+        }
+        return;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle a key while a link number is being typed
+   * @private
+   * @param {string} str - Typed character, if any
+   * @param {Object} key - Key description from readline
+   */
+  _handleLinkKey(str, key) {
+    if (/^[0-9]$/.test(str)) {
+      this.linkNumber += str;
+      return;
+    }
+    if (key.name === 'backspace') {
+      this.linkNumber = this.linkNumber.slice(0, -1) || null;
+      return;
+    }
+
+    const number = Number(this.linkNumber);
+    this.linkNumber = null;
+    if (key.name !== 'return' && key.name !== 'o' && key.name !== 'c') {
+      return;
+    }
+    const links = this._openedLinks();
+    const link = links[number - 1];
+    if (!link) {
+      this.status = { text: `There is no link ${number}; this message has ${links.length}`, error: true };
+      return;
+    }
+
+    if (key.name === 'c') {
+      this._task('Copying link...', async () => {
+        await copyToClipboard(link);
+        this.status = { text: `Copied ${link}` };
+      });
+    } else {
+      this._task('Opening link...', async () => {
+        await openExternal(link);
+        this.status = { text: `Opened ${link}` };
+      });
+    }
+  }
+
+  /**
+   * Links of the selected message, once it has been opened
+   * @private
+   * @returns {Array<string>} Openable links, numbered from 1 in the preview
+   */
+  _openedLinks() {
+    const summary = this._currentMessage();
+    const email = summary && this.contents.get(summary.id);
+    return email ? this.cli.renderEmailBody(email).links : [];
+  }
+
+  /**
+   * Show a sanitized copy of the selected message in the system browser
+   * @private
+   */
+  async _openInBrowser() {
+    const summary = this._currentMessage();
+    const email = summary && this.contents.get(summary.id);
+    if (!email) {
+      this.status = { text: summary ? 'Open the message with Enter first' : 'No message selected', error: true };
+      return;
+    }
+
+    await this._task('Opening in browser...', async () => {
+      const { path, blocked } = await this.cli.openInBrowser(email);
+      this.status = { text: `Opened ${path}${blocked > 0 ? ` (${blocked} remote ${blocked === 1 ? 'resource' : 'resources'} blocked)` : ''}` };
+    });
+  }
+
+  /**
+   * Move the selection of the focused list, or scroll the preview
+   * @private
+   * @param {number} delta - Rows to move; ±Infinity for the first or last row
+   */
+  _move(delta) {
+    if (this.focus === 'preview') {
+      this.scroll = delta === Infinity ? Number.MAX_SAFE_INTEGER : delta === -Infinity ? 0 : this.scroll + delta;
+      return;
+    }
+
+    const count = this.focus === 'addresses' ? this.addresses.length : this._messages().length;
+    const previous = this.selected[this.focus];
+    const target = delta === Infinity ? count - 1 : delta === -Infinity ? 0 : previous + delta;
+    this.selected[this.focus] = Math.max(0, Math.min(count - 1, target));
+    if (this.selected[this.focus] === previous) {
+      return;
+    }
+
+    this.scroll = 0;
+    if (this.focus === 'addresses') {
+      this.selected.messages = 0;
+      this.offsets.messages = 0;
+      this._loadInbox();
+    }
+  }
+
+  /**
+   * Focus a neighbouring pane; the preview can only be focused when a message is selected
+   * @private
+   * @param {number} delta - -1 for the pane to the left, 1 for the one to the right
+   * @param {boolean} cycle - Wrap around from the last pane to the first and back
+   */
+  _focus(delta, cycle = false) {
+    const panes = this._currentMessage() ? PANES : PANES.slice(0, 2);
+    let index = panes.indexOf(this.focus) + delta;
+    if (cycle) {
+      index = (index + panes.length) % panes.length;
+    }
+    this.focus = panes[Math.max(0, Math.min(panes.length - 1, index))];
+  }
+
+  /**
+   * Selected address record
+   * @private
+   * @returns {Object|undefined} Stored address record
+   */
+  _currentAddress() {
+    return this.addresses[this.selected.addresses];
+  }
+
+  /**
+   * Cached message summaries of the selected address
+   * @private
+   * @returns {Array<Object>} Messages, empty until fetched
+   */
+  _messages() {
+    const record = this._currentAddress();
+    return (record && this.inboxes.get(record.address)) || [];
+  }
+
+  /**
+   * Selected message summary
+   * @private
+   * @returns {Object|undefined} Message summary
+   */
+  _currentMessage() {
+    return this._messages()[this.selected.messages];
+  }
+
+  /**
+   * Run a provider request, showing a status while it is pending and its error if it fails
+   * @private
+   * @param {string} message - Status shown while the request is pending
+   * @param {Function} fn - Async function making the request
+   */
+  async _task(message, fn) {
+    this.pending++;
+    this.status = { text: message };
+    this.render();
+    try {
+      await fn();
+      if (this.status?.text === message) {
+        this.status = null;
+      }
+    } catch (error) {
+      this.status = { text: `${message.replace(/\.+$/, '')} failed: ${error.message}`, error: true };
+    } finally {
+      this.pending--;
+      this.render();
+    }
+  }
+
+  /**
+   * Fetch the message list of the selected address unless it is cached
+   * @private
+   * @param {boolean} force - Fetch even if cached
+   */
+  async _loadInbox(force = false) {
+    const record = this._currentAddress();
+    if (!record || (!force && this.inboxes.has(record.address))) {
+      this.render();
+      return;
+    }
+
+    await this._task(`Fetching messages of ${record.address}...`, async () => {
+      const emails = await this.emailService.getEmails(record.address, record.password, record.provider);
+      this.inboxes.set(record.address, emails);
+      // Share the list with the menu commands, so reading a message afterwards needs no new fetch
+      this.cli.currentEmails = emails;
+      this.cli.currentAddress = record.address;
+      this.cli.currentAddressData = record;
+
+      if (record === this._currentAddress()) {
+        this.selected.messages = Math.max(0, Math.min(this.selected.messages, emails.length - 1));
+      }
+    });
+  }
+
+  /**
+   * Read the address list again and fetch the selected inbox
+   * @private
+   */
+  async _refresh() {
+    const address = this._currentAddress()?.address;
+    await this._task('Reading addresses...', async () => {
+      const addresses = await this.storageService.getAddresses(false, this.filter);
+      // Keep an address opened by name even if the filter does not include it
+      if (address && !addresses.some(record => record.address === address)) {
+        const record = await this.storageService.getAddressMetadata(address);
+        if (record) {
+          addresses.unshift(record);
+        }
+      }
+      this.addresses = addresses;
+      this.selected.addresses = Math.max(0, addresses.findIndex(record => record.address === address));
+    });
+    if (this.addresses.length === 0) {
+      this.focus = 'addresses';
+      this.render();
+      return;
+    }
+    await this._loadInbox(true);
+  }
+
+  /**
+   * Fetch the full content of the selected message, show it in the preview and mark it as read
+   * @private
+   */
+  async _openMessage() {
+    const record = this._currentAddress();
+    const email = this._currentMessage();
+    if (!email) {
+      return;
+    }
+
+    await this._task('Fetching message...', async () => {
+      if (!this.contents.has(email.id)) {
+        this.contents.set(email.id, await this.emailService.getEmailContent(email.id, record.address, record.password, record.provider));
+      }
+      if (this._currentMessage() === email) {
+        this.focus = 'preview';
+        this.scroll = 0;
+      }
+
+      if (!email.seen) {
+        const { failed } = await this.emailService.markEmails([email.id], true, record.address, record.password, record.provider);
+        if (failed.length > 0) {
+          throw new Error(failed[0].error);
+        }
+        email.seen = true;
+        this.contents.get(email.id).seen = true;
+      }
+    });
+  }
+
+  /**
+   * Ask for confirmation, then delete the selected message
+   * @private
+   */
+  _confirmDelete() {
+    const record = this._currentAddress();
+    const email = this._currentMessage();
+    if (!email) {
+      return;
+    }
+
+    this.prompt = {
+      message: `Delete "${oneLine(email.subject) || '(No subject)'}" from ${record.address}? (y/n)`,
+      onConfirm: () => this._task('Deleting message...', async () => {
+        const { deleted, failed } = await this.emailService.deleteEmails([email.id], record.address, record.password, record.provider);
+        if (failed.length > 0) {
+          throw new Error(failed[0].error);
+        }
+
+        const remaining = (this.inboxes.get(record.address) || []).filter(item => !deleted.includes(item.id));
+        this.inboxes.set(record.address, remaining);
+        this.contents.delete(email.id);
+        if (this.cli.currentAddress === record.address) {
+          this.cli.currentEmails = remaining;
+        }
+        if (record === this._currentAddress()) {
+          this.selected.messages = Math.max(0, Math.min(this.selected.messages, remaining.length - 1));
+          this.scroll = 0;
+          if (this.focus === 'preview') {
+            this.focus = 'messages';
+          }
+        }
+        this.status = { text: 'Message deleted' };
+      })
+    };
+  }
+
+  /**
+   * Work out pane sizes from the terminal size
+   * @private
+   * @returns {Object} Widths and heights of the panes
+   */
+  _layout() {
+    const width = Math.max(40, this.output.columns || 80);
+    const height = Math.max(10, this.output.rows || 24);
+    const bodyHeight = height - 2;
+    const leftWidth = Math.min(40, Math.max(20, Math.floor(width * 0.3)));
+    const listHeight = Math.max(3, Math.floor(bodyHeight * 0.4));
+    return {
+      width,
+      height,
+      bodyHeight,
+      leftWidth,
+      rightWidth: width - leftWidth - 1,
+      listHeight,
+      previewHeight: bodyHeight - listHeight - 1
+    };
+  }
+
+  /**
+   * Draw the whole screen
+   */
+  render() {
+    if (!this.active) {
+      return;
+    }
+
+    const layout = this._layout();
+    const preview = this._previewLines(layout.rightWidth);
+    this.scroll = Math.max(0, Math.min(this.scroll, preview.length - layout.previewHeight));
+
+    const left = this._renderAddresses(layout.leftWidth, layout.bodyHeight);
+    const right = [
+      ...this._renderMessages(layout.rightWidth, layout.listHeight),
+      this._renderRule(preview.length, layout),
+      ...preview.slice(this.scroll, this.scroll + layout.previewHeight)
+    ];
+
+    const rows = [this._renderTitle(layout.width)];
+    for (let i = 0; i < layout.bodyHeight; i++) {
+      rows.push(left[i] + chalk.gray('│') + (right[i] || ' '.repeat(layout.rightWidth)));
+    }
+    // Leave the last column free so the bottom row does not scroll the screen
+    rows.push(this._renderFooter(layout.width - 1));
+
+    this.output.write(rows.map((row, index) => `\x1b[${index + 1};1H${row}`).join(''));
+  }
+
+  /**
+   * Render the visible rows of a list, keeping the selection in view
+   * @private
+   * @param {string} pane - addresses or messages
+   * @param {Array<Object>} items - List items
+   * @param {number} width - Pane width
+   * @param {number} height - Pane height
+   * @param {Function} format - Turns an item into {text, unread}
+   * @returns {Array<string>} Rows
+   */
+  _renderList(pane, items, width, height, format) {
+    const selected = this.selected[pane];
+    let offset = this.offsets[pane];
+    if (selected < offset) {
+      offset = selected;
+    } else if (selected >= offset + height) {
+      offset = selected - height + 1;
+    }
+    offset = Math.max(0, Math.min(offset, items.length - height));
+    this.offsets[pane] = offset;
+
+    const rows = [];
+    for (let i = 0; i < height; i++) {
+      const index = offset + i;
+      if (index >= items.length) {
+        rows.push(' '.repeat(width));
+        continue;
+      }
+      const { text, unread } = format(items[index]);
+      const row = fit(text, width);
+      if (index === selected) {
+        rows.push(this.focus === pane ? chalk.inverse(row) : chalk.cyan(row));
+      } else {
+        rows.push(unread ? chalk.bold(row) : row);
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Render the address pane
+   * @private
+   * @param {number} width - Pane width
+   * @param {number} height - Pane height
+   * @returns {Array<string>} Rows
+   */
+  _renderAddresses(width, height) {
+    if (this.addresses.length === 0) {
+      return [chalk.gray(fit(' No addresses', width)), ...Array(height - 1).fill(' '.repeat(width))];
+    }
+    return this._renderList('addresses', this.addresses, width, height, record => {
+      const unread = (this.inboxes.get(record.address) || []).filter(email => !email.seen).length;
+      return { text: ` ${record.address}${unread > 0 ? ` (${unread})` : ''}`, unread: unread > 0 };
+    });
+  }
+
+  /**
+   * Render the message list
+   * @private
+   * @param {number} width - Pane width
+   * @param {number} height - Pane height
+   * @returns {Array<string>} Rows
+   */
+  _renderMessages(width, height) {
+    const record = this._currentAddress();
+    const emails = this._messages();
+    if (emails.length === 0) {
+      const text = !record ? '' : this.inboxes.has(record.address) ? ' No messages' : ' Loading...';
+      return [chalk.gray(fit(text, width)), ...Array(height - 1).fill(' '.repeat(width))];
+    }
+
+    const dateWidth = 10;
+    const fromWidth = Math.max(10, Math.floor((width - dateWidth - 4) * 0.35));
+    return this._renderList('messages', emails, width, height, email => ({
+      text: `${email.seen ? ' ' : '●'} ${fit(oneLine(email.from?.address), fromWidth)} ` +
+        `${fit(oneLine(email.subject) || '(No subject)', width - fromWidth - dateWidth - 4)} ${formatDate(email.receivedDate)}`,
+      unread: !email.seen
+    }));
+  }
+
+  /**
+   * Build the preview of the selected message: its summary until opened, then the full message
+   * @private
+   * @param {number} width - Pane width
+   * @returns {Array<string>} Rows of the whole preview, before scrolling
+   */
+  _previewLines(width) {
+    const summary = this._currentMessage();
+    if (!summary) {
+      return [];
+    }
+    const email = this.contents.get(summary.id);
+    const key = `${summary.id}:${width}:${Boolean(email)}`;
+    if (this.previewCache?.key === key) {
+      return this.previewCache.lines;
+    }
+
+    const message = email || summary;
+    const header = (label, value) => chalk.cyan(label) + fit(oneLine(value), width - label.length);
+    const text = value => wrapText(value, width).map(line => fit(line, width));
+    const lines = [
+      header('From: ', message.from?.name ? `${message.from.name} <${message.from.address}>` : message.from?.address),
+      header('To: ', (message.to || []).map(recipient => recipient.address).join(', ')),
+      header('Subject: ', message.subject || '(No subject)'),
+      header('Date: ', new Date(message.receivedDate).toLocaleString()),
+      ' '.repeat(width)
+    ];
+
+    if (!email) {
+      lines.push(...text(summary.intro || ''), ' '.repeat(width), chalk.gray(fit('Press Enter to open the full message', width)));
+    } else {
+      const body = this.cli.renderEmailBody(email);
+      lines.push(...text(body.text));
+
+      if (body.links.length > 0) {
+        lines.push(' '.repeat(width), chalk.cyan(fit('Links:', width)));
+        body.links.forEach((link, index) => lines.push(...text(`[${index + 1}] ${link}`)));
+      }
+
+      if (email.attachments && email.attachments.length > 0) {
+        lines.push(' '.repeat(width), chalk.cyan(fit('Attachments:', width)));
+        email.attachments.forEach(att => {
+          lines.push(...text(`- ${att.filename} (${att.contentType}, ${formatSize(att.size)})`));
+        });
+      }
+
+      const { codes, links } = extractVerification(email);
+      if (codes.length > 0) {
+        lines.push(' '.repeat(width), header('Possible codes: ', codes.slice(0, 3).map(c => c.value).join(', ')));
+      }
+      if (links.length > 0) {
+        lines.push(' '.repeat(width), chalk.cyan(fit('Action links:', width)));
+        links.slice(0, 3).forEach(link => {
+          lines.push(...text(`- [${link.type}] ${link.text ? link.text + ': ' : ''}${link.url}`));
+        });
+      }
+    }
+
+    this.previewCache = { key, lines };
+    return lines;
+  }
+
+  /**
+   * Render the rule between the message list and the preview, with the scroll position
+   * @private
+   * @param {number} total - Number of preview rows
+   * @param {Object} layout - Pane sizes
+   * @returns {string} Row
+   */
+  _renderRule(total, layout) {
+    const position = total > layout.previewHeight
+      ? ` ${this.scroll + 1}-${Math.min(total, this.scroll + layout.previewHeight)} of ${total} `
+      : '';
+    const title = '─ Preview ';
+    const fill = Math.max(0, layout.rightWidth - title.length - position.length);
+    const rule = chalk.gray(title + '─'.repeat(fill) + position);
+    return this.focus === 'preview' ? chalk.bold(rule) : rule;
+  }
+
+  /**
+   * Render the title bar
+   * @private
+   * @param {number} width - Screen width
+   * @returns {string} Row
+   */
+  _renderTitle(width) {
+    const record = this._currentAddress();
+    const emails = record && this.inboxes.get(record.address);
+    const details = emails ? `${record.address} · ${emails.length} ${emails.length === 1 ? 'message' : 'messages'}` : record?.address || '';
+    return chalk.inverse(fit(` temp-email${details ? `  ${details}` : ''}`, width));
+  }
+
+  /**
+   * Render the bottom row: a pending question, the status or the keys of the focused pane
+   * @private
+   * @param {number} width - Row width
+   * @returns {string} Row
+   */
+  _renderFooter(width) {
+    if (this.prompt) {
+      return chalk.yellow(fit(` ${this.prompt.message}`, width));
+    }
+    if (this.linkNumber !== null) {
+      return chalk.yellow(fit(` Link ${this.linkNumber}_  Enter open  c copy  Esc cancel`, width));
+    }
+    if (this.status) {
+      return (this.status.error ? chalk.red : chalk.cyan)(fit(` ${oneLine(this.status.text)}`, width));
+    }
+    return chalk.gray(fit(` ${HELP[this.focus]}`, width));
+  }
+}
+
+module.exports = InboxBrowser;
@@ -0,0 +1,202 @@
+const EventEmitter = require('events');
+
+/**
+ * Follows inboxes and reports messages as they arrive. Inboxes are checked when the
+ * provider pushes a change (mail.tm's Mercure channel) and, as a fallback, on a timer.
+ *
+ * Events:
+ *   message (record, email)  - a new message, with full content when it could be fetched
+ *   mode (record, mode)      - 'push' or 'polling', whenever an inbox switches between them
+ *   warning (record, error)  - a failed check, a throwing listener or a dropped push channel; watching continues
+ *   stop ()                  - stop() was called
+ */
+class InboxWatcher extends EventEmitter {
+  /**
+   * @param {EmailService} emailService - Email service instance
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Delay between polls without push in milliseconds (default: 10000)
+   * @param {number} options.pushInterval - Delay between safety polls while push works in milliseconds (default: 60000)
+   * @param {number} options.reconnectDelay - Wait before reopening a dropped push channel in milliseconds (default: 30000)
+   * @param {boolean} options.push - Use the provider's push channel when available (default: true)
+   */
+  constructor(emailService, options = {}) {
+    super();
+    this.emailService = emailService;
+    this.interval = options.interval || 10000;
+    this.pushInterval = options.pushInterval || 60000;
+    this.reconnectDelay = options.reconnectDelay || 30000;
+    this.push = options.push !== false;
+    // Watch state keyed by address
+    this.watches = new Map();
+  }
+
+  /**
+   * Start following an address; messages already in the inbox are not reported
+   * @param {Object} record - Stored address record
+   */
+  async watch(record) {
+    if (this.watches.has(record.address)) {
+      return;
+    }
+
+    const entry = { record, known: new Set(), subscription: null, timer: null, reconnectTimer: null, checking: null };
+    const { messages } = await this.emailService.getEmailPage(record.address, record.password, record.provider, 1);
+    messages.forEach(message => entry.known.add(message.id));
+
+    this.watches.set(record.address, entry);
+    await this._connect(entry);
+    this._schedule(entry);
+  }
+
+  /**
+   * Start following several addresses; when one of them cannot be watched, the others are stopped as well
+   * @param {Array<Object>} records - Stored address records
+   */
+  async watchAll(records) {
+    try {
+      for (const record of records) {
+        await this.watch(record);
+      }
+    } catch (error) {
+      // Otherwise their timers and push channels would keep the process alive
+      this.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop following all addresses
+   */
+  stop() {
+    for (const entry of this.watches.values()) {
+      clearTimeout(entry.timer);
+      clearTimeout(entry.reconnectTimer);
+      if (entry.subscription) {
+        entry.subscription.close();
+      }
+    }
+    this.watches.clear();
+    this.emit('stop');
+  }
+
+  /**
+   * Open the push channel of an inbox, falling back to polling when there is none
+   * @private
+   * @param {Object} entry - Watch state
+   */
+  async _connect(entry) {
+    const { record } = entry;
+    if (this.push) {
+      try {
+        entry.subscription = await this.emailService.subscribe(record.id, record.address, record.password, record.provider, {
+          onEvent: () => this._check(entry).catch(error => this.emit('warning', record, error)),
+          onError: error => this._disconnected(entry, error)
+        });
+      } catch (error) {
+        this.emit('warning', record, new Error(`Push channel unavailable: ${error.message}`));
+      }
+    }
+
+    this.emit('mode', record, entry.subscription ? 'push' : 'polling');
+  }
+
+  /**
+   * Switch an inbox to polling after its push channel failed, and reconnect later
+   * @private
+   * @param {Object} entry - Watch state
+   * @param {Error} error - Reason the channel closed
+   */
+  _disconnected(entry, error) {
+    if (this.watches.get(entry.record.address) !== entry) {
+      return;
+    }
+
+    entry.subscription = null;
+    this.emit('warning', entry.record, new Error(`Push channel lost (${error.message}), polling until it reconnects`));
+    this.emit('mode', entry.record, 'polling');
+    this._schedule(entry);
+
+    entry.reconnectTimer = setTimeout(async () => {
+      if (this.watches.get(entry.record.address) === entry) {
+        try {
+          await this._connect(entry);
+          // Catch up on anything that arrived while the channel was down
+          await this._check(entry);
+        } catch (error) {
+          this.emit('warning', entry.record, error);
+        }
+      }
+    }, this.reconnectDelay);
+  }
+
+  /**
+   * Schedule the next poll, less often while push works
+   * @private
+   * @param {Object} entry - Watch state
+   */
+  _schedule(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(async () => {
+      // A throwing listener must not end the polling, nor escape as an unhandled rejection
+      await this._check(entry).catch(error => this.emit('warning', entry.record, error));
+      if (this.watches.get(entry.record.address) === entry) {
+        this._schedule(entry);
+      }
+    }, entry.subscription ? this.pushInterval : this.interval);
+  }
+
+  /**
+   * Look for new messages; checks requested while one runs are merged into one more check
+   * @private
+   * @param {Object} entry - Watch state
+   * @returns {Promise<void>} Resolves when the inbox has been checked
+   */
+  _check(entry) {
+    if (entry.checking) {
+      entry.recheck = true;
+      return entry.checking;
+    }
+
+    entry.checking = (async () => {
+      do {
+        entry.recheck = false;
+        await this._fetchNew(entry);
+      } while (entry.recheck && this.watches.get(entry.record.address) === entry);
+    })().finally(() => {
+      entry.checking = null;
+    });
+    return entry.checking;
+  }
+
+  /**
+   * Fetch the first inbox page and report the messages not seen before, oldest first
+   * @private
+   * @param {Object} entry - Watch state
+   */
+  async _fetchNew(entry) {
+    const { record } = entry;
+
+    let messages;
+    try {
+      ({ messages } = await this.emailService.getEmailPage(record.address, record.password, record.provider, 1));
+    } catch (error) {
+      this.emit('warning', record, error);
+      return;
+    }
+
+    const fresh = messages.filter(message => !entry.known.has(message.id)).reverse();
+    for (const summary of fresh) {
+      entry.known.add(summary.id);
+
+      let email = summary;
+      try {
+        email = { ...summary, ...await this.emailService.getEmailContent(summary.id, record.address, record.password, record.provider) };
+      } catch (error) {
+        this.emit('warning', record, error);
+      }
+      this.emit('message', record, email);
+    }
+  }
+}
+
+module.exports = InboxWatcher;
@@ -0,0 +1,189 @@
+// Type declarations for the library entry point (src/library.js)
+
+export type ProviderName = 'mail.tm' | 'mail.gw' | 'local';
+
+/** Text to look for (case-insensitive substring) or a regular expression */
+export type TextMatcher = string | RegExp;
+
+export interface ProviderConfig {
+  /** API base URL */
+  baseUrl?: string;
+  /** Time limit per API request in milliseconds */
+  timeout?: number;
+  /** Mercure hub for push updates, or null to always poll */
+  mercureUrl?: string | null;
+  [key: string]: unknown;
+}
+
+export interface Logger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error?(...args: unknown[]): void;
+}
+
+export interface TempEmailOptions {
+  /** Provider for new inboxes (default: mail.tm) */
+  provider?: ProviderName;
+  /** Per-provider configuration keyed by provider name */
+  providers?: Partial<Record<ProviderName, ProviderConfig>>;
+  /** API base URL of the default provider */
+  baseUrl?: string;
+  /** Time limit per API request in milliseconds (default: 10000) */
+  timeout?: number;
+  /** Attempts per API request (default: 3) */
+  retries?: number;
+  /** Storage file to persist inboxes in, or true for the command-line tool's default one (default: memory only) */
+  storage?: boolean | string;
+  /** Passphrase of encrypted storage */
+  passphrase?: string;
+  /** Days before a stored inbox expires (default: 7) */
+  expiryDays?: number;
+  /** Receives diagnostic messages (default: none) */
+  logger?: Logger;
+}
+
+export interface Inbox {
+  address: string;
+  password: string;
+  provider: ProviderName;
+  id: string;
+  createdAt: string;
+  /** Expiry in local storage; null when the client keeps inboxes in memory */
+  expiresAt: string | null;
+}
+
+export interface CreateInboxOptions {
+  provider?: ProviderName;
+  /** Part before the @ (default: random letters) */
+  username?: string;
+  /** One of the provider's active domains (default: the first one) */
+  domain?: string;
+}
+
+export interface MailAddress {
+  address: string;
+  name?: string;
+}
+
+export interface Attachment {
+  id: string;
+  filename: string;
+  contentType: string;
+  size: number;
+}
+
+export interface MessageSummary {
+  id: string;
+  from: MailAddress;
+  to: MailAddress[];
+  subject: string;
+  intro?: string;
+  seen: boolean;
+  hasAttachments: boolean;
+  /** ISO 8601 timestamp */
+  receivedDate: string;
+}
+
+export interface Message {
+  id: string;
+  from: MailAddress;
+  to: MailAddress[];
+  subject: string;
+  text?: string;
+  html?: string | string[];
+  attachments: Attachment[];
+  seen: boolean;
+  receivedDate: string;
+}
+
+export interface MessageFilter {
+  from?: TextMatcher;
+  subject?: TextMatcher;
+  since?: Date | string;
+  until?: Date | string;
+  hasAttachments?: boolean;
+  unread?: boolean;
+}
+
+export interface ListMessagesOptions {
+  filter?: MessageFilter;
+  sort?: 'date' | 'from' | 'subject';
+  order?: 'asc' | 'desc';
+  /** Fetch only this page instead of the whole inbox */
+  page?: number;
+}
+
+export interface WaitForMessageOptions {
+  from?: TextMatcher;
+  subject?: TextMatcher;
+  body?: TextMatcher;
+  /** Maximum time to wait in milliseconds (default: 60000) */
+  timeout?: number;
+  /** Initial delay between polls in milliseconds (default: 2000) */
+  interval?: number;
+  /** Factor the delay grows by after each poll (default: 1.5) */
+  backoff?: number;
+  /** Upper bound for the delay in milliseconds (default: 15000) */
+  maxInterval?: number;
+  /** Ignore messages received before this time */
+  since?: Date | string;
+  /** Stops waiting when aborted, rejecting with code WAIT_ABORTED */
+  signal?: AbortSignal;
+}
+
+export interface DeleteInboxOptions {
+  /** Only forget the inbox, keeping the provider account */
+  keepRemote?: boolean;
+}
+
+export interface VerificationCode {
+  value: string;
+  score: number;
+  context: string;
+}
+
+export interface VerificationLink {
+  url: string;
+  text: string;
+  type: string;
+  score: number;
+}
+
+/** Errors raised by the library carry one of these codes where the cause is known */
+export type ErrorCode =
+  | 'INVALID_OPTIONS'
+  | 'INBOX_NOT_FOUND'
+  | 'INVALID_ADDRESS'
+  | 'ADDRESS_REJECTED'
+  | 'WAIT_TIMEOUT'
+  | 'WAIT_ABORTED'
+  | 'VAULT_LOCKED'
+  | 'VAULT_BAD_PASSPHRASE'
+  | 'STORAGE_LOCKED'
+  | 'STORAGE_CORRUPT'
+  | 'STORAGE_VERSION';
+
+export interface TempEmailError extends Error {
+  code?: ErrorCode;
+}
+
+export declare class TempEmail {
+  constructor(options?: TempEmailOptions);
+  readonly defaultProvider: ProviderName;
+  createInbox(options?: CreateInboxOptions): Promise<Inbox>;
+  listInboxes(): Promise<Inbox[]>;
+  listMessages(inbox: Inbox | string, options?: ListMessagesOptions): Promise<MessageSummary[]>;
+  getMessage(inbox: Inbox | string, messageId: string): Promise<Message>;
+  /** Rejects with code WAIT_TIMEOUT when no matching message arrives in time */
+  waitForMessage(inbox: Inbox | string, options?: WaitForMessageOptions): Promise<Message>;
+  deleteInbox(inbox: Inbox | string, options?: DeleteInboxOptions): Promise<{ remote: boolean }>;
+}
+
+/** Find one-time codes and action links in a message, best candidates first */
+export declare function extractVerification(message: Message): { codes: VerificationCode[]; links: VerificationLink[] };
+
+export declare function getProviderNames(): ProviderName[];
+
+/** Lower-level services used by the command-line tool; their API is not covered by these declarations */
+export declare const EmailService: new (config?: Record<string, unknown>) => any;
+export declare const StorageService: new (storageFile?: string, expirationDays?: number, options?: Record<string, unknown>) => any;
@@ -0,0 +1,239 @@
+/**
+ * Library entry point (package.json "main"). Unlike index.js it has no side effects:
+ * requiring it starts no menu, reads no config file and installs no signal handlers.
+ *
+ *   const { TempEmail } = require('temp-email-cli');
+ *   const mail = new TempEmail();
+ *   const inbox = await mail.createInbox();
+ *   const message = await mail.waitForMessage(inbox, { subject: /verify/i });
+ *   await mail.deleteInbox(inbox);
+ */
+
+const EmailService = require('./emailService');
+const StorageService = require('./storageService');
+const { DEFAULT_PROVIDER, getProviderNames } = require('./providers');
+const { extractVerification } = require('./extractor');
+
+// Libraries should not write to the console unless asked to
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Create an error carrying a library error code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the code set
+ */
+function libraryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * High-level client for creating disposable inboxes and reading their mail, e.g. from
+ * end-to-end tests. Inboxes are kept in memory unless a storage file is configured, in
+ * which case they are shared with the command-line tool.
+ */
+class TempEmail {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.provider - Provider for new inboxes (default: mail.tm)
+   * @param {Object} options.providers - Per-provider configuration keyed by provider name (e.g. baseUrl, timeout)
+   * @param {string} options.baseUrl - API base URL of the default provider
+   * @param {number} options.timeout - Time limit per API request in milliseconds (default: 10000)
+   * @param {number} options.retries - Attempts per API request (default: 3)
+   * @param {boolean|string} options.storage - Storage file to persist inboxes in, or true for the
+   *   command-line tool's default one (default: keep inboxes in memory only)
+   * @param {string} options.passphrase - Passphrase of encrypted storage
+   * @param {number} options.expiryDays - Days before a stored inbox expires (default: 7)
+   * @param {Object} options.logger - Console-like object for diagnostic messages (default: none)
+   */
+  constructor(options = {}) {
+    this.defaultProvider = options.provider || DEFAULT_PROVIDER;
+    if (!getProviderNames().includes(this.defaultProvider)) {
+      throw libraryError(`Unknown provider '${this.defaultProvider}'. Available providers: ${getProviderNames().join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    this.storage = null;
+    if (options.storage) {
+      this.storage = new StorageService(options.storage === true ? undefined : options.storage, options.expiryDays);
+      if (options.passphrase) {
+        this.storage.setPassphrase(options.passphrase);
+      }
+    }
+    // Inboxes of this client, by address; the storage file, if any, also holds those of earlier runs
+    this.inboxes = new Map();
+
+    const providers = {};
+    getProviderNames().forEach(name => {
+      providers[name] = { timeout: options.timeout, ...(options.providers || {})[name] };
+    });
+    if (options.baseUrl) {
+      providers[this.defaultProvider].baseUrl = options.baseUrl;
+    }
+
+    this.emailService = new EmailService({
+      provider: this.defaultProvider,
+      providers,
+      maxRetries: options.retries,
+      logger: options.logger || SILENT_LOGGER,
+      tokenStore: this.storage && {
+        load: async address => (await this.storage.getAddressMetadata(address))?.token,
+        save: (address, token) => this.storage.updateAddress(address, { token })
+      }
+    });
+  }
+
+  /**
+   * Create a new inbox with a generated password
+   * @param {Object} options - Inbox options
+   * @param {string} options.provider - Provider to create it with (default: the client's provider)
+   * @param {string} options.username - Part before the @ (default: random letters)
+   * @param {string} options.domain - One of the provider's active domains (default: the first one)
+   * @returns {Promise<Object>} Inbox with address, password, provider, id, createdAt and expiresAt
+   */
+  async createInbox(options = {}) {
+    const account = await this.emailService.createEmailAddress(undefined, options.provider, {
+      username: options.username,
+      domain: options.domain
+    });
+
+    let inbox = {
+      address: account.address,
+      password: account.password,
+      provider: account.provider,
+      id: account.id,
+      createdAt: new Date().toISOString(),
+      expiresAt: null
+    };
+    if (this.storage) {
+      await this.storage.saveAddress(inbox.address, { ...inbox, expiresAt: undefined, token: account.token });
+      inbox = this._toInbox(await this.storage.getAddressMetadata(inbox.address));
+    }
+
+    this.inboxes.set(inbox.address, inbox);
+    return { ...inbox };
+  }
+
+  /**
+   * List the inboxes known to this client, including stored ones when storage is configured
+   * @returns {Promise<Array<Object>>} Inboxes, see createInbox
+   */
+  async listInboxes() {
+    if (!this.storage) {
+      return [...this.inboxes.values()].map(inbox => ({ ...inbox }));
+    }
+    return (await this.storage.getAddresses()).map(record => this._toInbox(record));
+  }
+
+  /**
+   * List the messages of an inbox, newest first
+   * @param {Object|string} inbox - Inbox from createInbox, or its address
+   * @param {Object} options - Listing options
+   * @param {Object} options.filter - Criteria: from, subject (text or RegExp), since, until, hasAttachments, unread
+   * @param {string} options.sort - date, from or subject (default: date)
+   * @param {string} options.order - asc or desc (default: desc)
+   * @returns {Promise<Array<Object>>} Message summaries
+   */
+  async listMessages(inbox, options = {}) {
+    const { address, password, provider } = await this._resolve(inbox);
+    return this.emailService.getEmails(address, password, provider, options);
+  }
+
+  /**
+   * Get the full content of a message
+   * @param {Object|string} inbox - Inbox from createInbox, or its address
+   * @param {string} messageId - Message ID from listMessages
+   * @returns {Promise<Object>} Message with text, html and attachments
+   */
+  async getMessage(inbox, messageId) {
+    const { address, password, provider } = await this._resolve(inbox);
+    return this.emailService.getEmailContent(messageId, address, password, provider);
+  }
+
+  /**
+   * Wait until a matching message arrives
+   * @param {Object|string} inbox - Inbox from createInbox, or its address
+   * @param {Object} options - Filters and polling options
+   * @param {string|RegExp} options.from - Match the sender name or address
+   * @param {string|RegExp} options.subject - Match the subject line
+   * @param {string|RegExp} options.body - Match the message body
+   * @param {number} options.timeout - Maximum time to wait in milliseconds (default: 60000)
+   * @param {number} options.interval - Initial delay between polls in milliseconds (default: 2000)
+   * @param {Date|string} options.since - Ignore messages received before this time
+   * @param {AbortSignal} options.signal - Stops waiting when aborted, rejecting with code WAIT_ABORTED
+   * @returns {Promise<Object>} Full content of the first matching message; rejects with code WAIT_TIMEOUT when none arrives in time
+   */
+  async waitForMessage(inbox, options = {}) {
+    const { address, password, provider } = await this._resolve(inbox);
+    const { from, subject, body, ...polling } = options;
+    return this.emailService.waitForEmail(address, password, { from, subject, body }, { ...polling, provider });
+  }
+
+  /**
+   * Delete an inbox at the provider and forget it
+   * @param {Object|string} inbox - Inbox from createInbox, or its address
+   * @param {Object} options - Options
+   * @param {boolean} options.keepRemote - Only forget the inbox, keeping the provider account
+   * @returns {Promise<{remote: boolean}>} Whether a provider account was deleted (false when it was already gone or kept)
+   */
+  async deleteInbox(inbox, options = {}) {
+    const record = await this._resolve(inbox);
+
+    let remote = false;
+    if (!options.keepRemote) {
+      remote = await this.emailService.deleteRemoteAccount(record.id, record.address, record.password, record.provider);
+    }
+    this.inboxes.delete(record.address);
+    if (this.storage) {
+      await this.storage.removeAddress(record.address);
+    }
+    return { remote };
+  }
+
+  /**
+   * Find the credentials of an inbox given as an object or an address
+   * @private
+   * @param {Object|string} inbox - Inbox or address
+   * @returns {Promise<Object>} Inbox with credentials
+   */
+  async _resolve(inbox) {
+    if (inbox && typeof inbox === 'object' && inbox.address && inbox.password) {
+      return { provider: this.defaultProvider, ...inbox };
+    }
+
+    const address = typeof inbox === 'string' ? inbox : inbox?.address;
+    if (!address) {
+      throw libraryError('Pass an inbox returned by createInbox, or its address', 'INVALID_OPTIONS');
+    }
+    const known = this.inboxes.get(address) || (this.storage && await this.storage.getAddressMetadata(address));
+    if (!known) {
+      throw libraryError(`Inbox ${address} is not known to this client`, 'INBOX_NOT_FOUND');
+    }
+    return known;
+  }
+
+  /**
+   * Select the public fields of a stored address record
+   * @private
+   * @param {Object} record - Stored address record
+   * @returns {Object} Inbox
+   */
+  _toInbox(record) {
+    return {
+      address: record.address,
+      password: record.password,
+      provider: record.provider,
+      id: record.id,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt || null
+    };
+  }
+}
+
+module.exports = TempEmail;
+module.exports.TempEmail = TempEmail;
+module.exports.EmailService = EmailService;
+module.exports.StorageService = StorageService;
+module.exports.extractVerification = extractVerification;
+module.exports.getProviderNames = getProviderNames;
@@ -0,0 +1,40 @@
+/**
+ * Formatting of raw messages as entries of an mbox file (mboxrd variant)
+ */
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date in the asctime layout used by mbox separator lines (e.g. "Mon Jan  6 09:05:00 2025")
+ * @param {Date} date - Date to format, in UTC
+ * @returns {string} Formatted date
+ */
+function formatAsctime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Build one mbox entry from a raw message
+ * @param {Buffer|string} raw - Raw RFC 5322 message source
+ * @param {Object} envelope - Separator line details
+ * @param {string} envelope.from - Sender address (default: MAILER-DAEMON)
+ * @param {Date|string} envelope.date - Time the message was received (default: now)
+ * @returns {Buffer} Entry including the "From " separator line and a trailing blank line
+ */
+function formatMboxEntry(raw, envelope = {}) {
+  const date = envelope.date ? new Date(envelope.date) : new Date();
+  const sender = (envelope.from || 'MAILER-DAEMON').replace(/\s/g, '');
+
+  // mbox uses LF line endings; body lines starting with "From " (after any ">") get one more ">"
+  const body = Buffer.from(raw).toString('latin1')
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1')
+    .replace(/\n*$/, '\n');
+
+  return Buffer.from(`From ${sender} ${formatAsctime(date)}\n${body}\n`, 'latin1');
+}
+
+module.exports = { formatAsctime, formatMboxEntry };
@@ -0,0 +1,84 @@
+/**
+ * Filtering and sorting of message summaries returned by EmailService.getEmails
+ */
+
+// Fields messages can be sorted by, with the value each one compares
+const SORT_FIELDS = {
+  date: msg => new Date(msg.receivedDate).getTime(),
+  from: msg => (msg.from?.address || '').toLowerCase(),
+  subject: msg => (msg.subject || '').toLowerCase()
+};
+
+/**
+ * Check a value against a string or regular expression filter
+ * @param {string} value - Value to test
+ * @param {string|RegExp} filter - Filter; strings match case-insensitively as substrings, a missing filter always matches
+ * @returns {boolean} Whether the value matches
+ */
+function matchesText(value, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (filter instanceof RegExp) {
+    filter.lastIndex = 0;
+    return filter.test(value || '');
+  }
+  return (value || '').toLowerCase().includes(String(filter).toLowerCase());
+}
+
+/**
+ * Keep the messages matching all given criteria
+ * @param {Array<Object>} messages - Message summaries
+ * @param {Object} criteria - Filter criteria; omitted criteria are ignored
+ * @param {string|RegExp} criteria.from - Sender name or address
+ * @param {string|RegExp} criteria.subject - Subject line
+ * @param {Date|string} criteria.since - Received at or after this time
+ * @param {Date|string} criteria.until - Received at or before this time (a plain date includes the whole day)
+ * @param {boolean} criteria.hasAttachments - Whether messages must (true) or must not (false) have attachments
+ * @param {boolean} criteria.unread - Only messages that have not been read
+ * @returns {Array<Object>} Matching messages
+ */
+function filterMessages(messages, criteria = {}) {
+  const since = criteria.since ? new Date(criteria.since) : null;
+  const until = criteria.until ? new Date(criteria.until) : null;
+
+  // A plain date as upper bound includes the whole day
+  if (until && /^\d{4}-\d{2}-\d{2}$/.test(String(criteria.until))) {
+    until.setUTCHours(23, 59, 59, 999);
+  }
+
+  return messages.filter(msg => {
+    const from = msg.from ? `${msg.from.name || ''} <${msg.from.address}>` : '';
+    const received = new Date(msg.receivedDate);
+
+    return matchesText(from, criteria.from)
+      && matchesText(msg.subject, criteria.subject)
+      && (!since || received >= since)
+      && (!until || received <= until)
+      && (criteria.hasAttachments === undefined || Boolean(msg.hasAttachments) === criteria.hasAttachments)
+      && (!criteria.unread || !msg.seen);
+  });
+}
+
+/**
+ * Sort messages without modifying the given array
+ * @param {Array<Object>} messages - Message summaries
+ * @param {string} field - Sort field: date, from or subject (default: date)
+ * @param {string} order - asc or desc (default: desc)
+ * @returns {Array<Object>} Sorted messages
+ */
+function sortMessages(messages, field = 'date', order = 'desc') {
+  const getValue = SORT_FIELDS[field];
+  if (!getValue) {
+    throw new Error(`Cannot sort by '${field}'. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const direction = order === 'asc' ? 1 : -1;
+  return [...messages].sort((a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    return left < right ? -direction : left > right ? direction : 0;
+  });
+}
+
+module.exports = { SORT_FIELDS, matchesText, filterMessages, sortMessages };
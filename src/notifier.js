@@ -0,0 +1,61 @@
+const { execFile } = require('child_process');
+
+/**
+ * Terminal and desktop notifications for new messages
+ */
+
+/**
+ * Ring the terminal bell
+ * @param {stream.Writable} stream - Terminal stream (default: stderr, so stdout stays parseable)
+ */
+function ringBell(stream = process.stderr) {
+  stream.write('\x07');
+}
+
+/**
+ * Build the command showing a desktop notification on this platform
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @returns {Array|null} Executable and arguments, or null when the platform is not supported
+ */
+function desktopCommand(title, message) {
+  if (process.platform === 'darwin') {
+    // Title and text are passed as arguments so they are never interpreted as AppleScript
+    return ['osascript', [
+      '-e', 'on run argv',
+      '-e', 'display notification (item 2 of argv) with title (item 1 of argv)',
+      '-e', 'end run',
+      title, message
+    ]];
+  }
+  if (process.platform === 'linux' || process.platform.endsWith('bsd')) {
+    // "--" keeps a subject starting with a dash from being read as an option
+    return ['notify-send', ['--app-name=temp-email', '--', title, message]];
+  }
+  return null;
+}
+
+/**
+ * Show a desktop notification (osascript on macOS, notify-send on Linux and BSD)
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @returns {Promise<void>} Rejects when the platform is not supported or the command fails
+ */
+function notifyDesktop(title, message) {
+  const command = desktopCommand(title, message);
+  if (!command) {
+    return Promise.reject(new Error(`Desktop notifications are not supported on ${process.platform}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    execFile(command[0], command[1], { timeout: 5000 }, error => {
+      if (error) {
+        reject(new Error(`Could not show a desktop notification with ${command[0]}: ${error.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = { ringBell, notifyDesktop };
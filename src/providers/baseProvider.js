@@ -0,0 +1,143 @@
+/**
+ * Interface every mail provider implements. Providers perform single API calls and
+ * return normalized data; retries and user-facing error messages live in EmailService.
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name persisted with each address
+   * @param {Object} config - Provider-specific configuration
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    // Pause in milliseconds between account creation requests, for rate-limited services
+    this.requestDelay = 0;
+    // Number of messages listMessages returns per page
+    this.pageSize = 30;
+  }
+
+  /**
+   * List the domains new addresses can be created on
+   * @returns {Promise<Array<string>>} Active domains
+   */
+  async listDomains() {
+    throw new Error(`${this.name} does not support listing domains`);
+  }
+
+  /**
+   * Create an account
+   * @param {string} address - Full email address
+   * @param {string} password - Account password
+   * @returns {Promise<{id: string, address: string}>} Created account
+   */
+  async createAccount(address, password) {
+    throw new Error(`${this.name} does not support creating accounts`);
+  }
+
+  /**
+   * Authenticate an account
+   * @param {string} address - Email address
+   * @param {string} password - Account password
+   * @returns {Promise<string>} Authentication token
+   */
+  async getToken(address, password) {
+    throw new Error(`${this.name} does not support authentication`);
+  }
+
+  /**
+   * Get the details of the authenticated account
+   * @param {string} token - Authentication token
+   * @returns {Promise<{id: string, address: string, quota: number|null, used: number|null, disabled: boolean, createdAt: string|null, expiresAt: string|null}>} Account; quota and usage in bytes, null when unknown
+   */
+  async getAccount(token) {
+    throw new Error(`${this.name} does not support account details`);
+  }
+
+  /**
+   * List message summaries
+   * @param {string} token - Authentication token
+   * @param {Object} options - Listing options
+   * @param {number} options.page - Page number, starting at 1
+   * @returns {Promise<{messages: Array<Object>, total: ?number}>} Messages on the page and the inbox total, null when unknown
+   */
+  async listMessages(token, options = {}) {
+    throw new Error(`${this.name} does not support listing messages`);
+  }
+
+  /**
+   * Get a full message
+   * @param {string} token - Authentication token
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Message with from, to, subject, text, html, attachments and receivedDate
+   */
+  async getMessage(token, messageId) {
+    throw new Error(`${this.name} does not support reading messages`);
+  }
+
+  /**
+   * Get the raw source of a message
+   * @param {string} token - Authentication token
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Buffer>} RFC 5322 message source
+   */
+  async getMessageSource(token, messageId) {
+    throw new Error(`${this.name} does not support message sources`);
+  }
+
+  /**
+   * Download an attachment
+   * @param {string} token - Authentication token
+   * @param {string} messageId - Message ID
+   * @param {Object} attachment - Attachment entry from getMessage
+   * @returns {Promise<Buffer>} Attachment content
+   */
+  async getAttachment(token, messageId, attachment) {
+    throw new Error(`${this.name} does not support downloading attachments`);
+  }
+
+  /**
+   * Mark a message as read or unread
+   * @param {string} token - Authentication token
+   * @param {string} messageId - Message ID
+   * @param {boolean} seen - true to mark as read, false to mark as unread
+   * @returns {Promise<void>}
+   */
+  async setSeen(token, messageId, seen) {
+    throw new Error(`${this.name} does not support marking messages as read`);
+  }
+
+  /**
+   * Subscribe to push notifications for an account's inbox
+   * @param {string} token - Authentication token
+   * @param {string} accountId - Account ID
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onEvent - Called with the event data whenever the inbox changes
+   * @param {Function} handlers.onError - Called once with an Error when the channel fails or closes
+   * @returns {{close: Function}|null} Subscription, or null when the provider has no push channel
+   */
+  subscribe(token, accountId, handlers) {
+    return null;
+  }
+
+  /**
+   * Delete a message
+   * @param {string} token - Authentication token
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(token, messageId) {
+    throw new Error(`${this.name} does not support deleting messages`);
+  }
+
+  /**
+   * Delete an account
+   * @param {string} token - Authentication token
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async deleteAccount(token, accountId) {
+    throw new Error(`${this.name} does not support deleting accounts`);
+  }
+}
+
+module.exports = BaseProvider;
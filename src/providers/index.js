@@ -0,0 +1,40 @@
+const MailTmProvider = require('./mailTmProvider');
+const MailGwProvider = require('./mailGwProvider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * Registry of the available mail providers
+ */
+
+// Provider used for new addresses and for addresses stored before providers were recorded
+const DEFAULT_PROVIDER = 'mail.tm';
+
+const PROVIDERS = {
+  'mail.tm': MailTmProvider,
+  'mail.gw': MailGwProvider,
+  local: LocalProvider
+};
+
+/**
+ * Get the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name
+ * @param {Object} config - Provider configuration
+ * @returns {BaseProvider} Provider instance
+ */
+function createProvider(name, config = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown mail provider '${name}'. Available providers: ${getProviderNames().join(', ')}`);
+  }
+  return new Provider(config);
+}
+
+module.exports = { DEFAULT_PROVIDER, createProvider, getProviderNames };
@@ -0,0 +1,362 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Create an error shaped like a rejected HTTP request, so callers treat it like the remote providers' errors
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status the remote providers would answer with
+ * @returns {Error} Error with a response.status property
+ */
+function statusError(message, status) {
+  return Object.assign(new Error(message), { response: { status } });
+}
+
+/**
+ * Provider backed by a local SMTP receiver, for hermetic tests that must not touch the internet.
+ * Accounts and messages are kept on disk so that every process sees the same inboxes:
+ *   <dataDir>/accounts.json             registered accounts
+ *   <dataDir>/mailboxes/<address>/      one <id>.json (parsed) and <id>.eml (raw) per message
+ */
+class LocalProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.domain - Domain for generated addresses (default: temp-email.local)
+   * @param {string} config.host - Interface the SMTP server listens on (default: 127.0.0.1)
+   * @param {number} config.port - Port the SMTP server listens on (default: 2525)
+   * @param {string} config.dataDir - Directory for accounts and messages (default: <config dir>/temp-email-cli/local-mail)
+   * @param {number} config.maxSize - Maximum accepted message size in bytes (default: 25 MB)
+   */
+  constructor(config = {}) {
+    super('local', config);
+
+    const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    this.domain = config.domain || 'temp-email.local';
+    this.host = config.host || '127.0.0.1';
+    this.port = Number(config.port) || 2525;
+    this.maxSize = config.maxSize || 25 * 1024 * 1024;
+    this.dataDir = config.dataDir
+      ? path.resolve(config.dataDir)
+      : path.join(configDir, 'temp-email-cli', 'local-mail');
+    this.accountsFile = path.join(this.dataDir, 'accounts.json');
+  }
+
+  /**
+   * Read registered accounts
+   * @private
+   * @returns {Promise<Array<Object>>} Accounts
+   */
+  async _readAccounts() {
+    try {
+      return JSON.parse(await fs.readFile(this.accountsFile, 'utf8') || '[]');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write registered accounts
+   * @private
+   * @param {Array<Object>} accounts - Accounts
+   */
+  async _writeAccounts(accounts) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.accountsFile, JSON.stringify(accounts, null, 2), 'utf8');
+  }
+
+  /**
+   * Find the account a token was issued for
+   * @private
+   * @param {string} token - Token returned by getToken
+   * @returns {Promise<Object>} Account
+   */
+  async _accountForToken(token) {
+    const accounts = await this._readAccounts();
+    const account = accounts.find(item => item.id === token);
+    if (!account) {
+      throw statusError('Invalid or expired token', 401);
+    }
+    return account;
+  }
+
+  /**
+   * Get the directory holding an address's messages
+   * @private
+   * @param {string} address - Email address
+   * @returns {string} Mailbox directory
+   */
+  _mailboxDir(address) {
+    return path.join(this.dataDir, 'mailboxes', address.toLowerCase());
+  }
+
+  /**
+   * Resolve the path of a message file, rejecting IDs that would escape the mailbox
+   * @private
+   * @param {string} address - Email address
+   * @param {string} messageId - Message ID
+   * @param {string} extension - File extension (json or eml)
+   * @returns {string} File path
+   */
+  _messageFile(address, messageId, extension) {
+    if (!/^[a-f0-9]+$/i.test(messageId)) {
+      throw new Error(`Invalid message ID: ${messageId}`);
+    }
+    return path.join(this._mailboxDir(address), `${messageId}.${extension}`);
+  }
+
+  async listDomains() {
+    return [this.domain];
+  }
+
+  async createAccount(address, password) {
+    const accounts = await this._readAccounts();
+    if (accounts.some(item => item.address === address.toLowerCase())) {
+      const error = new Error(`Address ${address} is already in use`);
+      error.code = 'ADDRESS_REJECTED';
+      throw error;
+    }
+
+    const account = {
+      id: crypto.randomBytes(12).toString('hex'),
+      address: address.toLowerCase(),
+      password,
+      createdAt: new Date().toISOString()
+    };
+    accounts.push(account);
+    await this._writeAccounts(accounts);
+    await fs.mkdir(this._mailboxDir(account.address), { recursive: true });
+
+    return { id: account.id, address: account.address };
+  }
+
+  async getToken(address, password) {
+    const accounts = await this._readAccounts();
+    const account = accounts.find(item => item.address === address.toLowerCase());
+    if (!account || account.password !== password) {
+      throw statusError('Invalid credentials', 401);
+    }
+    return account.id;
+  }
+
+  async getAccount(token) {
+    const account = await this._accountForToken(token);
+    return {
+      id: account.id,
+      address: account.address,
+      quota: null,
+      used: null,
+      disabled: false,
+      createdAt: account.createdAt,
+      expiresAt: null
+    };
+  }
+
+  async listMessages(token, options = {}) {
+    const account = await this._accountForToken(token);
+    const page = options.page || 1;
+
+    let files;
+    try {
+      files = await fs.readdir(this._mailboxDir(account.address));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { messages: [], total: 0 };
+      }
+      throw error;
+    }
+
+    const messages = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => JSON.parse(await fs.readFile(path.join(this._mailboxDir(account.address), file), 'utf8'))));
+
+    messages.sort((a, b) => new Date(b.receivedDate) - new Date(a.receivedDate));
+
+    return {
+      messages: messages.slice((page - 1) * this.pageSize, page * this.pageSize).map(msg => ({
+        id: msg.id,
+        from: msg.from,
+        to: msg.to,
+        subject: msg.subject,
+        intro: (msg.text || '').replace(/\s+/g, ' ').trim().slice(0, 120),
+        seen: Boolean(msg.seen),
+        hasAttachments: msg.attachments.length > 0,
+        receivedDate: msg.receivedDate
+      })),
+      total: messages.length
+    };
+  }
+
+  async getMessage(token, messageId) {
+    const account = await this._accountForToken(token);
+
+    try {
+      const message = JSON.parse(await fs.readFile(this._messageFile(account.address, messageId, 'json'), 'utf8'));
+      return { ...message, seen: Boolean(message.seen) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Message ${messageId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async getMessageSource(token, messageId) {
+    const account = await this._accountForToken(token);
+
+    try {
+      return await fs.readFile(this._messageFile(account.address, messageId, 'eml'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Message ${messageId} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async getAttachment(token, messageId, attachment) {
+    const account = await this._accountForToken(token);
+    const raw = await fs.readFile(this._messageFile(account.address, messageId, 'eml'));
+    const parsed = await simpleParser(raw);
+
+    // Attachment IDs are assigned from the position in the parsed message, see deliver()
+    const index = Number(String(attachment.id).replace(/^ATTACH/, '')) - 1;
+    const found = parsed.attachments[index];
+    if (!found) {
+      throw new Error(`Attachment ${attachment.id} not found`);
+    }
+    return found.content;
+  }
+
+  async setSeen(token, messageId, seen) {
+    const message = await this.getMessage(token, messageId);
+    const account = await this._accountForToken(token);
+    await fs.writeFile(this._messageFile(account.address, messageId, 'json'), JSON.stringify({ ...message, seen }, null, 2), 'utf8');
+  }
+
+  async deleteMessage(token, messageId) {
+    const account = await this._accountForToken(token);
+    await fs.rm(this._messageFile(account.address, messageId, 'json'), { force: true });
+    await fs.rm(this._messageFile(account.address, messageId, 'eml'), { force: true });
+  }
+
+  async deleteAccount(token, accountId) {
+    const account = await this._accountForToken(token);
+    if (account.id !== accountId) {
+      throw new Error('Token does not belong to this account');
+    }
+
+    const accounts = await this._readAccounts();
+    await this._writeAccounts(accounts.filter(item => item.id !== accountId));
+    await fs.rm(this._mailboxDir(account.address), { recursive: true, force: true });
+  }
+
+  /**
+   * Parse a raw MIME message and store it in the mailboxes of the given recipients
+   * @param {Buffer} raw - Raw message source
+   * @param {Array<string>} recipients - Envelope recipients with a local account
+   * @returns {Promise<string>} ID of the stored message
+   */
+  async deliver(raw, recipients) {
+    const parsed = await simpleParser(raw);
+    const id = crypto.randomBytes(12).toString('hex');
+    const toAddresses = (value) => [].concat(value || [])
+      .flatMap(group => group.value)
+      .map(item => ({ address: item.address, name: item.name }));
+
+    const message = {
+      id,
+      from: toAddresses(parsed.from)[0] || { address: '', name: '' },
+      to: toAddresses(parsed.to),
+      subject: parsed.subject || '',
+      text: parsed.text || '',
+      // Same shape as mail.tm, which returns the HTML body as an array of parts
+      html: parsed.html ? [parsed.html] : [],
+      attachments: parsed.attachments.map((attachment, index) => ({
+        id: `ATTACH${String(index + 1).padStart(6, '0')}`,
+        filename: attachment.filename || `attachment-${index + 1}`,
+        contentType: attachment.contentType,
+        size: attachment.size
+      })),
+      receivedDate: new Date().toISOString()
+    };
+
+    for (const recipient of recipients) {
+      const mailbox = this._mailboxDir(recipient);
+      await fs.mkdir(mailbox, { recursive: true });
+      await fs.writeFile(path.join(mailbox, `${id}.eml`), raw);
+      await fs.writeFile(path.join(mailbox, `${id}.json`), JSON.stringify(message, null, 2), 'utf8');
+    }
+
+    return id;
+  }
+
+  /**
+   * Start the SMTP server that accepts mail for local accounts
+   * @param {Object} options - Server options
+   * @param {string} options.host - Interface to listen on (default: the configured host)
+   * @param {number} options.port - Port to listen on (default: the configured port)
+   * @param {Object} options.logger - Console-like object for delivery messages (default: console)
+   * @returns {Promise<SMTPServer>} Listening server; call close() to stop it
+   */
+  async startServer(options = {}) {
+    const logger = options.logger || console;
+    const host = options.host || this.host;
+    const port = Number(options.port) || this.port;
+
+    const server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['AUTH', 'STARTTLS'],
+      size: this.maxSize,
+      logger: false,
+      onRcptTo: (address, session, callback) => {
+        this._readAccounts()
+          .then(accounts => {
+            if (accounts.some(item => item.address === address.address.toLowerCase())) {
+              callback();
+            } else {
+              callback(Object.assign(new Error(`No local mailbox for ${address.address}`), { responseCode: 550 }));
+            }
+          })
+          .catch(callback);
+      },
+      onData: (stream, session, callback) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          if (stream.sizeExceeded) {
+            callback(Object.assign(new Error('Message exceeds the maximum size'), { responseCode: 552 }));
+            return;
+          }
+
+          const recipients = session.envelope.rcptTo.map(item => item.address.toLowerCase());
+          this.deliver(Buffer.concat(chunks), recipients)
+            .then(id => {
+              logger.log(`Delivered message ${id} to ${recipients.join(', ')}`);
+              callback(null, `Message ${id} queued`);
+            })
+            .catch(callback);
+        });
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    server.on('error', error => logger.error(`SMTP server error: ${error.message}`));
+
+    return server;
+  }
+}
+
+module.exports = LocalProvider;
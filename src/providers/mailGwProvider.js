@@ -0,0 +1,22 @@
+const MailTmProvider = require('./mailTmProvider');
+
+/**
+ * Provider for mail.gw, which runs the same API as mail.tm on its own domains
+ */
+class MailGwProvider extends MailTmProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.baseUrl - Base URL of the API (default: https://api.mail.gw)
+   * @param {number} config.timeout - Request timeout in milliseconds (default: 10000)
+   * @param {string} config.mercureUrl - Mercure hub for push notifications (default: none, inboxes are polled)
+   */
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseUrl: config.baseUrl || 'https://api.mail.gw',
+      mercureUrl: config.mercureUrl || null
+    }, 'mail.gw');
+  }
+}
+
+module.exports = MailGwProvider;
@@ -0,0 +1,288 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Provider for the mail.tm API (https://docs.mail.tm)
+ */
+class MailTmProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.baseUrl - Base URL of the API (default: https://api.mail.tm)
+   * @param {number} config.timeout - Request timeout in milliseconds (default: 10000)
+   * @param {number} config.requestDelay - Pause between account creation requests in milliseconds (default: 1000)
+   * @param {string|null} config.mercureUrl - Mercure hub for push notifications, null to disable (default: https://mercure.mail.tm/.well-known/mercure)
+   * @param {string} name - Provider name (default: mail.tm)
+   */
+  constructor(config = {}, name = 'mail.tm') {
+    super(name, config);
+    this.requestDelay = config.requestDelay ?? 1000;
+    this.mercureUrl = config.mercureUrl === undefined ? 'https://mercure.mail.tm/.well-known/mercure' : config.mercureUrl;
+
+    this.client = axios.create({
+      baseURL: config.baseUrl || 'https://api.mail.tm',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'User-Agent': 'TempEmailCLI/1.0'
+      },
+      timeout: config.timeout || 10000
+    });
+  }
+
+  /**
+   * Build request options carrying a bearer token
+   * @private
+   * @param {string} token - JWT token
+   * @returns {Object} Axios request options
+   */
+  _auth(token) {
+    return {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    };
+  }
+
+  async listDomains() {
+    const response = await this.client.get('/domains');
+    const domains = Array.isArray(response.data) ? response.data : response.data?.['hydra:member'];
+
+    if (!Array.isArray(domains)) {
+      throw new Error('Invalid domains response');
+    }
+
+    return domains
+      .filter(domainObj => domainObj && domainObj.domain && domainObj.isActive !== false)
+      .map(domainObj => domainObj.domain);
+  }
+
+  async createAccount(address, password) {
+    const response = await this.client.post('/accounts', {
+      address,
+      password
+    }, {
+      headers: {
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br'
+      }
+    });
+
+    if (!response.data || !response.data.id) {
+      throw new Error('Invalid account creation response');
+    }
+
+    return {
+      id: response.data.id,
+      address: response.data.address
+    };
+  }
+
+  async getToken(address, password) {
+    const response = await this.client.post('/token', {
+      address,
+      password
+    });
+
+    if (!response.data || !response.data.token) {
+      throw new Error('Invalid token response');
+    }
+
+    return response.data.token;
+  }
+
+  async getAccount(token) {
+    const response = await this.client.get('/me', this._auth(token));
+
+    if (!response.data || !response.data.id) {
+      throw new Error('Invalid account response');
+    }
+
+    return {
+      id: response.data.id,
+      address: response.data.address,
+      quota: response.data.quota ?? null,
+      used: response.data.used ?? null,
+      disabled: Boolean(response.data.isDisabled || response.data.isDeleted),
+      createdAt: response.data.createdAt || null,
+      // mail.tm does not publish an expiry; keep it in case the API starts to
+      expiresAt: response.data.expiresAt || null
+    };
+  }
+
+  async listMessages(token, options = {}) {
+    const response = await this.client.get('/messages', {
+      ...this._auth(token),
+      params: {
+        page: options.page || 1
+      }
+    });
+
+    // The API answers with a hydra collection, or a plain array when asked for application/json
+    const members = Array.isArray(response.data) ? response.data : response.data?.['hydra:member'];
+    if (!Array.isArray(members)) {
+      return { messages: [], total: 0 };
+    }
+
+    return {
+      messages: members.map(msg => ({
+        id: msg.id,
+        from: msg.from,
+        to: msg.to,
+        subject: msg.subject,
+        intro: msg.intro,
+        seen: Boolean(msg.seen),
+        hasAttachments: msg.hasAttachments,
+        receivedDate: msg.createdAt
+      })),
+      // A plain array says nothing about other pages, so the total is unknown
+      total: response.data['hydra:totalItems'] ?? null
+    };
+  }
+
+  async getMessage(token, messageId) {
+    const response = await this.client.get(`/messages/${messageId}`, this._auth(token));
+
+    if (!response.data) {
+      throw new Error('Invalid response from server');
+    }
+
+    return {
+      id: response.data.id,
+      from: response.data.from,
+      to: response.data.to,
+      subject: response.data.subject,
+      text: response.data.text,
+      html: response.data.html,
+      attachments: response.data.attachments,
+      seen: Boolean(response.data.seen),
+      receivedDate: response.data.createdAt
+    };
+  }
+
+  async getMessageSource(token, messageId) {
+    const response = await this.client.get(`/messages/${messageId}/download`, {
+      responseType: 'arraybuffer',
+      headers: {
+        ...this._auth(token).headers,
+        'Accept': 'message/rfc822, */*'
+      }
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  async getAttachment(token, messageId, attachment) {
+    const url = attachment.downloadUrl || `/messages/${messageId}/attachment/${attachment.id}`;
+    const response = await this.client.get(url, {
+      responseType: 'arraybuffer',
+      headers: {
+        ...this._auth(token).headers,
+        'Accept': '*/*'
+      }
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  async setSeen(token, messageId, seen) {
+    await this.client.patch(`/messages/${messageId}`, { seen }, {
+      headers: {
+        ...this._auth(token).headers,
+        'Content-Type': 'application/merge-patch+json'
+      }
+    });
+  }
+
+  subscribe(token, accountId, handlers) {
+    if (!this.mercureUrl) {
+      return null;
+    }
+
+    const controller = new AbortController();
+    let closed = false;
+    const fail = error => {
+      if (!closed) {
+        closed = true;
+        handlers.onError(error);
+      }
+    };
+
+    this.client.get(this.mercureUrl, {
+      params: { topic: `/accounts/${accountId}` },
+      headers: {
+        ...this._auth(token).headers,
+        'Accept': 'text/event-stream'
+      },
+      responseType: 'stream',
+      timeout: 0,
+      signal: controller.signal
+    }).then(response => {
+      // A throwing handler ends the channel like a stream error, so the caller learns of it and can fall back
+      const parse = createEventParser(handlers.onEvent, error => {
+        fail(error);
+        controller.abort();
+      });
+      response.data.setEncoding('utf8');
+      response.data.on('data', parse);
+      response.data.on('end', () => fail(new Error('Push channel closed by the server')));
+      response.data.on('error', fail);
+    }).catch(fail);
+
+    return {
+      close() {
+        closed = true;
+        controller.abort();
+      }
+    };
+  }
+
+  async deleteMessage(token, messageId) {
+    await this.client.delete(`/messages/${messageId}`, this._auth(token));
+  }
+
+  async deleteAccount(token, accountId) {
+    await this.client.delete(`/accounts/${accountId}`, this._auth(token));
+  }
+}
+
+/**
+ * Create a parser for a server-sent events stream
+ * @param {Function} onEvent - Called with the data of each event, parsed as JSON when possible
+ * @param {Function} onError - Called with the error when onEvent throws
+ * @returns {Function} Accepts chunks of the stream as strings
+ */
+function createEventParser(onEvent, onError) {
+  let buffer = '';
+
+  return chunk => {
+    buffer += chunk;
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    for (const event of events) {
+      // Lines starting with ":" are keep-alive comments
+      const data = event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (!data) {
+        continue;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        payload = data;
+      }
+      // Apart from the parsing, so a failing handler is not called a second time with the raw data
+      try {
+        onEvent(payload);
+      } catch (error) {
+        onError(error);
+      }
+    }
+  };
+}
+
+module.exports = MailTmProvider;
@@ -0,0 +1,136 @@
+const { DEFAULT_PROVIDER } = require('./providers');
+
+/**
+ * Versioned format of the address storage file and of portable backups.
+ *
+ * Version 1 is the original bare array of address records. From version 2 on, the file
+ * holds { version, addresses }. Older files are migrated forward step by step when read;
+ * files from a newer version of the tool are refused rather than risk losing fields.
+ */
+
+const SCHEMA_VERSION = 2;
+
+// Marks a file written by the export command
+const BACKUP_FORMAT = 'temp-email-cli-backup';
+
+// Record fields that only make sense on the machine that stored them
+const LOCAL_FIELDS = ['token'];
+
+/**
+ * Forward migrations; the function for version N turns a version N document into a version N + 1 one
+ */
+const MIGRATIONS = {
+  // Wrap the bare array and record the provider, which addresses from before multi-provider support lack
+  1: addresses => ({
+    version: 2,
+    addresses: addresses.map(record => ({ provider: DEFAULT_PROVIDER, ...record }))
+  })
+};
+
+/**
+ * Create an error carrying a storage error code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with the code set
+ */
+function storageError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Work out the schema version of parsed storage data
+ * @param {any} data - Parsed file content
+ * @returns {number|null} Schema version, or null if the data is not address storage
+ */
+function detectVersion(data) {
+  if (Array.isArray(data)) {
+    return 1;
+  }
+  if (data && Number.isInteger(data.version) && data.version >= 2 && Array.isArray(data.addresses)) {
+    return data.version;
+  }
+  return null;
+}
+
+/**
+ * Bring parsed storage data up to the current schema version
+ * @param {any} data - Parsed file content of any known version
+ * @returns {{version: number, addresses: Array<Object>}} Current version document
+ */
+function migrate(data) {
+  let version = detectVersion(data);
+  if (version === null) {
+    throw new Error('expected a list of addresses');
+  }
+  if (version > SCHEMA_VERSION) {
+    throw storageError(
+      `The data was written by a newer version of temp-email (schema version ${version}, this version reads up to ${SCHEMA_VERSION}). Upgrade temp-email to read it`,
+      'STORAGE_VERSION'
+    );
+  }
+
+  let document = data;
+  while (version < SCHEMA_VERSION) {
+    document = MIGRATIONS[version](document);
+    version = document.version;
+  }
+  return { version, addresses: document.addresses };
+}
+
+/**
+ * Build a portable backup of address records
+ * @param {Array<Object>} addresses - Stored address records
+ * @returns {Object} Backup document
+ */
+function createBackup(addresses) {
+  return {
+    format: BACKUP_FORMAT,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    addresses: addresses.map(record => {
+      const copy = { ...record };
+      LOCAL_FIELDS.forEach(field => delete copy[field]);
+      return copy;
+    })
+  };
+}
+
+/**
+ * Read the address records from a backup. A plain (unencrypted) storage file of any
+ * version is accepted as well.
+ * @param {any} data - Parsed backup file
+ * @returns {Array<Object>} Address records in the current schema, without machine-local fields
+ */
+function parseBackup(data) {
+  if (data && data.format && data.format !== BACKUP_FORMAT) {
+    throw storageError(
+      data.format === 'temp-email-cli-vault'
+        ? 'This is an encrypted storage file. Decrypt it with "vault decrypt" or export it from the machine it belongs to'
+        : `Unknown file format '${data.format}'`,
+      'INVALID_BACKUP'
+    );
+  }
+
+  let addresses;
+  try {
+    ({ addresses } = migrate(data));
+  } catch (error) {
+    if (error.code) {
+      throw error;
+    }
+    throw storageError('Not a temp-email backup: expected a list of addresses', 'INVALID_BACKUP');
+  }
+
+  return addresses.map((record, index) => {
+    if (!record || typeof record.address !== 'string' || !record.address.includes('@')) {
+      throw storageError(`Entry ${index + 1} of the backup has no valid address`, 'INVALID_BACKUP');
+    }
+    const copy = { ...record, address: record.address.trim() };
+    LOCAL_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+  });
+}
+
+module.exports = { SCHEMA_VERSION, BACKUP_FORMAT, storageError, migrate, createBackup, parseBackup };
@@ -1,16 +1,101 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { DEFAULT_PROVIDER } = require('./providers');
+const vault = require('./vault');
+const FileLock = require('./fileLock');
+const { writeFileAtomic } = require('./fileUtils');
+const { SCHEMA_VERSION, storageError, migrate, createBackup } = require('./storageSchema');
+const { matchesText } = require('./messageFilter');
+
+/**
+ * Check whether a read error means the file is intact but cannot be read by us (locked vault,
+ * wrong passphrase or newer schema), as opposed to damaged
+ * @param {Error} error - Error from parsing the storage file
+ * @returns {boolean} Whether the file must be left alone
+ */
+function isUnreadable(error) {
+  return Boolean(error.code) && (error.code.startsWith('VAULT_') || error.code === 'STORAGE_VERSION');
+}
+
+/**
+ * Run a file operation, treating a missing file as nothing to do
+ * @param {Promise} operation - Pending file operation
+ */
+async function ignoreMissing(operation) {
+  try {
+    await operation;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+// Ways to resolve an address that is both in a backup and in storage
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'newer'];
+
+/**
+ * Check whether an address has expired; pinned addresses never do
+ * @param {Object} record - Stored address record
+ * @param {Date} now - Current time (default: now)
+ * @returns {boolean} Whether the address has expired
+ */
+function isExpired(record, now = new Date()) {
+  return !record.pinned && !(new Date(record.expiresAt) > now);
+}
+
 /**
- * Service to manage email addresses with persistence and expiration handling
+ * Turn a tag list into unique, lowercase tags
+ * @param {Array<string>|string} tags - Tags, or a comma-separated list of them
+ * @returns {Array<string>} Normalized tags
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags || [];
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean))];
+}
+
+/**
+ * Check a stored address against a filter
+ * @param {Object} record - Stored address record
+ * @param {Object} filter - Filter; omitted criteria are ignored
+ * @param {Array<string>|string} filter.tags - Tags the address must all have
+ * @param {string|RegExp} filter.label - Label, matched like the message filters
+ * @param {Date|string} filter.since - Only addresses created at or after this time
+ * @param {Date|string} filter.until - Only addresses created at or before this time
+ * @returns {boolean} Whether the address matches
+ */
+function matchesAddressFilter(record, filter = {}) {
+  const tags = record.tags || [];
+  if (!normalizeTags(filter.tags).every(tag => tags.includes(tag))) {
+    return false;
+  }
+
+  const created = new Date(record.createdAt);
+  if ((filter.since && !(created >= new Date(filter.since))) || (filter.until && !(created <= new Date(filter.until)))) {
+    return false;
+  }
+  return !filter.label || (Boolean(record.label) && matchesText(record.label, filter.label));
+}
+
+/**
+ * Service to manage email addresses with persistence and expiration handling.
+ * The file holds a versioned document (see storageSchema), and older versions are migrated
+ * when read. Every change is a read-modify-write under a lock file shared with other temp-email
+ * processes; the file is replaced atomically and the previous versions are kept as
+ * numbered backups (<file>.bak.1 is the newest) to recover from if it gets damaged.
  */
 class StorageService {
   /**
    * Initialize the storage service
    * @param {string} storageFile - Path to the storage file (default: addresses.json)
    * @param {number} expirationDays - Number of days before an address expires (default: 7)
+   * @param {Object} options - Storage options
+   * @param {number} options.lockTimeout - Time to wait for another process to finish writing in milliseconds (default: 10000)
+   * @param {number} options.staleLockAge - Age after which a lock file is considered abandoned in milliseconds (default: 30000)
+   * @param {number} options.backupCount - Number of previous versions to keep (default: 3)
    */
-  constructor(storageFile, expirationDays = 7) {
+  constructor(storageFile, expirationDays = 7, options = {}) {
     // Use XDG_CONFIG_HOME if available, otherwise use user's home directory
     const configDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
     const defaultDir = path.join(configDir, 'temp-email-cli');
@@ -20,59 +105,236 @@ class StorageService {
     this.storageDir = path.dirname(this.storageFile);
     this.expirationDays = expirationDays;
     this.initialized = false;
+    this.backupCount = options.backupCount ?? 3;
+    this.lock = new FileLock(`${this.storageFile}.lock`, {
+      timeout: options.lockTimeout,
+      staleAge: options.staleLockAge
+    });
+    // Master passphrase for encrypted storage, and the key derived from it
+    this.passphrase = null;
+    this.vaultKey = null;
+    this.encrypted = false;
   }
 
   /**
-   * Initialize the storage file if it doesn't exist
-   * @private
+   * Set the master passphrase used to unlock encrypted storage
+   * @param {string} passphrase - Master passphrase
    */
-  async _initialize() {
+  setPassphrase(passphrase) {
+    this.passphrase = passphrase;
+    this.vaultKey = null;
+  }
+
+  /**
+   * Check whether the storage file is encrypted
+   * @returns {Promise<boolean>} Whether the file is an encrypted vault
+   */
+  async isEncrypted() {
     try {
-      // Ensure the directory exists
-      try {
-        await fs.access(this.storageDir);
-      } catch (dirError) {
-        // Directory doesn't exist, create it
-        await fs.mkdir(this.storageDir, { recursive: true });
-      }
-      
-      // Check if file exists
-      await fs.access(this.storageFile);
+      return vault.isVault(JSON.parse(await fs.readFile(this.storageFile, 'utf8')));
     } catch (error) {
-      // File doesn't exist, create it with empty array
-      await this._writeToFile([]);
+      return false;
     }
+  }
+
+  /**
+   * Get the key for the current passphrase and KDF parameters, deriving it only once
+   * @private
+   * @param {Object} kdf - KDF parameters
+   * @returns {Promise<Buffer>} Encryption key
+   */
+  async _getVaultKey(kdf) {
+    if (!this.vaultKey || this.vaultKey.kdf.salt !== kdf.salt) {
+      this.vaultKey = { kdf, key: await vault.deriveKey(this.passphrase, kdf) };
+    }
+    return this.vaultKey.key;
+  }
+
+  /**
+   * Create the storage directory. The file itself is created by the first write;
+   * until then it reads as an empty list.
+   * @private
+   */
+  async _initialize() {
+    await fs.mkdir(this.storageDir, { recursive: true });
     this.initialized = true;
   }
 
   /**
    * Read addresses from storage file
    * @private
+   * @param {Object} options - Read options
+   * @param {boolean} options.locked - Whether the caller already holds the storage lock
    * @returns {Promise<Array>} Array of address objects
    */
-  async _readFromFile() {
+  async _readFromFile(options = {}) {
     if (!this.initialized) {
       await this._initialize();
     }
 
+    let data;
     try {
-      const data = await fs.readFile(this.storageFile, 'utf8');
-      return JSON.parse(data || '[]');
+      data = await fs.readFile(this.storageFile, 'utf8');
     } catch (error) {
-      console.error('Error reading storage file:', error.message);
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.encrypted = false;
       return [];
     }
+    
+    let parsed;
+    try {
+      parsed = await this._parse(data);
+    } catch (error) {
+      // Never fall back to an empty list for a locked vault, or the next write would replace it
+      if (isUnreadable(error)) {
+        throw error;
+      }
+      parsed = await this._recover(error, options.locked);
+    }
+    
+    // Addresses stored before providers were recorded belong to the default provider
+    return parsed.map(item => ({ provider: DEFAULT_PROVIDER, ...item }));
   }
 
   /**
-   * Write addresses to storage file
+   * Parse the content of the storage file, decrypting it if it is a vault and migrating it to the current schema
+   * @private
+   * @param {string} data - File content
+   * @returns {Promise<Array>} Stored address records
+   */
+  async _parse(data) {
+    let parsed = JSON.parse(data);
+    this.encrypted = vault.isVault(parsed);
+    
+    if (this.encrypted) {
+      if (!this.passphrase) {
+        throw vault.vaultError('Storage is encrypted. Provide the passphrase via TEMP_EMAIL_PASSPHRASE', 'VAULT_LOCKED');
+      }
+      parsed = JSON.parse(vault.decrypt(parsed, await this._getVaultKey(parsed.kdf)));
+    }
+    
+    // Older versions are saved in the current format by the next write
+    return migrate(parsed).addresses;
+  }
+
+  /**
+   * Restore a damaged storage file from the newest usable backup. The damaged file is
+   * kept next to it as <file>.corrupt-<time>.
+   * @private
+   * @param {Error} reason - Why the file could not be read
+   * @param {boolean} locked - Whether the caller already holds the storage lock
+   * @returns {Promise<Array>} Stored address records
+   */
+  async _recover(reason, locked) {
+    if (!locked) {
+      return this.lock.run(() => this._recover(reason, true));
+    }
+    
+    // Another process may have finished a write or a recovery while we waited for the lock
+    let data = '';
+    try {
+      data = await fs.readFile(this.storageFile, 'utf8');
+      return await this._parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      if (isUnreadable(error)) {
+        throw error;
+      }
+    }
+    
+    for (const backup of this._backupFiles()) {
+      let addresses;
+      let backupData;
+      try {
+        backupData = await fs.readFile(backup, 'utf8');
+        addresses = await this._parse(backupData);
+      } catch (error) {
+        if (error.code && error.code.startsWith('VAULT_')) {
+          throw error;
+        }
+        // Damaged, or from a newer version of the tool
+        continue;
+      }
+    
+      const damaged = `${this.storageFile}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      await fs.copyFile(this.storageFile, damaged);
+      await writeFileAtomic(this.storageFile, backupData);
+      console.error(`Storage file ${this.storageFile} could not be read (${reason.message}). Restored it from ${backup}; the damaged file was kept as ${damaged}`);
+      return addresses;
+    }
+    
+    // A file left empty by an interrupted write held nothing worth stopping for
+    if (!data.trim()) {
+      return [];
+    }
+    throw storageError(
+      `Storage file ${this.storageFile} could not be read (${reason.message}) and no usable backup was found. Repair it, or move it away to start with empty storage`,
+      'STORAGE_CORRUPT'
+    );
+  }
+
+  /**
+   * Paths of the backups, newest first
+   * @private
+   * @returns {Array<string>} Backup file paths
+   */
+  _backupFiles() {
+    return Array.from({ length: this.backupCount }, (_, index) => `${this.storageFile}.bak.${index + 1}`);
+  }
+
+  /**
+   * Shift the backups by one and copy the current file to the newest backup
+   * @private
+   */
+  async _rotateBackups() {
+    const backups = this._backupFiles();
+    if (backups.length === 0) {
+      return;
+    }
+    
+    await ignoreMissing(fs.unlink(backups[backups.length - 1]));
+    for (let i = backups.length - 1; i > 0; i--) {
+      await ignoreMissing(fs.rename(backups[i - 1], backups[i]));
+    }
+    await ignoreMissing(fs.copyFile(this.storageFile, backups[0]));
+  }
+
+  /**
+   * Delete all backups
+   * @private
+   */
+  async _removeBackups() {
+    for (const backup of this._backupFiles()) {
+      await ignoreMissing(fs.unlink(backup));
+    }
+  }
+
+  /**
+   * Write addresses to storage file. The caller must hold the storage lock.
    * @private
    * @param {Array} addresses - Array of address objects
+   * @param {Object} options - Write options
+   * @param {boolean} options.dropBackups - Delete the backups instead of adding one, so that
+   *   copies from before an encryption change do not stay behind
    * @returns {Promise<boolean>} Success status
    */
-  async _writeToFile(addresses) {
+  async _writeToFile(addresses, options = {}) {
     try {
-      await fs.writeFile(this.storageFile, JSON.stringify(addresses, null, 2), 'utf8');
+      let data = { version: SCHEMA_VERSION, addresses };
+      if (this.encrypted) {
+        data = vault.encrypt(JSON.stringify(data), this.vaultKey.key, this.vaultKey.kdf);
+      }
+    
+      if (options.dropBackups) {
+        await this._removeBackups();
+      } else {
+        await this._rotateBackups();
+      }
+      await writeFileAtomic(this.storageFile, JSON.stringify(data, null, 2));
       return true;
     } catch (error) {
       console.error('Error writing to storage file:', error.message);
@@ -80,42 +342,125 @@ class StorageService {
     }
   }
 
+  /**
+   * Read, change and write the stored addresses while holding the storage lock
+   * @private
+   * @param {Function} mutator - Async function receiving the addresses and returning the
+   *   new list, or null to leave the file unchanged
+   * @param {Object} options - Write options, see _writeToFile
+   * @returns {Promise<boolean>} Whether the file was written
+   */
+  async _update(mutator, options = {}) {
+    // The lock file lives next to the storage file, so its directory must exist first
+    if (!this.initialized) {
+      await this._initialize();
+    }
+    
+    return this.lock.run(async () => {
+      const addresses = await this._readFromFile({ locked: true });
+      const updated = await mutator(addresses);
+      if (!updated) {
+        return false;
+      }
+      return this._writeToFile(updated, options);
+    });
+  }
+
   /**
    * Save an email address with metadata
    * @param {string} address - Email address
-   * @param {Object} metadata - Additional metadata (password, domain, etc.)
+   * @param {Object} metadata - Additional metadata (password, provider, etc.); expiresAt and createdAt default to the expiration period from now and now
    * @returns {Promise<boolean>} Success status
    */
   async saveAddress(address, metadata = {}) {
-    const addresses = await this._readFromFile();
-    
-    // Calculate expiration date (current time + expiration days)
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + this.expirationDays);
-    
-    // Check if address already exists
-    const existingIndex = addresses.findIndex(item => item.address === address);
-    
-    const addressData = {
-      address, // Ensure address is stored in the address field
-      ...metadata,
-      expiresAt: expiresAt.toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    if (existingIndex !== -1) {
-      // Update existing address
+    return this._update(addresses => {
+      // Calculate expiration date (current time + expiration days)
+      const expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + this.expirationDays);
+      
+      // Check if address already exists
+      const existingIndex = addresses.findIndex(item => item.address === address);
+      
+      // Saving an address again must not cut short an expiry that was extended
+      const existingExpiry = existingIndex !== -1 ? new Date(addresses[existingIndex].expiresAt) : null;
+      if (existingExpiry > expiresAt) {
+        expiresAt.setTime(existingExpiry.getTime());
+      }
+      
+      const addressData = {
+        address, // Ensure address is stored in the address field
+        ...metadata,
+        expiresAt: metadata.expiresAt || expiresAt.toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      
+      if (existingIndex !== -1) {
+        // Update existing address
+        addresses[existingIndex] = {
+          ...addresses[existingIndex],
+          ...addressData
+        };
+      } else {
+        // Add new address
+        addressData.createdAt = metadata.createdAt || new Date().toISOString();
+        addresses.push(addressData);
+      }
+      return addresses;
+    });
+  }
+
+  /**
+   * Update fields of a stored address without changing its expiration
+   * @param {string} address - Email address
+   * @param {Object|Function} changes - Fields to merge into the stored record, or a function
+   *   computing them from the current record (returning null leaves the record unchanged)
+   * @returns {Promise<boolean>} Success status (false if the address is not stored or nothing changed)
+   */
+  async updateAddress(address, changes) {
+    return this._update(addresses => {
+      const existingIndex = addresses.findIndex(item => item.address === address);
+      if (existingIndex === -1) {
+        return null;
+      }
+      
+      const fields = typeof changes === 'function' ? changes(addresses[existingIndex]) : changes;
+      if (!fields) {
+        return null;
+      }
+      
       addresses[existingIndex] = {
         ...addresses[existingIndex],
-        ...addressData
+        ...fields,
+        updatedAt: new Date().toISOString()
       };
-    } else {
-      // Add new address
-      addressData.createdAt = new Date().toISOString();
-      addresses.push(addressData);
-    }
-    
-    return this._writeToFile(addresses);
+      return addresses;
+    });
+  }
+
+  /**
+   * Add a new-mail hook to a stored address
+   * @param {string} address - Email address
+   * @param {Object} hook - Hook definition from HookRunner.createHook
+   * @returns {Promise<boolean>} Success status (false if the address is not stored)
+   */
+  async addHook(address, hook) {
+    return this.updateAddress(address, record => ({ hooks: [...(record.hooks || []), hook] }));
+  }
+
+  /**
+   * Remove a new-mail hook from a stored address
+   * @param {string} address - Email address
+   * @param {string} hookId - ID of the hook to remove
+   * @returns {Promise<boolean>} Whether the hook was found and removed
+   */
+  async removeHook(address, hookId) {
+    return this.updateAddress(address, record => {
+      const hooks = record.hooks || [];
+      if (!hooks.some(hook => hook.id === hookId)) {
+        return null;
+      }
+      return { hooks: hooks.filter(hook => hook.id !== hookId) };
+    });
   }
 
   /**
@@ -132,20 +477,94 @@ class StorageService {
   /**
    * Get all non-expired addresses
    * @param {boolean} includeExpired - Whether to include expired addresses (default: false)
+   * @param {Object} filter - Only addresses matching this filter, see matchesAddressFilter
    * @returns {Promise<Array>} Array of address objects
    */
-  async getAddresses(includeExpired = false) {
-    const addresses = await this._readFromFile();
+  async getAddresses(includeExpired = false, filter = {}) {
+    const addresses = (await this._readFromFile()).filter(address => matchesAddressFilter(address, filter));
     
     if (includeExpired) {
       return addresses;
     }
     
     const now = new Date();
-    return addresses.filter(address => {
-      const expiresAt = new Date(address.expiresAt);
-      return expiresAt > now;
+    return addresses.filter(address => !isExpired(address, now));
+  }
+
+  /**
+   * Set the label, note and tags of an address
+   * @param {string} address - Email address
+   * @param {Object} details - Details to change; omitted ones are kept, an empty label or note removes it
+   * @param {string} details.label - Short name, e.g. the service the address was used for
+   * @param {string} details.note - Free-text note
+   * @param {Array<string>|string} details.tags - Tags replacing the current ones (an array or a comma-separated list)
+   * @param {Array<string>|string} details.addTags - Tags to add
+   * @param {Array<string>|string} details.removeTags - Tags to remove
+   * @returns {Promise<Object|null>} The updated record, or null if the address is not stored
+   */
+  async annotateAddress(address, details) {
+    const updated = await this.updateAddress(address, record => {
+      const changes = {};
+      ['label', 'note'].forEach(field => {
+        if (details[field] !== undefined) {
+          changes[field] = String(details[field]).trim() || undefined;
+        }
+      });
+      
+      if (details.tags !== undefined || details.addTags !== undefined || details.removeTags !== undefined) {
+        const removed = normalizeTags(details.removeTags);
+        const tags = normalizeTags([
+          ...(details.tags !== undefined ? normalizeTags(details.tags) : record.tags || []),
+          ...normalizeTags(details.addTags)
+        ]).filter(tag => !removed.includes(tag));
+        changes.tags = tags.length > 0 ? tags : undefined;
+      }
+      return changes;
     });
+    
+    return updated ? this.getAddressMetadata(address) : null;
+  }
+
+  /**
+   * Push back the expiry of an address
+   * @param {string} address - Email address
+   * @param {number} days - Days to add, counted from the current expiry or from now if it has passed
+   * @returns {Promise<Object|null>} The updated record, or null if the address is not stored
+   */
+  async extendAddress(address, days) {
+    const updated = await this.updateAddress(address, record => {
+      const expiresAt = new Date(Math.max(Date.now(), new Date(record.expiresAt).getTime() || 0));
+      expiresAt.setDate(expiresAt.getDate() + days);
+      return { expiresAt: expiresAt.toISOString() };
+    });
+    
+    return updated ? this.getAddressMetadata(address) : null;
+  }
+
+  /**
+   * Set the expiry of an address
+   * @param {string} address - Email address
+   * @param {Date} expiresAt - New expiry
+   * @returns {Promise<Object|null>} The updated record, or null if the address is not stored
+   */
+  async setExpiry(address, expiresAt) {
+    if (!(await this.updateAddress(address, { expiresAt: expiresAt.toISOString() }))) {
+      return null;
+    }
+    return this.getAddressMetadata(address);
+  }
+
+  /**
+   * Pin an address so it never expires, or unpin it so its expiry applies again
+   * @param {string} address - Email address
+   * @param {boolean} pinned - Whether the address is pinned
+   * @returns {Promise<Object|null>} The updated record, or null if the address is not stored
+   */
+  async setPinned(address, pinned) {
+    if (!(await this.updateAddress(address, { pinned: pinned || undefined }))) {
+      return null;
+    }
+    return this.getAddressMetadata(address);
   }
 
   /**
@@ -154,39 +573,154 @@ class StorageService {
    * @returns {Promise<boolean>} Success status
    */
   async removeAddress(address) {
-    const addresses = await this._readFromFile();
-    const filteredAddresses = addresses.filter(item => item.address !== address);
-    
-    // If no addresses were removed, return false
-    if (filteredAddresses.length === addresses.length) {
-      return false;
-    }
-    
-    return this._writeToFile(filteredAddresses);
+    return this._update(addresses => {
+      const filteredAddresses = addresses.filter(item => item.address !== address);
+      
+      // If no addresses were removed, leave the file alone
+      return filteredAddresses.length === addresses.length ? null : filteredAddresses;
+    });
   }
 
   /**
    * Remove all expired addresses
+   * @param {Function} beforeRemove - Optional async callback run for each expired address record
+   *   (e.g. to delete the remote account); addresses it returns false for are kept
    * @returns {Promise<number>} Number of addresses removed
    */
-  async cleanupExpired() {
-    const addresses = await this._readFromFile();
+  async cleanupExpired(beforeRemove) {
     const now = new Date();
+    const expired = (await this._readFromFile()).filter(address => isExpired(address, now));
     
-    const validAddresses = addresses.filter(address => {
-      const expiresAt = new Date(address.expiresAt);
-      return expiresAt > now;
-    });
+    const removable = [];
+    for (const address of expired) {
+      if (!beforeRemove || (await beforeRemove(address)) !== false) {
+        removable.push(address.address);
+      }
+    }
+    
+    if (removable.length > 0) {
+      // Read again under the lock, since the callback may have updated records (e.g. cached tokens)
+      await this._update(addresses => addresses.filter(address => !removable.includes(address.address)));
+    }
     
-    const removedCount = addresses.length - validAddresses.length;
+    return removable.length;
+  }
+
+  /**
+   * Build a portable backup of stored addresses, expired ones included
+   * @param {Object} filter - Only addresses matching this filter, see matchesAddressFilter
+   * @returns {Promise<Object>} Backup document, see storageSchema.createBackup
+   */
+  async exportBackup(filter = {}) {
+    return createBackup(await this.getAddresses(true, filter));
+  }
+
+  /**
+   * Add the addresses of a backup to storage
+   * @param {Array<Object>} records - Address records from storageSchema.parseBackup
+   * @param {Object} options - Restore options
+   * @param {string} options.conflict - What to do with addresses that are already stored: skip
+   *   (keep the stored record), overwrite (replace it) or newer (keep whichever was updated last) (default: skip)
+   * @returns {Promise<{added: Array<string>, replaced: Array<string>, skipped: Array<string>}>} Addresses by outcome
+   */
+  async restoreBackup(records, options = {}) {
+    const conflict = options.conflict || 'skip';
+    if (!CONFLICT_STRATEGIES.includes(conflict)) {
+      throw new Error(`Unknown conflict strategy '${conflict}'. Use one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+    
+    let result;
+    const written = await this._update(addresses => {
+      result = { added: [], replaced: [], skipped: [] };
+      for (const record of records) {
+        const index = addresses.findIndex(item => item.address === record.address);
+        if (index === -1) {
+          addresses.push(record);
+          result.added.push(record.address);
+        } else if (conflict === 'overwrite' || (conflict === 'newer' && new Date(record.updatedAt) > new Date(addresses[index].updatedAt))) {
+          addresses[index] = record;
+          result.replaced.push(record.address);
+        } else {
+          result.skipped.push(record.address);
+        }
+      }
+      return result.added.length + result.replaced.length > 0 ? addresses : null;
+    });
     
-    if (removedCount > 0) {
-      await this._writeToFile(validAddresses);
+    if (!written && result.added.length + result.replaced.length > 0) {
+      throw new Error('Failed to write the storage file');
+    }
+    return result;
+  }
+
+  /**
+   * Encrypt the storage file with a master passphrase
+   * @param {string} passphrase - New master passphrase
+   * @returns {Promise<boolean>} Success status
+   */
+  async encryptStorage(passphrase) {
+    return this._update(async addresses => {
+      if (this.encrypted) {
+        throw new Error('Storage is already encrypted. Use the change passphrase command instead');
+      }
+      
+      await this._rekey(passphrase);
+      return addresses;
+    }, { dropBackups: true });
+  }
+
+  /**
+   * Re-encrypt the storage file with a new passphrase; the current one must already be set
+   * @param {string} newPassphrase - New master passphrase
+   * @returns {Promise<boolean>} Success status
+   */
+  async changePassphrase(newPassphrase) {
+    return this._update(async addresses => {
+      if (!this.encrypted) {
+        throw new Error('Storage is not encrypted');
+      }
+      
+      await this._rekey(newPassphrase);
+      return addresses;
+    }, { dropBackups: true });
+  }
+
+  /**
+   * Write the storage file back in plaintext; the current passphrase must already be set
+   * @returns {Promise<boolean>} Success status
+   */
+  async decryptStorage() {
+    return this._update(addresses => {
+      if (!this.encrypted) {
+        throw new Error('Storage is not encrypted');
+      }
+      
+      this.encrypted = false;
+      this.passphrase = null;
+      this.vaultKey = null;
+      return addresses;
+    }, { dropBackups: true });
+  }
+
+  /**
+   * Switch to a new passphrase with a fresh salt; the next write encrypts with it
+   * @private
+   * @param {string} passphrase - Master passphrase
+   */
+  async _rekey(passphrase) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required');
     }
     
-    return removedCount;
+    this.setPassphrase(passphrase);
+    await this._getVaultKey(vault.createKdfParams());
+    this.encrypted = true;
   }
 }
 
 module.exports = StorageService;
+module.exports.isExpired = isExpired;
+module.exports.normalizeTags = normalizeTags;
+module.exports.matchesAddressFilter = matchesAddressFilter;
+module.exports.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES;
 
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+/**
+ * Passphrase-based encryption for the address storage file.
+ * Keys are derived with scrypt and data is sealed with AES-256-GCM, so tampering or a
+ * wrong passphrase is detected instead of producing garbage.
+ */
+
+const FORMAT = 'temp-email-cli-vault';
+const CIPHER = 'aes-256-gcm';
+
+// scrypt cost parameters for newly created vaults
+const KDF_DEFAULTS = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+
+/**
+ * Create an error carrying a vault error code
+ * @param {string} message - Error message
+ * @param {string} code - VAULT_LOCKED or VAULT_BAD_PASSPHRASE
+ * @returns {Error} Error with a code property
+ */
+function vaultError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether parsed storage data is an encrypted vault envelope
+ * @param {any} data - Parsed storage file content
+ * @returns {boolean} Whether the data is a vault
+ */
+function isVault(data) {
+  return Boolean(data) && !Array.isArray(data) && data.format === FORMAT;
+}
+
+/**
+ * Generate key derivation parameters with a fresh random salt
+ * @returns {Object} KDF parameters to store in the envelope
+ */
+function createKdfParams() {
+  return { ...KDF_DEFAULTS, salt: crypto.randomBytes(16).toString('base64') };
+}
+
+/**
+ * Derive the encryption key for a passphrase
+ * @param {string} passphrase - Master passphrase
+ * @param {Object} kdf - KDF parameters from the envelope
+ * @returns {Promise<Buffer>} 256-bit key
+ */
+function deriveKey(passphrase, kdf) {
+  if (kdf.name !== 'scrypt') {
+    return Promise.reject(new Error(`Unsupported key derivation function: ${kdf.name}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+/**
+ * Encrypt a string into a vault envelope
+ * @param {string} plaintext - Data to encrypt
+ * @param {Buffer} key - Key from deriveKey
+ * @param {Object} kdf - KDF parameters the key was derived with
+ * @returns {Object} Envelope to write to disk
+ */
+function encrypt(plaintext, key, kdf) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    format: FORMAT,
+    version: 1,
+    kdf,
+    cipher: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault envelope
+ * @param {Object} envelope - Envelope read from disk
+ * @param {Buffer} key - Key from deriveKey
+ * @returns {string} Decrypted data
+ */
+function decrypt(envelope, key) {
+  if (envelope.cipher !== CIPHER) {
+    throw new Error(`Unsupported cipher: ${envelope.cipher}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw vaultError('Wrong passphrase, or the storage file has been tampered with', 'VAULT_BAD_PASSPHRASE');
+  }
+}
+
+module.exports = { isVault, createKdfParams, deriveKey, encrypt, decrypt, vaultError };
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ApiServer = require('../src/apiServer');
+
+const record = { address: 'me@mail.test', password: 'secret', provider: 'mail.tm', expiresAt: '2099-01-01T00:00:00Z' };
+const providerError = status => new Error('Failed to fetch email content', {
+  cause: Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } })
+});
+
+let server;
+let port;
+let created = 0;
+
+before(async () => {
+  const storageService = {
+    getAddresses: async () => [record],
+    getAddressMetadata: async address => (address === record.address ? record : null)
+  };
+  const emailService = {
+    getEmailContent: async messageId => {
+      if (messageId === 'gone') {
+        throw providerError(404);
+      }
+      throw providerError(401);
+    }
+  };
+  const cliInterface = {
+    provisionAddress: async () => {
+      created++;
+      return { ...record, address: `new${created}@mail.test` };
+    }
+  };
+  server = new ApiServer(emailService, storageService, cliInterface, { logger: { log() {}, error() {} } });
+  ({ port } = await server.listen({ port: 0 }));
+});
+
+after(() => server.close());
+
+/**
+ * Send a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} headers - Extra request headers
+ * @param {string} body - Request body (default: none)
+ * @returns {Promise<{status: number, body: any}>} Status and parsed JSON body
+ */
+function request(method, path, headers = {}, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers: { Host: `localhost:${port}`, ...headers } }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => (data += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : undefined }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('answers requests addressed to localhost and refuses other hosts', async () => {
+  assert.equal((await request('GET', '/addresses')).status, 200);
+  assert.equal((await request('GET', '/addresses', { Host: 'evil.test' })).status, 403);
+});
+
+test('refuses requests from other origins', async () => {
+  assert.equal((await request('GET', '/addresses', { Origin: 'https://evil.test' })).status, 403);
+  assert.equal((await request('GET', '/addresses', { Origin: 'null' })).status, 403);
+  assert.equal((await request('GET', '/addresses', { Origin: `http://localhost:${port}` })).status, 200);
+});
+
+test('creates addresses only from bodies declared as JSON', async () => {
+  const createdBefore = created;
+  assert.equal((await request('POST', '/addresses', { 'Content-Type': 'text/plain' }, '{}')).status, 415);
+  assert.equal((await request('POST', '/addresses')).status, 415);
+  assert.equal(created, createdBefore, 'no account was created');
+
+  const response = await request('POST', '/addresses', { 'Content-Type': 'application/json; charset=utf-8' }, '{"provider":"mail.tm"}');
+  assert.equal(response.status, 201);
+  assert.equal(response.body.password, 'secret');
+});
+
+test('answers 400 for a malformed escape in the path', async () => {
+  assert.equal((await request('GET', '/addresses/%E0%A4%A')).status, 400);
+});
+
+test('maps provider failures to 404 or 502', async () => {
+  assert.equal((await request('GET', '/addresses/me%40mail.test/messages/gone')).status, 404);
+  assert.equal((await request('GET', '/addresses/me%40mail.test/messages/any')).status, 502);
+  assert.equal((await request('GET', '/addresses/other%40mail.test')).body.code, 'NOT_FOUND');
+});
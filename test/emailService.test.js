@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EmailService = require('../src/emailService');
+
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+/**
+ * Create a service whose default provider serves an inbox from memory
+ * @param {number} size - Number of messages in the inbox
+ * @param {Object} options - Provider behaviour
+ * @param {boolean} options.reportTotal - Whether listings include the inbox total
+ * @returns {{service: EmailService, requested: Array<number>}} Service and the pages it requested
+ */
+function createService(size, { reportTotal }) {
+  const service = new EmailService({ logger: SILENT_LOGGER, retryDelay: 1 });
+  const provider = service.getProvider();
+  const inbox = Array.from({ length: size }, (_, index) => ({
+    id: `m${index + 1}`,
+    from: { address: `sender${index + 1}@mail.test` },
+    subject: `Message ${index + 1}`,
+    receivedDate: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString(),
+    seen: index % 2 === 0
+  }));
+  const requested = [];
+
+  provider.getToken = async () => 'token';
+  provider.listMessages = async (token, { page }) => {
+    requested.push(page);
+    return {
+      messages: inbox.slice((page - 1) * provider.pageSize, page * provider.pageSize),
+      total: reportTotal ? inbox.length : null
+    };
+  };
+  return { service, requested };
+}
+
+test('fetches every page of an inbox when the provider reports the total', async () => {
+  const { service, requested } = createService(65, { reportTotal: true });
+
+  const emails = await service.getEmails('me@mail.test', 'secret');
+  assert.equal(emails.length, 65);
+  assert.deepEqual(requested, [1, 2, 3]);
+  assert.equal(emails[0].id, 'm65', 'newest first');
+});
+
+test('keeps paging while pages are full when the total is unknown', async () => {
+  const { service, requested } = createService(60, { reportTotal: false });
+
+  assert.equal((await service.getEmails('me@mail.test', 'secret')).length, 60);
+  assert.deepEqual(requested, [1, 2, 3]);
+
+  const page = await service.getEmailPage('me@mail.test', 'secret', undefined, 2);
+  assert.equal(page.total, null);
+  assert.equal(page.totalPages, null);
+});
+
+test('fetches a single page, filtered and sorted', async () => {
+  const { service, requested } = createService(65, { reportTotal: true });
+
+  const emails = await service.getEmails('me@mail.test', 'secret', undefined, {
+    page: 2,
+    filter: { unread: true },
+    sort: 'subject',
+    order: 'asc'
+  });
+  assert.deepEqual(requested, [2]);
+  assert.ok(emails.every(email => !email.seen));
+  assert.deepEqual(emails.map(email => email.subject), [...emails.map(email => email.subject)].sort());
+});
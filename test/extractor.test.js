@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractCodes, extractLinks, extractVerification } = require('../src/extractor');
+
+test('ranks a six-digit code next to a keyword first', () => {
+  const codes = extractCodes({
+    subject: 'Welcome',
+    text: 'Thanks for signing up in 2025. Your verification code is 482913. It expires in 10 minutes.'
+  });
+
+  assert.equal(codes[0].value, '482913');
+  assert.match(codes[0].context, /verification code is 482913/);
+  const year = codes.find(code => code.value === '2025');
+  assert.ok(!year || year.score < codes[0].score, 'years rank below codes');
+});
+
+test('joins codes written in groups and finds codes in the subject', () => {
+  assert.equal(extractCodes({ text: 'Your login code: 123-456' })[0].value, '123456');
+  assert.equal(extractCodes({ subject: '739201 is your security code', text: '' })[0].value, '739201');
+});
+
+test('ignores digits in prices, URLs and email addresses', () => {
+  const codes = extractCodes({
+    text: 'Total $1234 paid. Visit https://shop.test/orders/998877 or write to user123456@mail.test'
+  });
+  assert.deepEqual(codes, []);
+});
+
+test('reads codes from HTML when there is no text body', () => {
+  assert.equal(extractCodes({ html: ['<p>Your code is <b>551203</b></p>'] })[0].value, '551203');
+});
+
+test('ranks action links above unsubscribe and social links', () => {
+  const links = extractLinks({
+    html: [
+      '<a href="https://news.test/unsubscribe">Unsubscribe</a>',
+      '<a href="https://app.test/account/verify?token=abc&amp;id=1">Confirm your email</a>',
+      '<a href="https://app.test/reset">Reset password</a>'
+    ].join('')
+  });
+
+  assert.deepEqual(links.map(link => [link.url, link.type]), [
+    ['https://app.test/account/verify?token=abc&id=1', 'verify'],
+    ['https://app.test/reset', 'reset']
+  ]);
+  assert.equal(links[0].text, 'Confirm your email');
+});
+
+test('ends plain-text URLs at brackets and trailing punctuation', () => {
+  const links = extractLinks({
+    text: 'Links [https://a.test/verify][https://b.test/confirm] (see https://c.test/reset). Or https://d.test/login.'
+  });
+
+  assert.deepEqual(links.map(link => link.url).sort(), [
+    'https://a.test/verify',
+    'https://b.test/confirm',
+    'https://c.test/reset',
+    'https://d.test/login'
+  ]);
+});
+
+test('returns codes and links together', () => {
+  const result = extractVerification({ text: 'Code 482913, or open https://app.test/verify?t=1' });
+  assert.equal(result.codes[0].value, '482913');
+  assert.equal(result.links[0].url, 'https://app.test/verify?t=1');
+});
@@ -0,0 +1,80 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FileLock = require('../src/fileLock');
+
+let dir;
+let lockFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-email-lock-'));
+  lockFile = path.join(dir, 'addresses.json.lock');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('runs holders one at a time and removes the lock file afterwards', async () => {
+  const lock = new FileLock(lockFile);
+  let active = 0;
+  let maxActive = 0;
+
+  await Promise.all(Array.from({ length: 5 }, () => lock.run(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+  })));
+
+  assert.equal(maxActive, 1);
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('releases the lock when the holder throws', async () => {
+  const lock = new FileLock(lockFile);
+
+  await assert.rejects(lock.run(async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(await lock.run(async () => 'next'), 'next');
+  assert.equal(fs.existsSync(lockFile), false);
+});
+
+test('excludes separate instances using the same lock file', async () => {
+  const first = new FileLock(lockFile, { retryDelay: 5 });
+  const second = new FileLock(lockFile, { retryDelay: 5 });
+  const order = [];
+
+  await Promise.all([
+    first.run(async () => {
+      order.push('first:start');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      order.push('first:end');
+    }),
+    new Promise(resolve => setTimeout(resolve, 10)).then(() => second.run(async () => {
+      order.push('second');
+    }))
+  ]);
+
+  assert.deepEqual(order, ['first:start', 'first:end', 'second']);
+});
+
+test('breaks a lock left behind by a process that has exited', async () => {
+  const pid = Number(execFileSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']));
+  fs.writeFileSync(lockFile, JSON.stringify({ pid, createdAt: new Date().toISOString() }));
+
+  const lock = new FileLock(lockFile, { timeout: 1000 });
+  assert.equal(await lock.run(async () => 'acquired'), 'acquired');
+});
+
+test('times out with STORAGE_LOCKED while a live process holds the lock', async () => {
+  fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, createdAt: new Date().toISOString() }));
+
+  const lock = new FileLock(lockFile, { timeout: 100, retryDelay: 10 });
+  await assert.rejects(lock.run(async () => {}), { code: 'STORAGE_LOCKED' });
+  assert.equal(fs.existsSync(lockFile), true);
+});
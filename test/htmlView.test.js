@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isOpenableLink, htmlToFootnotedText, findTextLinks, sanitizeHtml, buildSafeDocument } = require('../src/htmlView');
+
+test('only http(s) and mailto links can be opened', () => {
+  assert.equal(isOpenableLink('https://app.test'), true);
+  assert.equal(isOpenableLink(' mailto:me@mail.test'), true);
+  assert.equal(isOpenableLink('javascript:alert(1)'), false);
+  assert.equal(isOpenableLink('file:///etc/passwd'), false);
+  assert.equal(isOpenableLink(undefined), false);
+});
+
+test('numbers links as footnotes, once per target, and shows images by their alt text', () => {
+  const { text, links } = htmlToFootnotedText([
+    '<p><a href="https://app.test/verify">Verify</a> or <a href="https://app.test/verify">this</a>.</p>',
+    '<p><a href="javascript:alert(1)">Run</a> <a href="https://app.test/help">Help</a></p>',
+    '<img src="https://track.test/p.gif"><img src="logo.png" alt="Logo">'
+  ].join(''));
+
+  assert.deepEqual(links, ['https://app.test/verify', 'https://app.test/help']);
+  assert.match(text, /Verify\[1\] or this\[1\]\./);
+  assert.match(text, /Run Help\[2\]/);
+  assert.match(text, /\[Logo\]/);
+  assert.doesNotMatch(text, /track\.test/);
+});
+
+test('finds distinct URLs in plain text, ending at brackets and punctuation', () => {
+  assert.deepEqual(findTextLinks('See [https://a.test/x][https://b.test/y] (https://a.test/x), and https://c.test/z.'), [
+    'https://a.test/x',
+    'https://b.test/y',
+    'https://c.test/z'
+  ]);
+});
+
+test('removes scripts, event handlers, forms and unsafe links', () => {
+  const { html } = sanitizeHtml([
+    '<script>alert(1)</script><iframe src="https://evil.test"></iframe>',
+    '<p onclick="alert(1)" style="color: red">Hi <a href="javascript:alert(1)">x</a></p>',
+    '<form action="https://evil.test"><input name="q"></form>',
+    '<svg><script>alert(2)</script></svg><noscript>no</noscript>'
+  ].join(''));
+
+  assert.doesNotMatch(html, /script|iframe|onclick|javascript|action=|svg|noscript/i);
+  assert.match(html, /<p style="color: red">Hi <a>x<\/a><\/p>/);
+  assert.match(html, /<input name="q">/);
+});
+
+test('blocks and counts remote resources, keeping data: images', () => {
+  const { html, blocked } = sanitizeHtml([
+    '<link rel="stylesheet" href="https://cdn.test/a.css">',
+    '<img src="https://track.test/p.gif" srcset="https://track.test/p2.gif 2x">',
+    '<img src="data:image/png;base64,AAAA">',
+    '<div style="background: url(https://track.test/bg.png)">x</div>',
+    '<style>@import url(https://cdn.test/b.css); .a { background: url("data:image/gif;base64,R0") }</style>'
+  ].join(''));
+
+  assert.equal(blocked, 5);
+  assert.doesNotMatch(html, /src="https|srcset|url\(https|@import|<link/);
+  assert.match(html, /title="Remote image blocked: https:\/\/track\.test\/p\.gif"/);
+  assert.match(html, /<img src="data:image\/png;base64,AAAA">/);
+  assert.match(html, /url\("data:image\/gif;base64,R0"\)/);
+});
+
+test('opens links in a new tab without a referrer and escapes text and attributes', () => {
+  const { html } = sanitizeHtml('<a href="https://app.test/?a=1&amp;b=&quot;2&quot;" title="x&quot; onmouseover=&quot;y">&lt;b&gt;</a>');
+
+  assert.equal(html, '<a href="https://app.test/?a=1&amp;b=&quot;2&quot;" title="x&quot; onmouseover=&quot;y" target="_blank" rel="noopener noreferrer">&lt;b&gt;</a>');
+});
+
+test('drops elements and attributes with names that could break out of the markup', () => {
+  const { html } = sanitizeHtml('<p a"b="1" data-x="2">ok</p>');
+  assert.equal(html, '<p data-x="2">ok</p>');
+});
+
+test('builds a page with a content security policy, escaped headers and the blocked count', () => {
+  const { html, blocked } = buildSafeDocument({
+    from: { name: 'Shop <sales>', address: 'sales@shop.test' },
+    to: [{ address: 'me@mail.test' }],
+    subject: '<Sale> & more',
+    receivedDate: '2025-01-06T09:05:00Z',
+    html: ['<body style="color: blue"><img src="https://track.test/p.gif">Hello</body>']
+  });
+
+  assert.equal(blocked, 1);
+  assert.match(html, /<meta http-equiv="Content-Security-Policy" content="default-src 'none';/);
+  assert.match(html, /<title>&lt;Sale&gt; &amp; more<\/title>/);
+  assert.match(html, /Shop &lt;sales&gt; &lt;sales@shop\.test&gt;/);
+  assert.match(html, /1 remote resource was blocked/);
+  assert.match(html, /<div style="color: blue">.*Hello<\/div>/);
+});
+
+test('shows a text-only message as escaped preformatted text', () => {
+  const { html, blocked } = buildSafeDocument({ from: { address: 'a@mail.test' }, subject: '', receivedDate: '2025-01-06T09:05:00Z', text: '<b>not bold</b>' });
+
+  assert.equal(blocked, 0);
+  assert.match(html, /<pre style="white-space: pre-wrap">&lt;b&gt;not bold&lt;\/b&gt;<\/pre>/);
+  assert.match(html, /<title>\(No subject\)<\/title>/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatAsctime, formatMboxEntry } = require('../src/mbox');
+
+test('formats separator dates in the asctime layout, in UTC', () => {
+  assert.equal(formatAsctime(new Date('2025-01-06T09:05:00Z')), 'Mon Jan  6 09:05:00 2025');
+  assert.equal(formatAsctime(new Date('2024-12-31T23:59:59Z')), 'Tue Dec 31 23:59:59 2024');
+});
+
+test('adds a separator line, converts CRLF and ends the entry with a blank line', () => {
+  const entry = formatMboxEntry('Subject: Hi\r\n\r\nHello\r\n', { from: 'sender@mail.test', date: '2025-01-06T09:05:00Z' });
+
+  assert.ok(Buffer.isBuffer(entry));
+  assert.equal(entry.toString('latin1'), 'From sender@mail.test Mon Jan  6 09:05:00 2025\nSubject: Hi\n\nHello\n\n');
+});
+
+test('quotes body lines starting with "From ", including already quoted ones', () => {
+  const entry = formatMboxEntry('Subject: Quote\n\nFrom here\n>From there\nNot From this\n', { from: 'a@mail.test', date: '2025-01-06T09:05:00Z' })
+    .toString('latin1');
+
+  assert.equal(entry.split('\n').slice(3).join('\n'), '>From here\n>>From there\nNot From this\n\n');
+});
+
+test('keeps 8-bit bytes and falls back to MAILER-DAEMON without a sender', () => {
+  const raw = Buffer.concat([Buffer.from('Subject: Bytes\n\n'), Buffer.from([0xe9, 0xff]), Buffer.from('\n')]);
+  const entry = formatMboxEntry(raw, { date: '2025-01-06T09:05:00Z' });
+
+  assert.ok(entry.toString('latin1').startsWith('From MAILER-DAEMON Mon Jan  6 09:05:00 2025\n'));
+  assert.deepEqual([...entry.subarray(entry.length - 4)], [0xe9, 0xff, 0x0a, 0x0a]);
+});
+
+test('removes whitespace from the sender and trims extra trailing newlines', () => {
+  const entry = formatMboxEntry('Subject: x\n\nbody\n\n\n', { from: 'odd sender@mail.test', date: '2025-01-06T09:05:00Z' })
+    .toString('latin1');
+  assert.equal(entry, 'From oddsender@mail.test Mon Jan  6 09:05:00 2025\nSubject: x\n\nbody\n\n');
+});
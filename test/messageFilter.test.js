@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesText, filterMessages, sortMessages } = require('../src/messageFilter');
+
+const messages = [
+  { id: 'a', from: { name: 'GitHub', address: 'noreply@github.com' }, subject: 'Verify your email', receivedDate: '2025-01-10T08:00:00Z', hasAttachments: false, seen: true },
+  { id: 'b', from: { address: 'billing@shop.test' }, subject: 'Invoice 42', receivedDate: '2025-01-31T22:30:00Z', hasAttachments: true, seen: false },
+  { id: 'c', from: { address: 'alerts@bank.test' }, subject: 'alert: new login', receivedDate: '2025-02-01T00:00:01Z', hasAttachments: false, seen: false }
+];
+const ids = list => list.map(message => message.id);
+
+test('matches text case-insensitively, or with a regular expression', () => {
+  assert.equal(matchesText('Verify your email', 'VERIFY'), true);
+  assert.equal(matchesText('Verify your email', /^verify/i), true);
+  assert.equal(matchesText(undefined, 'x'), false);
+  assert.equal(matchesText(undefined, undefined), true);
+
+  const global = /login/g;
+  assert.equal(matchesText('new login', global), true);
+  assert.equal(matchesText('new login', global), true, 'a global regular expression matches again');
+});
+
+test('filters by sender name or address and subject', () => {
+  assert.deepEqual(ids(filterMessages(messages, { from: 'github' })), ['a']);
+  assert.deepEqual(ids(filterMessages(messages, { from: /@(shop|bank)\.test>/ })), ['b', 'c']);
+  assert.deepEqual(ids(filterMessages(messages, { subject: 'invoice', from: 'bank' })), []);
+});
+
+test('filters by date, with a plain until date including the whole day', () => {
+  assert.deepEqual(ids(filterMessages(messages, { since: '2025-01-11', until: '2025-01-31' })), ['b']);
+  assert.deepEqual(ids(filterMessages(messages, { since: new Date('2025-02-01T00:00:00Z') })), ['c']);
+});
+
+test('filters by attachments and unread state', () => {
+  assert.deepEqual(ids(filterMessages(messages, { hasAttachments: true })), ['b']);
+  assert.deepEqual(ids(filterMessages(messages, { hasAttachments: false })), ['a', 'c']);
+  assert.deepEqual(ids(filterMessages(messages, { unread: true })), ['b', 'c']);
+  assert.deepEqual(ids(filterMessages(messages)), ['a', 'b', 'c']);
+});
+
+test('sorts by date, sender or subject without changing the input', () => {
+  assert.deepEqual(ids(sortMessages(messages)), ['c', 'b', 'a']);
+  assert.deepEqual(ids(sortMessages(messages, 'from', 'asc')), ['c', 'b', 'a']);
+  assert.deepEqual(ids(sortMessages(messages, 'subject', 'asc')), ['c', 'b', 'a']);
+  assert.deepEqual(ids(sortMessages(messages, 'date', 'asc')), ['a', 'b', 'c']);
+  assert.deepEqual(ids(messages), ['a', 'b', 'c']);
+  assert.throws(() => sortMessages(messages, 'size'), /Cannot sort by 'size'/);
+});
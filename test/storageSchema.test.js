@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, BACKUP_FORMAT, migrate, createBackup, parseBackup } = require('../src/storageSchema');
+const { DEFAULT_PROVIDER } = require('../src/providers');
+
+test('migrates a version 1 bare array, adding the default provider', () => {
+  const migrated = migrate([
+    { address: 'old@mail.test', password: 'secret' },
+    { address: 'gw@mail.test', password: 'secret', provider: 'mail.gw' }
+  ]);
+
+  assert.equal(migrated.version, SCHEMA_VERSION);
+  assert.deepEqual(migrated.addresses, [
+    { provider: DEFAULT_PROVIDER, address: 'old@mail.test', password: 'secret' },
+    { provider: 'mail.gw', address: 'gw@mail.test', password: 'secret' }
+  ]);
+});
+
+test('leaves a current document unchanged', () => {
+  const addresses = [{ address: 'new@mail.test', provider: 'mail.gw' }];
+  assert.deepEqual(migrate({ version: SCHEMA_VERSION, addresses }), { version: SCHEMA_VERSION, addresses });
+});
+
+test('refuses a document from a newer version', () => {
+  assert.throws(() => migrate({ version: SCHEMA_VERSION + 1, addresses: [] }), { code: 'STORAGE_VERSION' });
+});
+
+test('rejects data that is not address storage', () => {
+  assert.throws(() => migrate({ addresses: 'nope' }), /expected a list of addresses/);
+  assert.throws(() => migrate(null), /expected a list of addresses/);
+});
+
+test('backups leave out tokens and read back into the same records', () => {
+  const backup = createBackup([{ address: 'a@mail.test', password: 'secret', token: 'jwt', provider: 'mail.tm' }]);
+
+  assert.equal(backup.format, BACKUP_FORMAT);
+  assert.equal(backup.version, SCHEMA_VERSION);
+  assert.deepEqual(backup.addresses, [{ address: 'a@mail.test', password: 'secret', provider: 'mail.tm' }]);
+  assert.deepEqual(parseBackup(JSON.parse(JSON.stringify(backup))), backup.addresses);
+});
+
+test('reads a plain version 1 storage file as a backup', () => {
+  assert.deepEqual(parseBackup([{ address: ' a@mail.test ', token: 'jwt' }]), [
+    { provider: DEFAULT_PROVIDER, address: 'a@mail.test' }
+  ]);
+});
+
+test('rejects vaults, unknown formats and entries without an address', () => {
+  assert.throws(() => parseBackup({ format: 'temp-email-cli-vault' }), { code: 'INVALID_BACKUP', message: /encrypted storage file/ });
+  assert.throws(() => parseBackup({ format: 'other' }), { code: 'INVALID_BACKUP' });
+  assert.throws(() => parseBackup({ foo: 1 }), { code: 'INVALID_BACKUP' });
+  assert.throws(() => parseBackup([{ address: 'no-at-sign' }]), { code: 'INVALID_BACKUP', message: /Entry 1/ });
+});
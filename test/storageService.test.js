@@ -0,0 +1,147 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const StorageService = require('../src/storageService');
+const { SCHEMA_VERSION, parseBackup } = require('../src/storageSchema');
+const { DEFAULT_PROVIDER } = require('../src/providers');
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'temp-email-storage-'));
+  file = path.join(dir, 'addresses.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readFile = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+const storedAddresses = async () => (await new StorageService(file).getAddresses(true)).map(record => record.address).sort();
+
+test('keeps every address saved concurrently by separate instances', async () => {
+  const instances = Array.from({ length: 4 }, () => new StorageService(file, 7, { backupCount: 0 }));
+  const expected = [];
+
+  await Promise.all(instances.map((storage, instance) => Promise.all(Array.from({ length: 10 }, (_, index) => {
+    const address = `user${instance}-${index}@mail.test`;
+    expected.push(address);
+    return storage.saveAddress(address, { password: 'secret' });
+  }))));
+
+  assert.deepEqual(await storedAddresses(), expected.sort());
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('keeps every address saved concurrently by separate processes', async () => {
+  const script = `
+    const StorageService = require(${JSON.stringify(require.resolve('../src/storageService'))});
+    const storage = new StorageService(process.argv[1]);
+    (async () => {
+      for (let index = 0; index < 5; index++) {
+        await storage.saveAddress(\`proc\${process.argv[2]}-\${index}@mail.test\`, { password: 'secret' });
+      }
+    })().catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+  `;
+  const run = worker => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script, file, String(worker)], { timeout: 60000 }, error => (error ? reject(error) : resolve()));
+  });
+
+  await Promise.all([0, 1, 2].map(run));
+
+  const expected = [0, 1, 2].flatMap(worker => Array.from({ length: 5 }, (_, index) => `proc${worker}-${index}@mail.test`));
+  assert.deepEqual(await storedAddresses(), expected.sort());
+});
+
+test('restores a truncated file from the newest backup and keeps the damaged copy', async t => {
+  t.mock.method(console, 'error', () => {});
+  const storage = new StorageService(file);
+  await storage.saveAddress('first@mail.test', { password: 'secret' });
+  await storage.saveAddress('second@mail.test', { password: 'secret' });
+
+  const content = fs.readFileSync(file, 'utf8');
+  fs.writeFileSync(file, content.slice(0, content.length / 2));
+
+  assert.deepEqual(await storedAddresses(), ['first@mail.test']);
+  assert.deepEqual(readFile().addresses.map(record => record.address), ['first@mail.test']);
+  const damaged = fs.readdirSync(dir).filter(name => name.startsWith('addresses.json.corrupt-'));
+  assert.equal(damaged.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, damaged[0]), 'utf8'), content.slice(0, content.length / 2));
+});
+
+test('fails with STORAGE_CORRUPT instead of starting empty when no backup can be read', async () => {
+  const storage = new StorageService(file, 7, { backupCount: 0 });
+  await storage.saveAddress('only@mail.test', { password: 'secret' });
+  const truncated = fs.readFileSync(file, 'utf8').slice(0, 20);
+  fs.writeFileSync(file, truncated);
+
+  await assert.rejects(new StorageService(file).getAddresses(true), { code: 'STORAGE_CORRUPT' });
+  await assert.rejects(new StorageService(file).saveAddress('new@mail.test', {}), { code: 'STORAGE_CORRUPT' });
+  assert.equal(fs.readFileSync(file, 'utf8'), truncated);
+});
+
+test('reads a file left empty by an interrupted write as empty storage', async () => {
+  fs.writeFileSync(file, '');
+  assert.deepEqual(await new StorageService(file).getAddresses(true), []);
+});
+
+test('migrates a version 1 bare array file and saves it in the current format', async () => {
+  fs.writeFileSync(file, JSON.stringify([
+    { address: 'legacy@mail.test', password: 'secret', expiresAt: new Date(Date.now() + 86400000).toISOString() }
+  ]));
+  const storage = new StorageService(file);
+
+  const [legacy] = await storage.getAddresses(true);
+  assert.equal(legacy.provider, DEFAULT_PROVIDER);
+  assert.ok(Array.isArray(readFile()), 'reading alone leaves the file as it was');
+
+  await storage.saveAddress('new@mail.test', { password: 'secret', provider: 'mail.gw' });
+  const saved = readFile();
+  assert.equal(saved.version, SCHEMA_VERSION);
+  assert.deepEqual(saved.addresses.map(record => [record.address, record.provider]), [
+    ['legacy@mail.test', DEFAULT_PROVIDER],
+    ['new@mail.test', 'mail.gw']
+  ]);
+});
+
+test('refuses to read or overwrite a file from a newer version', async () => {
+  const newer = JSON.stringify({ version: SCHEMA_VERSION + 1, addresses: [{ address: 'future@mail.test' }] });
+  fs.writeFileSync(file, newer);
+  const storage = new StorageService(file);
+
+  await assert.rejects(storage.getAddresses(true), { code: 'STORAGE_VERSION' });
+  await assert.rejects(storage.saveAddress('new@mail.test', {}), { code: 'STORAGE_VERSION' });
+  assert.equal(fs.readFileSync(file, 'utf8'), newer);
+});
+
+test('restores a backup, resolving conflicts with the chosen strategy', async () => {
+  const storage = new StorageService(file);
+  await storage.saveAddress('kept@mail.test', { password: 'old' });
+  const backup = parseBackup(JSON.parse(JSON.stringify(await storage.exportBackup())));
+  await storage.saveAddress('kept@mail.test', { password: 'new' });
+  const incoming = [{ ...backup[0] }, { address: 'added@mail.test', password: 'secret', provider: 'mail.gw' }];
+
+  assert.deepEqual(await storage.restoreBackup(incoming), {
+    added: ['added@mail.test'],
+    replaced: [],
+    skipped: ['kept@mail.test']
+  });
+  assert.deepEqual(await storage.restoreBackup(incoming, { conflict: 'newer' }), {
+    added: [],
+    replaced: [],
+    skipped: ['kept@mail.test', 'added@mail.test']
+  });
+  assert.equal((await storage.getAddressMetadata('kept@mail.test')).password, 'new');
+
+  const { replaced } = await storage.restoreBackup(incoming, { conflict: 'overwrite' });
+  assert.deepEqual(replaced, ['kept@mail.test', 'added@mail.test']);
+  assert.equal((await storage.getAddressMetadata('kept@mail.test')).password, 'old');
+  await assert.rejects(storage.restoreBackup(incoming, { conflict: 'merge' }), /Unknown conflict strategy/);
+});